@@ -2,21 +2,149 @@
  * Application configuration settings
  */
 
+// Shortest accepted value of a required secret such as JWT_SECRET
+const MIN_SECRET_LENGTH = 32;
+
 // Environment configurations
 export const ENV = {
   NODE_ENV: process.env.NODE_ENV || 'development',
   PORT: parseInt(process.env.PORT || '3000', 10),
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
-  JWT_SECRET: process.env.JWT_SECRET || 'sd@!v@#$%^&*()_+',
+  // Signs access tokens; there is no default, so tokens can't be forged with a known secret
+  JWT_SECRET: secretFromEnv('JWT_SECRET'),
 };
 
-// Default authentication settings
+// Authentication settings
 export const AUTH = {
-  DEMO_USER: { 
-    username: process.env.DEMO_USERNAME || 'admin', 
-    password: process.env.DEMO_PASSWORD || 'password123' 
+  // Admin created when no users exist yet; without a password a random one is generated and written
+  // to BOOTSTRAP_PASSWORD_FILE. DEMO_USERNAME / DEMO_PASSWORD are still read for older setups
+  BOOTSTRAP_ADMIN: {
+    username: process.env.ADMIN_USERNAME || process.env.DEMO_USERNAME || 'admin',
+    password: process.env.ADMIN_PASSWORD || process.env.DEMO_PASSWORD || ''
+  },
+  BOOTSTRAP_PASSWORD_FILE: process.env.ADMIN_PASSWORD_FILE || './data/initial-admin-password', // Created with mode 0600
+  ACCESS_TOKEN_EXPIRY: '15m',
+  REFRESH_TOKEN_TTL: 7 * 24 * 3600, // Refresh tokens are single-use and replaced on every refresh
+  BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS || '12', 10),
+  MIN_PASSWORD_LENGTH: 12,
+  MAX_LOGIN_FAILURES: 5, // Failed logins within LOCKOUT_SECONDS before the account is locked
+  LOCKOUT_SECONDS: 15 * 60,
+  PASSWORD_RESET_TTL: 3600, // Reset tokens issued by an admin expire after an hour
+  BOARD_LOGIN_CACHE_MS: 60 * 1000 // Bull Board basic-auth logins are re-checked after a minute
+};
+
+// API keys of automation clients, accepted by the auth middleware alongside JWTs
+export const API_KEYS = {
+  DEFAULT_TTL_DAYS: parseInt(process.env.API_KEY_TTL_DAYS || '90', 10),
+  MAX_TTL_DAYS: parseInt(process.env.API_KEY_MAX_TTL_DAYS || '365', 10),
+  MAX_ROUTES: 50, // Allowed-route patterns per key
+  LAST_USED_INTERVAL_SECONDS: 60 // Last use is written at most once a minute per key
+};
+
+// Tenant isolation and per-tenant quotas
+export const TENANCY = {
+  // Tenant of users, sessions and jobs created before tenants existed. Its users also run the
+  // installation: queue-wide controls, system metrics, Bull Board and other tenants' quotas
+  DEFAULT_TENANT: process.env.DEFAULT_TENANT || 'default',
+  // Quotas of tenants that have none of their own; 0 means unlimited
+  DEFAULT_QUOTAS: {
+    recordsPerDay: parseInt(process.env.TENANT_RECORDS_PER_DAY || '0', 10),
+    concurrentJobs: parseInt(process.env.TENANT_CONCURRENT_JOBS || '0', 10),
+    storedBytes: parseInt(process.env.TENANT_STORED_BYTES || '0', 10)
   },
-  TOKEN_EXPIRY: '7d'
+  JOB_INDEX_TTL: 7 * 24 * 3600, // Jobs stay listed as long as failed jobs are kept
+  ACTIVE_JOB_LEASE_MS: 60 * 1000, // A running job's slot is freed if its worker stops renewing it
+  QUOTA_DELAY_MS: 5000, // A job over its tenant's concurrent-job quota goes back to the queue for this long
+  USAGE_CACHE_SECONDS: 60 // Stored data is measured at most once a minute per tenant
+};
+
+// Encryption of target-API credentials stored in session keys
+export const CREDENTIALS = {
+  // Comma-separated "keyId:key" pairs; keys are 32 bytes, base64 or hex encoded
+  KEYS: process.env.CREDENTIAL_KEYS || '',
+  // Key used for new encryptions; defaults to the first configured key
+  CURRENT_KEY_ID: process.env.CREDENTIAL_KEY_ID || '',
+  // Local development only: derive a key from JWT_SECRET when CREDENTIAL_KEYS is not set
+  ALLOW_DERIVED_KEY: process.env.ALLOW_DERIVED_CREDENTIAL_KEY === 'true'
+};
+
+/**
+ * Read a required secret from the environment
+ * @param {string} name - Variable name
+ * @returns {string} - Secret
+ * @throws {Error} Naming the variable, if it is missing or shorter than MIN_SECRET_LENGTH
+ */
+function secretFromEnv(name) {
+  const secret = process.env[name] || '';
+  if (secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`${name} must be set to a random secret of at least ${MIN_SECRET_LENGTH} characters, ` +
+      'e.g. $(openssl rand -base64 32)');
+  }
+  return secret;
+}
+
+/**
+ * Read a comma-separated list from the environment
+ * @param {string} name - Variable name
+ * @returns {Array<string>} - Trimmed, non-empty entries
+ */
+function listFromEnv(name) {
+  return (process.env[name] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Read a JSON array of regular expression sources from the environment
+ * @param {string} name - Variable name
+ * @returns {Array<string>} - Pattern sources
+ * @throws {Error} Naming the variable, if it is not a JSON array of valid patterns
+ */
+function patternsFromEnv(name) {
+  if (!process.env[name]) return [];
+
+  let patterns;
+  try {
+    patterns = JSON.parse(process.env[name]);
+  } catch (err) {
+    throw new Error(`${name} must be a JSON array of regular expressions: ${err.message}`);
+  }
+  if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+    throw new Error(`${name} must be a JSON array of regular expression strings`);
+  }
+  patterns.forEach(pattern => {
+    try {
+      new RegExp(pattern, 'g');
+    } catch (err) {
+      throw new Error(`${name} has an invalid regular expression: ${err.message}`);
+    }
+  });
+  return patterns;
+}
+
+// Redaction applied to pino output, Redis log lists, log files and stored results
+export const REDACTION = {
+  // Key names (case-insensitive) masked wherever they appear
+  HEADERS: [
+    'authorization', 'proxy-authorization', 'cookie', 'set-cookie',
+    'x-api-key', 'x-signature',
+    ...listFromEnv('REDACT_HEADERS')
+  ],
+  // JSONPath expressions whose values are masked
+  PATHS: [
+    '$..password', '$..apiKey', '$..clientSecret', '$..secret', '$..token', '$..access_token',
+    '$..ssn', '$..dob', '$..dateOfBirth', '$..birthDate',
+    ...listFromEnv('REDACT_PATHS')
+  ],
+  // Regular expressions masked inside any string; REDACT_PATTERNS is a JSON array since patterns may contain commas
+  PATTERNS: [
+    '\\b\\d{3}-\\d{2}-\\d{4}\\b', // SSN
+    ...patternsFromEnv('REDACT_PATTERNS')
+  ],
+  REPLACEMENT: '[REDACTED]'
+};
+
+// Duplicate-record suppression across jobs
+export const IDEMPOTENCY = {
+  TTL: parseInt(process.env.IDEMPOTENCY_TTL || String(30 * 24 * 3600), 10) // Remember succeeded keys for 30 days
 };
 
 // API settings
@@ -44,7 +172,57 @@ export const QUEUE = {
       age: 7 * 24 * 3600 // Keep failed jobs for 7 days
     }
   },
-  SESSION_TTL: 604800 // 1 week in seconds
+  SESSION_TTL: 604800, // 1 week in seconds
+  PAUSED_JOB_DELAY_MS: 3600 * 1000, // Paused jobs are re-checked hourly until resumed
+  CONTROL_POLL_MS: 1000, // How often a running job checks for a cancel request
+  CHECKPOINT_TTL: 7 * 24 * 3600, // Keep job checkpoints as long as failed jobs
+  LEDGER_TTL: 7 * 24 * 3600, // Keep per-record outcomes as long as failed jobs
+  // Priority levels and their BullMQ priorities (lower runs first); every processBatch job gets one,
+  // since BullMQ runs jobs without a priority before all prioritized ones
+  PRIORITIES: { high: 1, normal: 5, low: 10 },
+  DEFAULT_PRIORITY: 'normal',
+  // Largest share of a worker's concurrency one session may occupy; 1 turns fair sharing off
+  FAIR_SHARE: parseFloat(process.env.FAIR_SESSION_SHARE || '0.5'),
+  FAIR_SHARE_DELAY_MS: 2000 // A job over its session's share goes back to the queue for this long
+};
+
+// Job event streams pushed to clients over Server-Sent Events
+export const JOB_EVENTS = {
+  MAX_LENGTH: 10000, // Events kept per job (trimmed approximately)
+  TTL: 24 * 3600, // Keep events as long as completed jobs
+  RETRY_MS: 3000, // Reconnect delay suggested to EventSource clients
+  HEARTBEAT_MS: 15000, // Comment lines that keep idle connections open through proxies
+  RELAY_LOCK_TTL: 30 // Seconds before another server takes over relaying queue events
+};
+
+// Outgoing webhook notifications
+export const WEBHOOKS = {
+  QUEUE_NAME: 'webhookQueue',
+  ATTEMPTS: 8, // Retries back off exponentially from BACKOFF_MS, about 20 minutes in all
+  BACKOFF_MS: 10000,
+  TIMEOUT_MS: 10000,
+  CONCURRENCY: 5, // Deliveries sent at once per worker process
+  PROGRESS_MILESTONES: [25, 50, 75], // Percentages announced as job.progress events
+  DELIVERY_TTL: 7 * 24 * 3600, // Keep delivery logs as long as failed jobs
+  DELIVERY_HISTORY_LIMIT: 1000 // Deliveries listed per subscription
+};
+
+// Upload settings
+export const UPLOAD = {
+  MAX_FILE_SIZE_BYTES: 50 * 1024 * 1024, // 50 MB
+  RECORDS_PER_JOB: parseInt(process.env.UPLOAD_RECORDS_PER_JOB || '500', 10),
+  SPREADSHEET_EXTENSIONS: ['.xlsx', '.xls'],
+  STREAM_FORMATS: ['csv', 'ndjson'],
+  MAX_INVALID_ROWS_REPORTED: 1000 // Cap invalid row details so streaming memory stays flat
+};
+
+// Scheduled and recurring batch jobs
+export const SCHEDULE = {
+  SOURCE_DIR: process.env.SCHEDULE_SOURCE_DIR || './data/schedules', // Directory sources must stay under this root
+  HISTORY_LIMIT: 100, // Runs kept per schedule
+  PREVIEW_RUNS: 5, // Next runs shown by default
+  MAX_PREVIEW_RUNS: 100,
+  RUN_LOCK_TTL: 3600 // A run still holding the lock after an hour is assumed dead
 };
 
 // File system settings
@@ -38,6 +38,13 @@ function createRedisClient() {
     console.warn('⚠️ Redis connection closed');
   });
 
+  // delIfEquals(key, value): delete a key only while it still holds value, e.g. a lock or flag
+  // another process may have replaced since it was read; resolves to 1 if it was deleted
+  client.defineCommand('delIfEquals', {
+    numberOfKeys: 1,
+    lua: "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0"
+  });
+
   return client;
 }
 
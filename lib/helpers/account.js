@@ -0,0 +1,61 @@
+/**
+ * Account helper functions - validate user names, roles and passwords
+ */
+import { AUTH } from '../config/appConfig.js';
+import { ROLE_PERMISSIONS } from './permissions.js';
+
+export const USER_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._@-]{2,63}$/;
+
+// bcrypt only hashes the first 72 bytes, so longer passwords would be silently truncated
+const MAX_PASSWORD_BYTES = 72;
+
+/**
+ * Normalize a user name for storage and lookup
+ * @param {string} username - User name as entered
+ * @returns {string} - Trimmed, lower-case user name
+ */
+export function normalizeUsername(username) {
+  return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+/**
+ * Validate a (normalized) user name
+ * @param {string} username - User name
+ * @throws {Error} If the name is invalid
+ */
+export function validateUsername(username) {
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new Error('username must be 3-64 characters of letters, digits, ".", "_", "@" or "-"');
+  }
+}
+
+/**
+ * Validate a user role
+ * @param {string} role - Role
+ * @throws {Error} If the role is unknown
+ */
+export function validateRole(role) {
+  if (!USER_ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${USER_ROLES.join(', ')}`);
+  }
+}
+
+/**
+ * Validate a new password
+ * @param {string} password - Password
+ * @param {string} [username] - Owner, which the password must not contain
+ * @throws {Error} If the password is too weak or too long
+ */
+export function validatePassword(password, username) {
+  if (typeof password !== 'string' || password.length < AUTH.MIN_PASSWORD_LENGTH) {
+    throw new Error(`password must be at least ${AUTH.MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+    throw new Error(`password must be at most ${MAX_PASSWORD_BYTES} bytes`);
+  }
+  if (username && password.toLowerCase().includes(username)) {
+    throw new Error('password must not contain the username');
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * API key helper functions - key format, key validation and allowed-route matching
+ * Keys look like efk_<key ID>_<secret>; only a hash of the secret is stored. Allowed routes are
+ * "<METHOD> <path>" patterns where * matches one path segment and a trailing ** matches the rest,
+ * e.g. "POST /api/upload-batch" or "GET /api/jobs/**"
+ */
+import { API_KEYS } from '../config/appConfig.js';
+import { USER_ROLES } from './account.js';
+
+export const API_KEY_PREFIX = 'efk_';
+
+// Fields that can be changed after a key is created; rotating replaces the secret
+export const API_KEY_MUTABLE_FIELDS = ['name', 'role', 'routes', 'expiresInDays'];
+
+const API_KEY_PATTERN = /^efk_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+const ROUTE_METHODS = ['*', 'GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Check whether a bearer token is an API key rather than a JWT
+ * @param {string} token - Token
+ * @returns {boolean} - True if it has the API key prefix
+ */
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Split an API key into its ID and secret
+ * @param {string} key - API key
+ * @returns {{ keyId: string, secret: string }|null} - Parts, or null if the key is malformed
+ */
+export function parseApiKey(key) {
+  const match = typeof key === 'string' && API_KEY_PATTERN.exec(key);
+  return match ? { keyId: match[1], secret: match[2] } : null;
+}
+
+/**
+ * Split an allowed-route pattern into method and path
+ * @param {string} route - Pattern, e.g. "GET /api/jobs/**"
+ * @returns {{ method: string, path: string }} - Upper-case method and path
+ */
+function parseRoute(route) {
+  const [method, path] = route.trim().split(/\s+/);
+  return { method: method.toUpperCase(), path };
+}
+
+/**
+ * Validate an API key definition
+ * @param {Object} definition - Key ({ name, role, routes, expiresInDays })
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.partial=false] - Only validate the fields that are present (changes)
+ * @throws {Error} If the definition is invalid
+ */
+export function validateApiKeyDefinition(definition, { partial = false } = {}) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('API key must be an object');
+  }
+
+  const { name, role, routes, expiresInDays } = definition;
+
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+    throw new Error('name must be a non-empty string of at most 100 characters');
+  }
+  if (role !== undefined && !USER_ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${USER_ROLES.join(', ')}`);
+  }
+
+  if (!partial || routes !== undefined) {
+    if (!Array.isArray(routes) || routes.length === 0 || routes.length > API_KEYS.MAX_ROUTES) {
+      throw new Error(`routes must be an array of 1-${API_KEYS.MAX_ROUTES} route patterns`);
+    }
+    routes.forEach(route => {
+      const { method, path } = typeof route === 'string' ? parseRoute(route) : {};
+      if (!ROUTE_METHODS.includes(method) || !path || !path.startsWith('/') || route.trim().split(/\s+/).length !== 2) {
+        throw new Error(`Invalid route "${route}": use "<METHOD> <path>" with METHOD one of ${ROUTE_METHODS.join(', ')}`);
+      }
+      if (path.split('/').slice(0, -1).includes('**')) {
+        throw new Error(`Invalid route "${route}": ** may only end a path`);
+      }
+    });
+  }
+
+  if (expiresInDays !== undefined &&
+    (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > API_KEYS.MAX_TTL_DAYS)) {
+    throw new Error(`expiresInDays must be an integer between 1 and ${API_KEYS.MAX_TTL_DAYS}`);
+  }
+}
+
+/**
+ * Check whether one allowed-route pattern covers a request
+ * @param {string} route - Pattern
+ * @param {string} method - Request method
+ * @param {string} path - Request path, without the query string
+ * @returns {boolean} - True if covered
+ */
+function matchesRoute(route, method, path) {
+  const pattern = parseRoute(route);
+  // HEAD requests are answered by GET routes
+  const requestMethod = method.toUpperCase() === 'HEAD' ? 'GET' : method.toUpperCase();
+  if (pattern.method !== '*' && pattern.method !== requestMethod) {
+    return false;
+  }
+
+  const patternSegments = pattern.path.replace(/\/+$/, '').split('/');
+  const pathSegments = path.replace(/\/+$/, '').split('/');
+  for (let i = 0; i < patternSegments.length; i++) {
+    if (patternSegments[i] === '**') {
+      return pathSegments.length > i;
+    }
+    if (i >= pathSegments.length ||
+      (patternSegments[i] !== '*' && patternSegments[i] !== decodeURIComponent(pathSegments[i]))) {
+      return false;
+    }
+  }
+  return patternSegments.length === pathSegments.length;
+}
+
+/**
+ * Check whether a key's allowed routes cover a request
+ * @param {Array<string>} routes - Allowed-route patterns
+ * @param {string} method - Request method
+ * @param {string} path - Request path, without the query string
+ * @returns {boolean} - True if any pattern covers the request
+ */
+export function isRouteAllowed(routes, method, path) {
+  return (routes || []).some(route => {
+    try {
+      return matchesRoute(route, method, path);
+    } catch (e) {
+      // A malformed percent-encoding in the path matches nothing
+      return false;
+    }
+  });
+}
+
+/**
+ * Work out when a key expires
+ * @param {number} [expiresInDays=API_KEYS.DEFAULT_TTL_DAYS] - Days from now
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string} - Expiry as an ISO timestamp
+ */
+export function getApiKeyExpiry(expiresInDays = API_KEYS.DEFAULT_TTL_DAYS, now = new Date()) {
+  return new Date(now.getTime() + expiresInDays * 24 * 3600 * 1000).toISOString();
+}
@@ -1,6 +1,251 @@
 /**
- * Authentication helper functions
+ * Authentication helper functions - target-API auth providers selected by auth.type
+ * Providers are applied per request inside the worker threads, so this module must stay
+ * free of Redis and logger imports; OAuth2 tokens are cached per worker thread
  */
+import crypto from 'crypto';
+import axios from 'axios';
+
+// Refresh OAuth2 tokens this long before they expire
+const TOKEN_EXPIRY_SKEW_MS = 30000;
+// Used when a token response has no expires_in
+const DEFAULT_TOKEN_TTL_MS = 300000;
+const TOKEN_REQUEST_TIMEOUT = 10000;
+
+const HMAC_ALGORITHMS = ['sha256', 'sha512'];
+const HMAC_ENCODINGS = ['hex', 'base64'];
+
+// OAuth2 access tokens keyed by token endpoint, client and scope
+const tokenCache = new Map();
+// In-flight token requests, so concurrent records share one fetch
+const pendingTokens = new Map();
+
+/**
+ * Require a non-empty string field on an auth config
+ * @param {Object} auth - Auth config
+ * @param {string} field - Field name
+ */
+function requireString(auth, field) {
+  if (typeof auth[field] !== 'string' || !auth[field].trim()) {
+    throw new Error(`Missing auth.${field}`);
+  }
+}
+
+/**
+ * Require an optional field to be a non-empty string when present
+ * @param {Object} auth - Auth config
+ * @param {string} field - Field name
+ */
+function optionalString(auth, field) {
+  if (auth[field] !== undefined && (typeof auth[field] !== 'string' || !auth[field].trim())) {
+    throw new Error(`auth.${field} must be a non-empty string`);
+  }
+}
+
+/**
+ * Build the OAuth2 token cache key for an auth config
+ * @param {Object} auth - OAuth2 auth config
+ * @returns {string} - Cache key
+ */
+function tokenCacheKey(auth) {
+  return [auth.tokenUrl, auth.clientId, auth.scope || '', auth.audience || ''].join('|');
+}
+
+/**
+ * Request an access token with the client-credentials grant
+ * @param {Object} auth - OAuth2 auth config
+ * @returns {Promise<{ token: string, expiresAt: number }>} - Access token and expiry time
+ */
+async function fetchClientCredentialsToken(auth) {
+  const form = new URLSearchParams({ grant_type: 'client_credentials' });
+  if (auth.scope) form.append('scope', auth.scope);
+  if (auth.audience) form.append('audience', auth.audience);
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (auth.clientAuth === 'body') {
+    form.append('client_id', auth.clientId);
+    form.append('client_secret', auth.clientSecret);
+  } else {
+    headers.Authorization = `Basic ${Buffer.from(`${encodeURIComponent(auth.clientId)}:${encodeURIComponent(auth.clientSecret)}`).toString('base64')}`;
+  }
+
+  let response;
+  try {
+    response = await axios.post(auth.tokenUrl, form.toString(), { headers, timeout: TOKEN_REQUEST_TIMEOUT });
+  } catch (err) {
+    const tokenError = new Error(`OAuth2 token request failed: ${err.message}`);
+    const status = err.response?.status;
+    // Rejected credentials need fixing; outages and network errors are categorized as usual
+    tokenError.code = status && status < 500 ? 'AUTH_PROVIDER_ERROR' : err.code;
+    if (status >= 500) tokenError.response = err.response;
+    throw tokenError;
+  }
+
+  const { access_token: token, expires_in: expiresIn } = response.data || {};
+  if (!token) {
+    const tokenError = new Error('OAuth2 token response has no access_token');
+    tokenError.code = 'AUTH_PROVIDER_ERROR';
+    throw tokenError;
+  }
+
+  const ttl = Number(expiresIn) > 0 ? Number(expiresIn) * 1000 : DEFAULT_TOKEN_TTL_MS;
+  return { token, expiresAt: Date.now() + ttl - TOKEN_EXPIRY_SKEW_MS };
+}
+
+/**
+ * Get a cached OAuth2 access token, fetching a new one when missing or about to expire
+ * @param {Object} auth - OAuth2 auth config
+ * @returns {Promise<string>} - Access token
+ */
+async function getAccessToken(auth) {
+  const key = tokenCacheKey(auth);
+  const cached = tokenCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.token;
+  }
+
+  if (!pendingTokens.has(key)) {
+    pendingTokens.set(key, fetchClientCredentialsToken(auth)
+      .then(entry => {
+        tokenCache.set(key, entry);
+        return entry.token;
+      })
+      .finally(() => pendingTokens.delete(key)));
+  }
+
+  return pendingTokens.get(key);
+}
+
+/**
+ * Sign a request with an HMAC over method, path, timestamp and body hash
+ * @param {Object} auth - HMAC auth config
+ * @param {Object} request - Request ({ method, url, body })
+ * @returns {Object} - Signature headers
+ */
+function signRequest(auth, request) {
+  const algorithm = auth.algorithm || 'sha256';
+  const encoding = auth.encoding || 'hex';
+  const timestamp = new Date().toISOString();
+  const { pathname, search } = new URL(request.url);
+  const bodyHash = crypto.createHash(algorithm).update(request.body || '').digest('hex');
+
+  const stringToSign = [request.method.toUpperCase(), `${pathname}${search}`, timestamp, bodyHash].join('\n');
+  const signature = crypto.createHmac(algorithm, auth.secret).update(stringToSign).digest(encoding);
+
+  return {
+    [auth.keyIdHeader || 'X-Key-Id']: auth.keyId,
+    [auth.timestampHeader || 'X-Timestamp']: timestamp,
+    [auth.signatureHeader || 'X-Signature']: signature
+  };
+}
+
+/**
+ * Auth providers keyed by auth.type
+ * validate(auth) throws on bad config; headers(auth, request) returns the headers for one request;
+ * refresh(auth), when present, drops cached credentials so the next request fetches new ones;
+ * preview(auth), when present, returns the header names without making a network call
+ */
+export const AUTH_PROVIDERS = {
+  // { type: 'basic', userId, apiKey }
+  basic: {
+    validate(auth) {
+      requireString(auth, 'userId');
+      requireString(auth, 'apiKey');
+    },
+    headers(auth) {
+      return {
+        Authorization: `Basic ${Buffer.from(`${auth.userId}:${auth.apiKey}`).toString('base64')}`,
+        'X-User-Id': auth.userId,
+      };
+    }
+  },
+
+  // { type: 'bearer', token }
+  bearer: {
+    validate(auth) {
+      requireString(auth, 'token');
+    },
+    headers(auth) {
+      return { Authorization: `Bearer ${auth.token}` };
+    }
+  },
+
+  // { type: 'apiKey', key, header = 'X-API-Key', prefix }
+  apiKey: {
+    validate(auth) {
+      requireString(auth, 'key');
+      optionalString(auth, 'header');
+      if (auth.prefix !== undefined && typeof auth.prefix !== 'string') {
+        throw new Error('auth.prefix must be a string');
+      }
+    },
+    headers(auth) {
+      const value = auth.prefix ? `${auth.prefix} ${auth.key}` : auth.key;
+      return { [auth.header || 'X-API-Key']: value };
+    }
+  },
+
+  // { type: 'oauth2', tokenUrl, clientId, clientSecret, scope, audience, clientAuth = 'basic' }
+  oauth2: {
+    validate(auth) {
+      requireString(auth, 'tokenUrl');
+      requireString(auth, 'clientId');
+      requireString(auth, 'clientSecret');
+      optionalString(auth, 'scope');
+      optionalString(auth, 'audience');
+      try {
+        new URL(auth.tokenUrl);
+      } catch (err) {
+        throw new Error(`Invalid auth.tokenUrl: ${auth.tokenUrl}`);
+      }
+      if (auth.clientAuth !== undefined && !['basic', 'body'].includes(auth.clientAuth)) {
+        throw new Error('auth.clientAuth must be "basic" or "body"');
+      }
+    },
+    async headers(auth) {
+      return { Authorization: `Bearer ${await getAccessToken(auth)}` };
+    },
+    preview() {
+      return { Authorization: 'Bearer' };
+    },
+    refresh(auth) {
+      tokenCache.delete(tokenCacheKey(auth));
+    }
+  },
+
+  // { type: 'hmac', keyId, secret, algorithm = 'sha256', encoding = 'hex', keyIdHeader, timestampHeader, signatureHeader }
+  hmac: {
+    validate(auth) {
+      requireString(auth, 'keyId');
+      requireString(auth, 'secret');
+      ['keyIdHeader', 'timestampHeader', 'signatureHeader'].forEach(field => optionalString(auth, field));
+      if (auth.algorithm !== undefined && !HMAC_ALGORITHMS.includes(auth.algorithm)) {
+        throw new Error(`auth.algorithm must be one of: ${HMAC_ALGORITHMS.join(', ')}`);
+      }
+      if (auth.encoding !== undefined && !HMAC_ENCODINGS.includes(auth.encoding)) {
+        throw new Error(`auth.encoding must be one of: ${HMAC_ENCODINGS.join(', ')}`);
+      }
+    },
+    headers(auth, request) {
+      return signRequest(auth, request);
+    }
+  }
+};
+
+/**
+ * Get the provider for an auth config; configs without a type use Basic auth
+ * @param {Object} auth - Auth config
+ * @returns {Object} - Auth provider
+ * @throws {Error} If the type is not supported
+ */
+function getAuthProvider(auth) {
+  const type = auth.type || 'basic';
+  const provider = Object.prototype.hasOwnProperty.call(AUTH_PROVIDERS, type) ? AUTH_PROVIDERS[type] : null;
+  if (!provider) {
+    throw new Error(`Unsupported auth.type "${type}" (expected one of: ${Object.keys(AUTH_PROVIDERS).join(', ')})`);
+  }
+  return provider;
+}
 
 /**
  * Create Basic Authentication headers from credentials
@@ -10,27 +255,55 @@
  * @returns {Object} - Headers object with Authorization and X-User-Id
  */
 export function createAuthHeaders(auth) {
-  return {
-    Authorization: `Basic ${Buffer.from(`${auth.userId}:${auth.apiKey}`).toString('base64')}`,
-    'X-User-Id': auth.userId,
-  };
+  return AUTH_PROVIDERS.basic.headers(auth);
+}
+
+/**
+ * Get the auth headers for one request
+ * @param {Object} auth - Auth config
+ * @param {Object} request - Request ({ method, url, body }); body is the exact string being sent
+ * @returns {Promise<Object>} - Headers to add to the request
+ */
+export async function getAuthHeaders(auth, request) {
+  if (!auth) return {};
+  return getAuthProvider(auth).headers(auth, request);
+}
+
+/**
+ * Get the auth headers a request would carry, with every value masked (dry runs)
+ * @param {Object} auth - Auth config
+ * @param {Object} request - Request ({ method, url, body })
+ * @param {string} replacement - Text shown instead of each value
+ * @returns {Promise<Object>} - Header names with masked values
+ */
+export async function previewAuthHeaders(auth, request, replacement) {
+  if (!auth) return {};
+  const provider = getAuthProvider(auth);
+  const headers = provider.preview ? provider.preview(auth) : await provider.headers(auth, request);
+  return Object.fromEntries(Object.keys(headers).map(name => [name, replacement]));
+}
+
+/**
+ * Drop cached credentials after the target rejected them
+ * @param {Object} auth - Auth config
+ * @returns {boolean} - True if the provider can refresh, so the request is worth repeating
+ */
+export function refreshAuth(auth) {
+  const provider = auth ? getAuthProvider(auth) : null;
+  if (!provider?.refresh) return false;
+  provider.refresh(auth);
+  return true;
 }
 
 /**
- * Validate job data for required authentication fields
+ * Validate a session auth config for its provider
  * @param {Object} auth - Authentication object
  * @throws {Error} If authentication fields are missing
  */
 export function validateAuth(auth) {
-  if (!auth) {
+  if (!auth || typeof auth !== 'object' || Array.isArray(auth)) {
     throw new Error('Missing auth object');
   }
-  
-  if (!auth.userId) {
-    throw new Error('Missing auth.userId');
-  }
-  
-  if (!auth.apiKey) {
-    throw new Error('Missing auth.apiKey');
-  }
-} 
\ No newline at end of file
+
+  getAuthProvider(auth).validate(auth);
+}
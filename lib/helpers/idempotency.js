@@ -0,0 +1,105 @@
+/**
+ * Idempotency helper functions - derive per-record idempotency keys from record fields
+ * Keys are also computed inside the worker threads for the Idempotency-Key header,
+ * so this module must stay free of Redis and logger imports
+ */
+import crypto from 'crypto';
+
+// Where completed keys are shared: between jobs of one session, or between all sessions calling the same target
+export const IDEMPOTENCY_SCOPES = ['session', 'target'];
+export const DEFAULT_IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+/**
+ * Read a value at a dot-separated path
+ * @param {Object} record - Record
+ * @param {string} fieldPath - Dot-separated path
+ * @returns {*} - Value or undefined
+ */
+function getField(record, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+/**
+ * Validate a list of idempotency key fields
+ * @param {Array<string>} fields - Record field paths
+ * @param {string} [label='idempotency.fields'] - Name used in error messages
+ * @throws {Error} If the list is invalid
+ */
+export function validateIdempotencyFields(fields, label = 'idempotency.fields') {
+  if (!Array.isArray(fields) || fields.length === 0 || fields.some(field => typeof field !== 'string' || !field.trim())) {
+    throw new Error(`${label} must be a non-empty array of record field names`);
+  }
+}
+
+/**
+ * Validate a session idempotency config
+ * @param {Object} idempotency - { fields, scope = 'session', header = false }
+ * @throws {Error} If the config is invalid
+ */
+export function validateIdempotency(idempotency) {
+  if (!idempotency || typeof idempotency !== 'object' || Array.isArray(idempotency)) {
+    throw new Error('idempotency must be an object');
+  }
+
+  validateIdempotencyFields(idempotency.fields);
+
+  if (idempotency.scope !== undefined && !IDEMPOTENCY_SCOPES.includes(idempotency.scope)) {
+    throw new Error(`idempotency.scope must be one of: ${IDEMPOTENCY_SCOPES.join(', ')}`);
+  }
+  if (idempotency.header !== undefined && typeof idempotency.header !== 'boolean'
+    && (typeof idempotency.header !== 'string' || !idempotency.header.trim())) {
+    throw new Error('idempotency.header must be a boolean or a header name');
+  }
+}
+
+/**
+ * Combine the session idempotency config with the key fields given for a job
+ * @param {Object} [idempotency] - Session idempotency config
+ * @param {Array<string>} [jobFields] - Key fields given when the job was queued; override the session's
+ * @returns {{ fields: Array<string>, scope: string, header: string|null }|null} - Effective config, or null when disabled
+ */
+export function resolveIdempotency(idempotency, jobFields) {
+  const fields = jobFields?.length ? jobFields : idempotency?.fields;
+  if (!fields?.length) return null;
+
+  const header = idempotency?.header === true ? DEFAULT_IDEMPOTENCY_HEADER : (idempotency?.header || null);
+
+  return {
+    fields,
+    scope: idempotency?.scope || 'session',
+    header
+  };
+}
+
+/**
+ * Build the idempotency key of a record
+ * @param {Object} record - Record (after mapping)
+ * @param {Array<string>} fields - Key fields
+ * @returns {string|null} - Key, or null when a key field is empty so the record can't be deduplicated
+ */
+export function buildIdempotencyKey(record, fields) {
+  const values = fields.map(field => getField(record, field));
+  if (values.some(value => value === undefined || value === null || value === '')) {
+    return null;
+  }
+
+  const canonical = JSON.stringify(fields.map((field, index) => [field, values[index]]));
+  return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 32);
+}
+
+/**
+ * Get the idempotency header for one request of a record
+ * Each step of a chain is a separate operation on the target, so it gets its own key
+ * @param {Object} [idempotency] - Effective idempotency config
+ * @param {Object} record - Record
+ * @param {string} [stepName] - Step name, for chains
+ * @returns {Object} - Header to add, or an empty object
+ */
+export function getIdempotencyHeaders(idempotency, record, stepName) {
+  if (!idempotency?.header) return {};
+
+  const key = buildIdempotencyKey(record, idempotency.fields);
+  if (!key) return {};
+
+  return { [idempotency.header]: stepName ? `${key}:${stepName}` : key };
+}
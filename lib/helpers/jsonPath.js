@@ -0,0 +1,188 @@
+/**
+ * JSONPath helper functions - a small JSONPath subset for pulling values out of API responses
+ * Supports $, .key, ['key'], [index], [*], .* and ..key (recursive descent)
+ * Kept free of Redis and logger imports so it can run inside worker threads
+ */
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$-]*/;
+
+/**
+ * Parse a JSONPath expression into segments
+ * @param {string} expression - JSONPath expression starting with $
+ * @returns {Array<Object>} - Segments ({ type: 'key'|'index'|'wildcard', value, recursive })
+ * @throws {Error} If the expression is not supported
+ */
+export function parseJsonPath(expression) {
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    throw new Error(`JSONPath must start with "$": ${expression}`);
+  }
+
+  const segments = [];
+  let rest = expression.slice(1);
+
+  while (rest.length > 0) {
+    let recursive = false;
+    let match;
+
+    if (rest.startsWith('..')) {
+      recursive = true;
+      rest = rest.slice(2);
+    } else if (rest.startsWith('.')) {
+      rest = rest.slice(1);
+    } else if (!rest.startsWith('[')) {
+      throw new Error(`Unexpected "${rest[0]}" in JSONPath: ${expression}`);
+    }
+
+    if (rest.startsWith('*')) {
+      segments.push({ type: 'wildcard', recursive });
+      rest = rest.slice(1);
+    } else if ((match = rest.match(IDENTIFIER_PATTERN))) {
+      segments.push({ type: 'key', value: match[0], recursive });
+      rest = rest.slice(match[0].length);
+    } else if ((match = rest.match(/^\[\s*\*\s*\]/))) {
+      segments.push({ type: 'wildcard', recursive });
+      rest = rest.slice(match[0].length);
+    } else if ((match = rest.match(/^\[\s*(-?\d+)\s*\]/))) {
+      segments.push({ type: 'index', value: parseInt(match[1], 10), recursive });
+      rest = rest.slice(match[0].length);
+    } else if ((match = rest.match(/^\[\s*'([^']*)'\s*\]/) || rest.match(/^\[\s*"([^"]*)"\s*\]/))) {
+      segments.push({ type: 'key', value: match[1], recursive });
+      rest = rest.slice(match[0].length);
+    } else {
+      throw new Error(`Unsupported JSONPath syntax near "${rest}" in: ${expression}`);
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Get the locations of the direct children of a value
+ * @param {*} value - Object or array
+ * @returns {Array<Object>} - Child locations ({ parent, key, value })
+ */
+function childrenOf(value) {
+  if (Array.isArray(value)) return value.map((child, key) => ({ parent: value, key, value: child }));
+  if (value && typeof value === 'object') return Object.entries(value).map(([key, child]) => ({ parent: value, key, value: child }));
+  return [];
+}
+
+/**
+ * Get a location and the locations of all of its descendants
+ * @param {Object} location - Root location
+ * @returns {Array<Object>} - Location followed by every nested location
+ */
+function descendantsOf(location) {
+  const all = [location];
+  childrenOf(location.value).forEach(child => all.push(...descendantsOf(child)));
+  return all;
+}
+
+/**
+ * Apply one segment to a value
+ * @param {*} value - Current value
+ * @param {Object} segment - Parsed segment
+ * @returns {Array<Object>} - Matched locations
+ */
+function applySegment(value, segment) {
+  if (segment.type === 'wildcard') {
+    return childrenOf(value);
+  }
+
+  if (segment.type === 'index') {
+    if (!Array.isArray(value)) return [];
+    const index = segment.value < 0 ? value.length + segment.value : segment.value;
+    return index in value ? [{ parent: value, key: index, value: value[index] }] : [];
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value) && segment.value in value) {
+    return [{ parent: value, key: segment.value, value: value[segment.value] }];
+  }
+  return [];
+}
+
+/**
+ * Find where a JSONPath expression matches
+ * @param {*} data - Data to query
+ * @param {string|Array<Object>} expression - JSONPath expression or parsed segments
+ * @returns {Array<Object>} - Matched locations ({ parent, key, value }); the root has no parent
+ */
+function locateJsonPath(data, expression) {
+  const segments = typeof expression === 'string' ? parseJsonPath(expression) : expression;
+
+  return segments.reduce((locations, segment) => {
+    const candidates = segment.recursive ? locations.flatMap(descendantsOf) : locations;
+    return candidates.flatMap(location => applySegment(location.value, segment));
+  }, [{ parent: null, key: null, value: data }]);
+}
+
+/**
+ * Evaluate a JSONPath expression
+ * @param {*} data - Data to query
+ * @param {string|Array<Object>} expression - JSONPath expression or parsed segments
+ * @returns {Array} - All matched values
+ */
+export function queryJsonPath(data, expression) {
+  return locateJsonPath(data, expression).map(location => location.value);
+}
+
+/**
+ * Replace every value matched by a JSONPath expression, in place
+ * @param {*} data - Object or array to modify
+ * @param {string|Array<Object>} expression - JSONPath expression or parsed segments
+ * @param {*} replacement - Value written at each match
+ * @returns {number} - Number of values replaced
+ */
+export function replaceJsonPath(data, expression, replacement) {
+  const locations = locateJsonPath(data, expression).filter(location => location.parent !== null);
+  locations.forEach(({ parent, key }) => {
+    parent[key] = replacement;
+  });
+  return locations.length;
+}
+
+/**
+ * Validate extraction rules
+ * @param {Array<Object>} rules - Rules ({ name, path })
+ * @throws {Error} If a rule is invalid
+ */
+export function validateExtractionRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('extract must be an array of { name, path } rules');
+  }
+
+  const names = new Set();
+  rules.forEach((rule, index) => {
+    if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) {
+      throw new Error(`extract[${index}].name must be a non-empty string`);
+    }
+    if (names.has(rule.name)) {
+      throw new Error(`Duplicate extraction rule name: ${rule.name}`);
+    }
+    names.add(rule.name);
+
+    try {
+      parseJsonPath(rule.path);
+    } catch (err) {
+      throw new Error(`extract[${index}].path: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Extract named values from a response body
+ * Wildcard and recursive paths always yield an array; other paths yield the value or null
+ * @param {*} data - Response body
+ * @param {Array<Object>} rules - Validated rules ({ name, path })
+ * @returns {Object} - Extracted values keyed by rule name
+ */
+export function extractFields(data, rules) {
+  const extracted = {};
+  rules.forEach(({ name, path }) => {
+    const segments = parseJsonPath(path);
+    const matches = queryJsonPath(data, segments);
+    const multiple = segments.some(segment => segment.type === 'wildcard' || segment.recursive);
+    extracted[name] = multiple ? matches : (matches.length > 0 ? matches[0] : null);
+  });
+  return extracted;
+}
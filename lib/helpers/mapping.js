@@ -0,0 +1,241 @@
+/**
+ * Column mapping helper functions - transform spreadsheet rows into API payload records
+ */
+
+// Supported coercion types for mapped fields
+export const MAPPING_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'datetime'];
+
+const FIELD_PATH_PATTERN = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+// Path segments that would reach object prototypes instead of creating fields
+const FORBIDDEN_PATH_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 't'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'f'];
+
+// Excel stores dates as days since 1899-12-30
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a mapping template definition
+ * @param {Object} template - Mapping template
+ * @param {Array<Object>} template.fields - Field mappings ({ source, target, type, default })
+ * @param {Array<string>} [template.drop] - Source columns to drop
+ * @param {boolean} [template.keepUnmapped=true] - Pass unmapped columns through unchanged
+ * @throws {Error} If the template is invalid
+ */
+export function validateMappingTemplate(template) {
+  if (!template || typeof template !== 'object') {
+    throw new Error('Missing mapping template');
+  }
+
+  if (!Array.isArray(template.fields) || template.fields.length === 0) {
+    throw new Error('Mapping template must define at least one field');
+  }
+
+  const targets = new Set();
+  template.fields.forEach((field, index) => {
+    if (!field || typeof field !== 'object') {
+      throw new Error(`fields[${index}] must be an object`);
+    }
+
+    if (field.source === undefined && field.default === undefined) {
+      throw new Error(`fields[${index}] needs a source column or a default value`);
+    }
+
+    if (field.source !== undefined && (typeof field.source !== 'string' || !field.source.trim())) {
+      throw new Error(`fields[${index}].source must be a non-empty string`);
+    }
+
+    if (typeof field.target !== 'string' || !FIELD_PATH_PATTERN.test(field.target)) {
+      throw new Error(`fields[${index}].target must be a dot-separated field path`);
+    }
+    if (field.target.split('.').some(key => FORBIDDEN_PATH_SEGMENTS.includes(key))) {
+      throw new Error(`fields[${index}].target must not use ${FORBIDDEN_PATH_SEGMENTS.join(', ')}`);
+    }
+
+    if (targets.has(field.target)) {
+      throw new Error(`Duplicate target field: ${field.target}`);
+    }
+    targets.add(field.target);
+
+    if (field.type !== undefined && !MAPPING_TYPES.includes(field.type)) {
+      throw new Error(`fields[${index}].type must be one of: ${MAPPING_TYPES.join(', ')}`);
+    }
+  });
+
+  if (template.drop !== undefined &&
+      (!Array.isArray(template.drop) || template.drop.some(column => typeof column !== 'string'))) {
+    throw new Error('drop must be an array of column names');
+  }
+
+  if (template.keepUnmapped !== undefined && typeof template.keepUnmapped !== 'boolean') {
+    throw new Error('keepUnmapped must be a boolean');
+  }
+}
+
+/**
+ * Convert a date-like value to a Date
+ * @param {*} value - Excel serial number, Date or date string
+ * @returns {Date|null} - Parsed date or null if unparseable
+ */
+function toDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  if (typeof value === 'number') {
+    return new Date(EXCEL_EPOCH_MS + Math.round(value * MS_PER_DAY));
+  }
+
+  const text = String(value).trim();
+
+  // US-style MM/DD/YYYY, parsed as UTC so the calendar day never shifts
+  const usDate = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (usDate) {
+    const [, month, day, year] = usDate.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 ? date : null;
+  }
+
+  const timestamp = Date.parse(text);
+  return isNaN(timestamp) ? null : new Date(timestamp);
+}
+
+/**
+ * Coerce a cell value to the requested type
+ * @param {*} value - Raw value
+ * @param {string} [type] - Target type from MAPPING_TYPES
+ * @returns {*} - Coerced value
+ * @throws {Error} If the value cannot be coerced
+ */
+export function coerceValue(value, type) {
+  switch (type) {
+    case undefined:
+      return value;
+    case 'string':
+      return String(value);
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, ''));
+      if (String(value).trim() === '' || !Number.isFinite(number)) {
+        throw new Error(`"${value}" is not a number`);
+      }
+      if (type === 'integer' && !Number.isInteger(number)) {
+        throw new Error(`"${value}" is not an integer`);
+      }
+      return number;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return true;
+      if (FALSE_VALUES.includes(text)) return false;
+      throw new Error(`"${value}" is not a boolean`);
+    }
+    case 'date':
+    case 'datetime': {
+      const date = toDate(value);
+      if (!date) {
+        throw new Error(`"${value}" is not a date`);
+      }
+      return type === 'date' ? date.toISOString().slice(0, 10) : date.toISOString();
+    }
+    default:
+      throw new Error(`Unsupported type: ${type}`);
+  }
+}
+
+/**
+ * Set an own property, even for keys such as __proto__ that plain assignment treats specially
+ * @param {Object} target - Object to modify
+ * @param {string} key - Property name
+ * @param {*} value - Value to set
+ */
+function setOwn(target, key, value) {
+  Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * Set a value at a dot-separated path, creating intermediate objects
+ * Only own properties are followed, so a path can never reach a prototype
+ * @param {Object} target - Object to modify
+ * @param {string} fieldPath - Dot-separated path
+ * @param {*} value - Value to set
+ */
+function setPath(target, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  let current = target;
+  keys.slice(0, -1).forEach(key => {
+    if (!Object.hasOwn(current, key) || !current[key] || typeof current[key] !== 'object') {
+      setOwn(current, key, {});
+    }
+    current = current[key];
+  });
+  setOwn(current, keys[keys.length - 1], value);
+}
+
+/**
+ * Transform records with a mapping template
+ * @param {Array<Object>} records - Source rows keyed by column header
+ * @param {Object} template - Validated mapping template
+ * @returns {Array<Object>} - Mapped records
+ * @throws {Error} If any value cannot be coerced (with validationResults and the mapped records attached;
+ *   values that failed coercion are left out of them)
+ */
+export function applyMapping(records, template) {
+  const { fields, drop = [], keepUnmapped = true } = template;
+  const mappedSources = new Set(fields.map(field => field.source).filter(Boolean));
+  const droppedSources = new Set(drop);
+
+  const validationResults = {
+    valid: true,
+    missingFields: [],
+    invalidTypes: [],
+    details: []
+  };
+
+  const mapped = records.map((record, index) => {
+    const output = {};
+    const issues = [];
+
+    // Unmapped columns are passed through first so explicit mappings win
+    if (keepUnmapped) {
+      Object.entries(record).forEach(([column, value]) => {
+        if (!mappedSources.has(column) && !droppedSources.has(column)) {
+          setOwn(output, column, value);
+        }
+      });
+    }
+
+    fields.forEach(field => {
+      let value = field.source !== undefined ? record[field.source] : undefined;
+      if (value === undefined || value === null || value === '') {
+        if (field.default === undefined) return;
+        value = field.default;
+      }
+
+      try {
+        setPath(output, field.target, coerceValue(value, field.type));
+      } catch (err) {
+        issues.push(`${field.source || field.target}: ${err.message}`);
+        validationResults.invalidTypes.push(field.target);
+      }
+    });
+
+    if (issues.length > 0) {
+      validationResults.valid = false;
+      validationResults.details.push({ index, issues });
+    }
+
+    return output;
+  });
+
+  if (!validationResults.valid) {
+    const mappingError = new Error('Job data mapping failed');
+    mappingError.validationResults = validationResults;
+    mappingError.records = mapped;
+    throw mappingError;
+  }
+
+  return mapped;
+}
@@ -0,0 +1,68 @@
+/**
+ * Permission helper functions - what each user role may do
+ * Routes require a permission, never a role, so roles can be reshaped here without touching them.
+ * Permissions apply within the user's own tenant; installation-wide actions also need the default tenant
+ */
+
+const VIEWER_PERMISSIONS = [
+  'jobs:read',
+  'logs:read',
+  'errors:read',
+  'metrics:read',
+  'mappings:read',
+  'schedules:read',
+  'sessions:read',
+  'tenant:read',
+  'webhooks:read'
+];
+
+const OPERATOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'jobs:write',
+  'errors:write',
+  'mappings:write',
+  'schedules:write',
+  'sessions:write',
+  'webhooks:write'
+];
+
+const ADMIN_PERMISSIONS = [
+  ...OPERATOR_PERMISSIONS,
+  'jobs:delete',
+  'queue:manage',
+  'metrics:test',
+  'credentials:rotate',
+  'users:manage',
+  'apikeys:manage',
+  'tenants:manage',
+  'board:access'
+];
+
+// Permissions of each role, from least to most privileged
+export const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  operator: OPERATOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS
+};
+
+// Accounts created before viewer and operator existed have the role "user", which could do what operators do
+const LEGACY_ROLES = { user: 'operator' };
+
+/**
+ * Get the permissions of a role
+ * @param {string} role - Role
+ * @returns {Array<string>} - Permissions; none for an unknown role
+ */
+export function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[LEGACY_ROLES[role] || role] || [];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role
+ * @param {string} permission - Permission, e.g. jobs:write
+ * @returns {boolean} - True if granted
+ */
+export function hasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
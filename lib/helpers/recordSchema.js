@@ -0,0 +1,388 @@
+/**
+ * Record schema helper functions - the JSON Schema subset used to validate records per session
+ * Supports types, formats, enums, patterns, length and range limits, nested objects and arrays,
+ * and cross-field rules (dependentRequired, if/then/else, allOf/anyOf/oneOf/not)
+ * Errors carry the JSON Pointer of the failing value, e.g. /member/plans/0/id
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+// Supported values of the format keyword
+export const SCHEMA_FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+    && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i.test(value)
+    && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => {
+    try {
+      new URL(value);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+// Keywords that only describe the schema
+const ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples'];
+
+const NUMBER_KEYWORDS = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum'];
+const COUNT_KEYWORDS = ['minLength', 'maxLength', 'minItems', 'maxItems'];
+const SCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf'];
+const SUBSCHEMA_KEYWORDS = ['items', 'not', 'if', 'then', 'else'];
+
+const SUPPORTED_KEYWORDS = new Set([
+  ...ANNOTATIONS, ...NUMBER_KEYWORDS, ...COUNT_KEYWORDS, ...SCHEMA_LIST_KEYWORDS, ...SUBSCHEMA_KEYWORDS,
+  'type', 'enum', 'const', 'format', 'pattern', 'properties', 'required', 'additionalProperties', 'dependentRequired'
+]);
+
+// Compiled pattern keywords, so records don't recompile them
+const patternCache = new Map();
+
+// Patterns run against every record on the worker's thread, so they are kept short and free of
+// nested quantifiers such as (a+)+, which backtrack exponentially
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Read the quantifier at a position of a pattern, if any
+ * @param {string} pattern - Regular expression source
+ * @param {number} index - Position just after an atom
+ * @returns {{ length: number, repeats: boolean, fixed: boolean }|null} - Quantifier length (including
+ *   a lazy ?), whether it can match more than once and whether it is an exact count such as {3},
+ *   or null if there is none
+ */
+function readQuantifier(pattern, index) {
+  const match = /^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/.exec(pattern.slice(index));
+  if (!match) return null;
+
+  const [text, min, comma, max] = match;
+  const repeats = text[0] === '*' || text[0] === '+' ||
+    (text[0] === '{' && (comma ? max === '' || Number(max) > 1 : Number(min) > 1));
+  return { length: text.length, repeats, fixed: text[0] === '{' && !comma };
+}
+
+/**
+ * Check whether a pattern repeats a group that itself contains a quantifier
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} - True if a quantifier is nested inside a repeated group
+ */
+function hasNestedQuantifier(pattern) {
+  // One entry per open group: whether it contains a quantifier so far
+  const groups = [];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const quantified = groups.pop();
+      const quantifier = readQuantifier(pattern, i + 1);
+      if (quantified && quantifier && quantifier.repeats) return true;
+      if (groups.length > 0 && (quantified || (quantifier && !quantifier.fixed))) groups[groups.length - 1] = true;
+      if (quantifier) i += quantifier.length;
+      continue;
+    }
+
+    // Quantifier after any other atom; a ? right after ( starts a group modifier instead
+    const quantifier = !inClass && char !== '(' && readQuantifier(pattern, i + 1);
+    if (quantifier) {
+      if (groups.length > 0 && !quantifier.fixed) groups[groups.length - 1] = true;
+      i += quantifier.length;
+    }
+  }
+  return false;
+}
+
+/**
+ * Get a compiled pattern
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp} - Compiled expression
+ */
+function compilePattern(pattern) {
+  if (!patternCache.has(pattern)) {
+    patternCache.set(pattern, new RegExp(pattern, 'u'));
+  }
+  return patternCache.get(pattern);
+}
+
+/**
+ * Check that a keyword holds a list of strings
+ * @param {*} value - Keyword value
+ * @param {string} label - Keyword location for error messages
+ */
+function requireStringList(value, label) {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new Error(`${label} must be an array of strings`);
+  }
+}
+
+/**
+ * Validate a record schema
+ * Unsupported keywords are rejected rather than ignored, so a schema never checks less than it appears to
+ * @param {Object|boolean} schema - Schema
+ * @param {string} [label='recordSchema'] - Schema location for error messages
+ * @throws {Error} If the schema is invalid
+ */
+export function validateRecordSchema(schema, label = 'recordSchema') {
+  if (typeof schema === 'boolean') return;
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`${label} must be an object or boolean`);
+  }
+
+  Object.keys(schema).forEach(keyword => {
+    if (!SUPPORTED_KEYWORDS.has(keyword)) {
+      throw new Error(`${label}.${keyword} is not a supported schema keyword`);
+    }
+  });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (types.length === 0 || types.some(type => !TYPES.includes(type))) {
+      throw new Error(`${label}.type must be one or more of: ${TYPES.join(', ')}`);
+    }
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    throw new Error(`${label}.enum must be a non-empty array`);
+  }
+  if (schema.format !== undefined && !Object.prototype.hasOwnProperty.call(SCHEMA_FORMATS, schema.format)) {
+    throw new Error(`${label}.format must be one of: ${Object.keys(SCHEMA_FORMATS).join(', ')}`);
+  }
+  if (schema.pattern !== undefined) {
+    if (typeof schema.pattern !== 'string' || schema.pattern.length > MAX_PATTERN_LENGTH) {
+      throw new Error(`${label}.pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+    }
+    try {
+      compilePattern(schema.pattern);
+    } catch (err) {
+      throw new Error(`${label}.pattern is not a valid regular expression: ${err.message}`);
+    }
+    if (hasNestedQuantifier(schema.pattern)) {
+      throw new Error(`${label}.pattern must not repeat a group that contains a quantifier, e.g. (a+)+`);
+    }
+  }
+
+  NUMBER_KEYWORDS.forEach(keyword => {
+    if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') {
+      throw new Error(`${label}.${keyword} must be a number`);
+    }
+  });
+  COUNT_KEYWORDS.forEach(keyword => {
+    if (schema[keyword] !== undefined && (!Number.isInteger(schema[keyword]) || schema[keyword] < 0)) {
+      throw new Error(`${label}.${keyword} must be a non-negative integer`);
+    }
+  });
+
+  if (schema.required !== undefined) {
+    requireStringList(schema.required, `${label}.required`);
+  }
+  if (schema.properties !== undefined) {
+    if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+      throw new Error(`${label}.properties must be an object`);
+    }
+    Object.entries(schema.properties).forEach(([name, subschema]) => {
+      validateRecordSchema(subschema, `${label}.properties.${name}`);
+    });
+  }
+  if (schema.additionalProperties !== undefined) {
+    validateRecordSchema(schema.additionalProperties, `${label}.additionalProperties`);
+  }
+  if (schema.dependentRequired !== undefined) {
+    if (!schema.dependentRequired || typeof schema.dependentRequired !== 'object' || Array.isArray(schema.dependentRequired)) {
+      throw new Error(`${label}.dependentRequired must be an object`);
+    }
+    Object.entries(schema.dependentRequired).forEach(([name, fields]) => {
+      requireStringList(fields, `${label}.dependentRequired.${name}`);
+    });
+  }
+
+  SUBSCHEMA_KEYWORDS.forEach(keyword => {
+    if (schema[keyword] !== undefined) {
+      validateRecordSchema(schema[keyword], `${label}.${keyword}`);
+    }
+  });
+  SCHEMA_LIST_KEYWORDS.forEach(keyword => {
+    if (schema[keyword] !== undefined) {
+      if (!Array.isArray(schema[keyword]) || schema[keyword].length === 0) {
+        throw new Error(`${label}.${keyword} must be a non-empty array of schemas`);
+      }
+      schema[keyword].forEach((subschema, index) => validateRecordSchema(subschema, `${label}.${keyword}[${index}]`));
+    }
+  });
+}
+
+/**
+ * Append a key to a JSON Pointer
+ * @param {string} pointer - Parent pointer
+ * @param {string|number} key - Property name or array index
+ * @returns {string} - Child pointer
+ */
+function childPointer(pointer, key) {
+  return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - Value
+ * @returns {string} - Type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check whether a value has one of the given types
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean} - True if the value matches
+ */
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Compare two JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if equal
+ */
+function isEqual(a, b) {
+  return a === b || (typeof a === 'object' && a !== null && JSON.stringify(a) === JSON.stringify(b));
+}
+
+/**
+ * Collect the errors of a value against a schema
+ * @param {*} value - Value being checked
+ * @param {Object|boolean} schema - Validated schema
+ * @param {string} pointer - JSON Pointer of the value
+ * @param {Array<Object>} errors - Accumulator of { path, keyword, message }
+ * @returns {Array<Object>} - errors
+ */
+function collectErrors(value, schema, pointer, errors) {
+  const fail = (keyword, message, path = pointer) => errors.push({ path: path || '/', keyword, message });
+
+  if (schema === true) return errors;
+  if (schema === false) {
+    fail('false', 'is not allowed');
+    return errors;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail('type', `must be ${types.join(' or ')}`);
+      // The remaining keywords assume the right type
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && !isEqual(value, schema.const)) {
+    fail('const', `must be equal to ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum !== undefined && !schema.enum.some(option => isEqual(value, option))) {
+    fail('enum', `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', `must NOT have fewer than ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `must NOT have more than ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !compilePattern(schema.pattern).test(value)) {
+      fail('pattern', `must match pattern "${schema.pattern}"`);
+    }
+    if (schema.format !== undefined && !SCHEMA_FORMATS[schema.format](value)) {
+      fail('format', `must match format "${schema.format}"`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must NOT have fewer than ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must NOT have more than ${schema.maxItems} items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => collectErrors(item, schema.items, childPointer(pointer, index), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const present = name => value[name] !== undefined;
+
+    (schema.required || []).forEach(name => {
+      if (!present(name)) fail('required', 'is required', childPointer(pointer, name));
+    });
+
+    Object.entries(schema.dependentRequired || {}).forEach(([name, fields]) => {
+      if (!present(name)) return;
+      fields.filter(field => !present(field)).forEach(field => {
+        fail('dependentRequired', `is required when ${name} is present`, childPointer(pointer, field));
+      });
+    });
+
+    Object.entries(value).forEach(([name, item]) => {
+      if (item === undefined) return;
+      if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, name)) {
+        collectErrors(item, schema.properties[name], childPointer(pointer, name), errors);
+      } else if (schema.additionalProperties === false) {
+        fail('additionalProperties', 'is not an allowed property', childPointer(pointer, name));
+      } else if (schema.additionalProperties !== undefined) {
+        collectErrors(item, schema.additionalProperties, childPointer(pointer, name), errors);
+      }
+    });
+  }
+
+  // Cross-field rules: subschemas are checked against the same value
+  const passes = subschema => collectErrors(value, subschema, pointer, []).length === 0;
+
+  (schema.allOf || []).forEach(subschema => collectErrors(value, subschema, pointer, errors));
+  if (schema.anyOf && !schema.anyOf.some(passes)) {
+    fail('anyOf', 'must match at least one of the anyOf schemas');
+  }
+  if (schema.oneOf && schema.oneOf.filter(passes).length !== 1) {
+    fail('oneOf', 'must match exactly one of the oneOf schemas');
+  }
+  if (schema.not !== undefined && passes(schema.not)) {
+    fail('not', 'must NOT match the "not" schema');
+  }
+  if (schema.if !== undefined) {
+    const branch = passes(schema.if) ? schema.then : schema.else;
+    if (branch !== undefined) collectErrors(value, branch, pointer, errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Check a record against a validated schema
+ * @param {Object} record - Record (after mapping)
+ * @param {Object|boolean} schema - Schema accepted by validateRecordSchema
+ * @returns {Array<{ path: string, keyword: string, message: string }>} - Errors; empty when the record is valid
+ */
+export function checkRecord(record, schema) {
+  return collectErrors(record, schema, '', []);
+}
@@ -0,0 +1,53 @@
+/**
+ * Redaction helper functions - mask secrets and PII before data is logged or stored
+ */
+import { parseJsonPath, replaceJsonPath } from './jsonPath.js';
+
+/**
+ * Create a redaction function from a set of rules
+ * The returned function never modifies its input; it returns a redacted copy
+ * @param {Object} rules - Redaction rules
+ * @param {Array<string>} [rules.headers] - Key names (case-insensitive) masked wherever they appear, e.g. authorization
+ * @param {Array<string>} [rules.paths] - JSONPath expressions whose values are masked, e.g. $..ssn
+ * @param {Array<string|RegExp>} [rules.patterns] - Patterns masked inside any string value
+ * @param {string} [rules.replacement='[REDACTED]'] - Replacement text
+ * @returns {Function} - (value) => redacted copy
+ * @throws {Error} If a path or pattern is invalid
+ */
+export function createRedactor({ headers = [], paths = [], patterns = [], replacement = '[REDACTED]' } = {}) {
+  const keyNames = new Set(headers.map(name => name.toLowerCase()));
+  const pathSegments = paths.map(expression => parseJsonPath(expression));
+  const expressions = patterns.map(pattern => (pattern instanceof RegExp
+    ? new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`)
+    : new RegExp(pattern, 'g')));
+
+  const scrubString = text => expressions.reduce((result, expression) => result.replace(expression, replacement), text);
+
+  const copy = (value, ancestors) => {
+    if (typeof value === 'string') return scrubString(value);
+    // Errors are left to pino's serializer; dates and buffers hold no nested values
+    if (!value || typeof value !== 'object' || value instanceof Error || value instanceof Date || Buffer.isBuffer(value)) {
+      return value;
+    }
+    if (ancestors.has(value)) return '[Circular]';
+
+    ancestors.add(value);
+    const result = Array.isArray(value)
+      ? value.map(item => copy(item, ancestors))
+      : Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        keyNames.has(key.toLowerCase()) && item !== undefined ? replacement : copy(item, ancestors)
+      ]));
+    ancestors.delete(value);
+
+    return result;
+  };
+
+  return (value) => {
+    const redacted = copy(value, new Set());
+    if (redacted && typeof redacted === 'object' && !(redacted instanceof Error)) {
+      pathSegments.forEach(segments => replaceJsonPath(redacted, segments, replacement));
+    }
+    return redacted;
+  };
+}
@@ -0,0 +1,405 @@
+/**
+ * Request template helper functions - render per-record HTTP requests from session templates
+ * Kept free of Redis and logger imports so it can run inside worker threads
+ */
+import { validateExtractionRules } from './jsonPath.js';
+
+// Allowed HTTP methods for templated requests
+export const TEMPLATE_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Methods whose requests carry the record as their body when the template sets none
+const RECORD_BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+// Upper bound on calls made per record by a step chain
+export const MAX_STEPS = 10;
+
+// Operators supported in a step's "when" condition
+export const CONDITION_OPERATORS = ['exists', 'equals', 'notEquals', 'in'];
+
+// {{path}} or {{path?}} (optional), e.g. {{memberId}}, {{member.plans[0].id}}, {{$record}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const PATH_PATTERN = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*|\.\d+|\[\d+\])*\??$/;
+const STEP_NAME_PATTERN = /^[A-Za-z_][\w]{0,63}$/;
+
+/**
+ * Resolve a placeholder path against a render context
+ * @param {Object} context - Render context
+ * @param {string} placeholderPath - Path such as "member.plans[0].id"
+ * @returns {*} - Resolved value or undefined
+ */
+export function resolvePath(context, placeholderPath) {
+  return placeholderPath
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+/**
+ * Collect the placeholders used in a template value
+ * @param {*} value - Template value (string, object or array)
+ * @param {Array<string>} [found] - Accumulator
+ * @returns {Array<string>} - Placeholder expressions
+ */
+function collectPlaceholders(value, found = []) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+      found.push(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectPlaceholders(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      collectPlaceholders(key, found);
+      collectPlaceholders(item, found);
+    });
+  }
+  return found;
+}
+
+/**
+ * Check that every {{ has a matching }} and every placeholder is a valid path
+ * @param {*} value - Template value
+ * @param {string} label - Name of the template part for error messages
+ * @throws {Error} If the template value is malformed
+ */
+function validatePlaceholders(value, label) {
+  const strings = [];
+  const walk = (item) => {
+    if (typeof item === 'string') strings.push(item);
+    else if (Array.isArray(item)) item.forEach(walk);
+    else if (item && typeof item === 'object') Object.entries(item).forEach(([key, v]) => { strings.push(key); walk(v); });
+  };
+  walk(value);
+
+  strings.forEach(text => {
+    const stripped = text.replace(PLACEHOLDER_PATTERN, '');
+    if (stripped.includes('{{') || stripped.includes('}}')) {
+      throw new Error(`Unbalanced placeholder braces in ${label}: "${text}"`);
+    }
+  });
+
+  collectPlaceholders(value).forEach(expression => {
+    if (!PATH_PATTERN.test(expression)) {
+      throw new Error(`Invalid placeholder "{{${expression}}}" in ${label}`);
+    }
+  });
+}
+
+/**
+ * Validate a request template at session creation
+ * @param {Object} template - Request template
+ * @param {string} [template.method='POST'] - HTTP method
+ * @param {string} [template.url] - URL (absolute, or relative to apiUrl); defaults to apiUrl
+ * @param {Object} [template.query] - Query-string parameters
+ * @param {Object} [template.headers] - Extra request headers
+ * @param {*} [template.body] - Request body; defaults to the record itself
+ * @param {string} [apiUrl] - Session API URL used as the base for relative URLs
+ * @param {string} [label='requestTemplate'] - Name of the template for error messages
+ * @throws {Error} If the template is invalid
+ */
+export function validateRequestTemplate(template, apiUrl, label = 'requestTemplate') {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const { method = 'POST', url, query, headers, body } = template;
+
+  if (typeof method !== 'string' || !TEMPLATE_METHODS.includes(method.toUpperCase())) {
+    throw new Error(`${label}.method must be one of: ${TEMPLATE_METHODS.join(', ')}`);
+  }
+
+  if (url !== undefined && (typeof url !== 'string' || !url.trim())) {
+    throw new Error(`${label}.url must be a non-empty string`);
+  }
+
+  if (!url && !apiUrl) {
+    throw new Error(`${label}.url is required when the session has no apiUrl`);
+  }
+
+  ['query', 'headers'].forEach(part => {
+    const value = template[part];
+    if (value === undefined) return;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`${label}.${part} must be an object`);
+    }
+    Object.entries(value).forEach(([key, item]) => {
+      if (!['string', 'number', 'boolean'].includes(typeof item)) {
+        throw new Error(`${label}.${part}.${key} must be a string, number or boolean`);
+      }
+    });
+  });
+
+  if (url) validatePlaceholders(url, `${label}.url`);
+  if (query) validatePlaceholders(query, `${label}.query`);
+  if (headers) validatePlaceholders(headers, `${label}.headers`);
+  if (body !== undefined) validatePlaceholders(body, `${label}.body`);
+
+  // The URL must still be valid once placeholders are filled in
+  if (url) {
+    const sampleUrl = url.replace(PLACEHOLDER_PATTERN, 'sample');
+    try {
+      new URL(sampleUrl, apiUrl);
+    } catch (err) {
+      throw new Error(`${label}.url does not resolve to a valid URL: ${url}`);
+    }
+  }
+}
+
+/**
+ * Validate a step's "when" condition
+ * @param {Object|Array<Object>} condition - Condition, or list of conditions that must all hold
+ * @param {string} label - Name of the condition for error messages
+ * @returns {Array<string>} - Paths referenced by the condition
+ * @throws {Error} If the condition is invalid
+ */
+function validateCondition(condition, label) {
+  const conditions = Array.isArray(condition) ? condition : [condition];
+  if (conditions.length === 0) {
+    throw new Error(`${label} must not be empty`);
+  }
+
+  return conditions.map((item, index) => {
+    const itemLabel = Array.isArray(condition) ? `${label}[${index}]` : label;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new Error(`${itemLabel} must be an object`);
+    }
+    if (typeof item.path !== 'string' || !PATH_PATTERN.test(item.path) || item.path.endsWith('?')) {
+      throw new Error(`${itemLabel}.path must be a field path such as "member.status" or "$steps.lookup.id"`);
+    }
+
+    const operators = CONDITION_OPERATORS.filter(operator => item[operator] !== undefined);
+    if (operators.length !== 1) {
+      throw new Error(`${itemLabel} must use exactly one of: ${CONDITION_OPERATORS.join(', ')}`);
+    }
+    if (item.exists !== undefined && typeof item.exists !== 'boolean') {
+      throw new Error(`${itemLabel}.exists must be a boolean`);
+    }
+    if (item.in !== undefined && !Array.isArray(item.in)) {
+      throw new Error(`${itemLabel}.in must be an array`);
+    }
+
+    return item.path;
+  });
+}
+
+/**
+ * Validate an ordered list of request steps
+ * Later steps may reference values extracted by earlier steps as {{$steps.<step>.<name>}}
+ * @param {Array<Object>} steps - Steps ({ name, method, url, query, headers, body, extract, when })
+ * @param {string} [apiUrl] - Session API URL used as the base for relative URLs
+ * @throws {Error} If a step is invalid
+ */
+export function validateSteps(steps, apiUrl) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('steps must be a non-empty array');
+  }
+  if (steps.length > MAX_STEPS) {
+    throw new Error(`steps must not contain more than ${MAX_STEPS} entries`);
+  }
+
+  const earlierSteps = new Set();
+  steps.forEach((step, index) => {
+    const label = `steps[${index}]`;
+    validateRequestTemplate(step, apiUrl, label);
+
+    if (typeof step.name !== 'string' || !STEP_NAME_PATTERN.test(step.name)) {
+      throw new Error(`${label}.name must start with a letter or underscore and contain only letters, digits and underscores`);
+    }
+    if (earlierSteps.has(step.name)) {
+      throw new Error(`Duplicate step name: ${step.name}`);
+    }
+
+    if (step.extract !== undefined) {
+      try {
+        validateExtractionRules(step.extract);
+      } catch (err) {
+        throw new Error(`${label}.${err.message}`);
+      }
+    }
+
+    const referenced = collectPlaceholders([step.url, step.query, step.headers, step.body]);
+    if (step.when !== undefined) {
+      referenced.push(...validateCondition(step.when, `${label}.when`));
+    }
+
+    // A step can only see values from steps that ran before it
+    referenced.forEach(expression => {
+      const match = expression.match(/^\$steps\.([A-Za-z_]\w*)/);
+      if (match && !earlierSteps.has(match[1])) {
+        throw new Error(`${label} references "${match[1]}", which is not an earlier step`);
+      }
+    });
+
+    earlierSteps.add(step.name);
+  });
+}
+
+/**
+ * Check whether a step's "when" condition holds
+ * @param {Object|Array<Object>} condition - Validated condition, or list of conditions that must all hold
+ * @param {Object} record - Record being processed
+ * @param {Object} [context] - Extra render context (e.g. { $steps })
+ * @returns {boolean} - True if the step should run
+ */
+export function evaluateCondition(condition, record, context = {}) {
+  const renderContext = { ...record, ...context, $record: record };
+  const conditions = Array.isArray(condition) ? condition : [condition];
+
+  return conditions.every(item => {
+    const value = resolvePath(renderContext, item.path);
+    const present = value !== undefined && value !== null && value !== '';
+
+    if (item.exists !== undefined) return present === item.exists;
+    if (item.equals !== undefined) return value === item.equals;
+    if (item.notEquals !== undefined) return value !== item.notEquals;
+    return item.in.includes(value);
+  });
+}
+
+/**
+ * Look up a placeholder value, failing on missing required values
+ * @param {Object} context - Render context
+ * @param {string} expression - Placeholder expression (optional when suffixed with "?")
+ * @returns {*} - Value (undefined for missing optional values)
+ */
+function lookup(context, expression) {
+  const optional = expression.endsWith('?');
+  const fieldPath = optional ? expression.slice(0, -1) : expression;
+  const value = resolvePath(context, fieldPath);
+
+  if ((value === undefined || value === null) && !optional) {
+    throw new Error(`Placeholder "{{${expression}}}" has no value in record`);
+  }
+
+  return value;
+}
+
+/**
+ * Render placeholders inside a string
+ * @param {string} text - Template string
+ * @param {Object} context - Render context
+ * @param {Function} [encode] - Encoder applied to substituted values
+ * @returns {string} - Rendered string
+ */
+function renderString(text, context, encode = value => value) {
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, expression) => {
+    const value = lookup(context, expression);
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return encode(typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+}
+
+/**
+ * Render a body value, keeping the original type when a string is a single placeholder
+ * @param {*} value - Template value
+ * @param {Object} context - Render context
+ * @returns {*} - Rendered value
+ */
+function renderValue(value, context) {
+  if (typeof value === 'string') {
+    const single = value.match(/^\{\{\s*([^{}]*?)\s*\}\}$/);
+    if (single) {
+      return lookup(context, single[1]);
+    }
+    return renderString(value, context);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => renderValue(item, context));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [renderString(key, context), renderValue(item, context)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Render the request for one record
+ * @param {Object} template - Validated request template
+ * @param {Object} record - Record being processed
+ * @param {Object} [options] - Render options
+ * @param {string} [options.apiUrl] - Base URL for relative template URLs
+ * @param {Object} [options.context] - Extra render context (e.g. { $steps })
+ * @returns {{ method: string, url: string, headers: Object, data: * }} - Axios request config
+ * @throws {Error} If a required placeholder has no value
+ */
+export function renderRequest(template, record, { apiUrl, context = {} } = {}) {
+  const renderContext = { ...record, ...context, $record: record };
+
+  const renderedUrl = template.url
+    ? renderString(template.url, renderContext, encodeURIComponent)
+    : apiUrl;
+  const url = new URL(renderedUrl, apiUrl);
+
+  Object.entries(template.query || {}).forEach(([key, value]) => {
+    const rendered = typeof value === 'string' ? renderString(value, renderContext) : String(value);
+    // Optional parameters that rendered empty are left off
+    if (rendered !== '') {
+      url.searchParams.append(key, rendered);
+    }
+  });
+
+  const headers = {};
+  Object.entries(template.headers || {}).forEach(([key, value]) => {
+    headers[key] = typeof value === 'string' ? renderString(value, renderContext) : String(value);
+  });
+
+  // Without a body, only methods that carry one send the record; GET and DELETE send nothing
+  const method = (template.method || 'POST').toUpperCase();
+  let data;
+  if (template.body !== undefined) {
+    data = renderValue(template.body, renderContext);
+  } else if (RECORD_BODY_METHODS.includes(method)) {
+    data = record;
+  }
+
+  return { method, url: url.toString(), headers, data };
+}
+
+/**
+ * Render every request a record would make, without sending anything (dry runs)
+ * Values from earlier step responses don't exist yet, so they render as "(step.value)" and
+ * conditions that depend on them are assumed to hold
+ * @param {Object} record - Record being processed
+ * @param {Object} options - Session request options
+ * @param {string} [options.apiUrl] - Session API URL
+ * @param {Object} [options.requestTemplate] - Session request template
+ * @param {Array<Object>} [options.steps] - Session request steps
+ * @returns {Array<Object>} - Per step: { name, method, url, headers, data }, or { name, skipped: true }
+ * @throws {Error} If the record can't fill a template
+ */
+export function previewRequests(record, { apiUrl, requestTemplate, steps }) {
+  const chain = steps?.length ? steps : [{ name: 'request', ...(requestTemplate || {}) }];
+  const stepValues = {};
+
+  return chain.map(step => {
+    const context = { $steps: stepValues };
+    const conditions = step.when ? [].concat(step.when) : [];
+    const dependsOnSteps = conditions.some(item => item.path.startsWith('$steps.'));
+
+    if (conditions.length > 0 && !dependsOnSteps && !evaluateCondition(step.when, record, context)) {
+      return { name: step.name, skipped: true };
+    }
+
+    let request;
+    try {
+      request = renderRequest(step, record, { apiUrl, context });
+    } catch (err) {
+      throw new Error(steps?.length ? `Step "${step.name}": ${err.message}` : err.message);
+    }
+
+    stepValues[step.name] = Object.fromEntries((step.extract || []).map(rule => [rule.name, `(${step.name}.${rule.name})`]));
+
+    return {
+      name: step.name,
+      ...(dependsOnSteps && { conditional: true }),
+      ...request
+    };
+  });
+}
@@ -0,0 +1,228 @@
+/**
+ * Schedule helper functions - validate schedule definitions and preview their next runs
+ * Cron expressions are evaluated with cron-parser, the same parser BullMQ uses for
+ * repeatable jobs, so previews match when the runs are actually queued
+ */
+import path from 'path';
+import cronParser from 'cron-parser';
+import { validateIdempotencyFields } from './idempotency.js';
+import { validatePriority } from './validation.js';
+
+// Fields a schedule definition is made of
+export const SCHEDULE_FIELDS = [
+  'name', 'sessionId', 'cron', 'runAt', 'timezone', 'source',
+  'chunkSize', 'mappingTemplate', 'idempotencyFields', 'dryRun', 'priority', 'enabled'
+];
+
+// Where a scheduled run reads its records from
+export const SCHEDULE_SOURCE_TYPES = ['dataset', 'directory'];
+
+// Files a directory source picks up, and the format each is read as
+export const DIRECTORY_FILE_FORMATS = {
+  '.csv': 'csv',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.xlsx': 'xlsx',
+  '.xls': 'xlsx'
+};
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate an IANA time zone name
+ * @param {string} timezone - Time zone, e.g. America/New_York
+ * @throws {Error} If the time zone is unknown
+ */
+function validateTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (e) {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+}
+
+/**
+ * Resolve a directory source against the configured root
+ * @param {string} root - Root that all directory sources must stay under
+ * @param {string} directory - Directory relative to the root
+ * @returns {string} - Absolute directory path
+ * @throws {Error} If the directory is absolute or escapes the root
+ */
+export function resolveSourceDirectory(root, directory) {
+  if (typeof directory !== 'string' || !directory.trim() || path.isAbsolute(directory)) {
+    throw new Error('source.path must be a directory relative to the schedule source root');
+  }
+
+  const base = path.resolve(root);
+  const resolved = path.resolve(base, directory);
+  if (resolved !== base && !resolved.startsWith(base + path.sep)) {
+    throw new Error('source.path must stay inside the schedule source root');
+  }
+  return resolved;
+}
+
+/**
+ * Validate a schedule source
+ * @param {Object} source - { type: 'dataset', records } or { type: 'directory', path, delimiter, encoding, sheet, headerRow, keepFiles }
+ * @param {string} root - Root that directory sources must stay under
+ * @throws {Error} If the source is invalid
+ */
+function validateSource(source, root) {
+  if (!isPlainObject(source) || !SCHEDULE_SOURCE_TYPES.includes(source.type)) {
+    throw new Error(`source.type must be one of: ${SCHEDULE_SOURCE_TYPES.join(', ')}`);
+  }
+
+  if (source.type === 'dataset') {
+    if (!Array.isArray(source.records) || source.records.length === 0 || !source.records.every(isPlainObject)) {
+      throw new Error('source.records must be a non-empty array of records');
+    }
+    return;
+  }
+
+  resolveSourceDirectory(root, source.path);
+  if (source.delimiter !== undefined && (typeof source.delimiter !== 'string' || !source.delimiter)) {
+    throw new Error('source.delimiter must be a non-empty string');
+  }
+  if (source.encoding !== undefined && !Buffer.isEncoding(source.encoding)) {
+    throw new Error(`Unsupported encoding: ${source.encoding}`);
+  }
+  if (source.sheet !== undefined && typeof source.sheet !== 'string') {
+    throw new Error('source.sheet must be a sheet name');
+  }
+  if (source.headerRow !== undefined && (!Number.isInteger(source.headerRow) || source.headerRow < 1)) {
+    throw new Error('source.headerRow must be a positive integer');
+  }
+  if (source.keepFiles !== undefined && typeof source.keepFiles !== 'boolean') {
+    throw new Error('source.keepFiles must be a boolean');
+  }
+}
+
+/**
+ * Validate a schedule definition
+ * @param {Object} definition - Schedule definition
+ * @param {string} definition.sessionId - Session the runs are queued for
+ * @param {string} [definition.cron] - Cron expression of a recurring schedule
+ * @param {string} [definition.runAt] - ISO-8601 time of a one-off schedule
+ * @param {string} [definition.timezone] - IANA time zone the cron expression is evaluated in
+ * @param {Object} definition.source - Record source
+ * @param {Object} options - Validation options
+ * @param {string} options.sourceRoot - Root that directory sources must stay under
+ * @param {number} [options.now=Date.now()] - Current time; enabled one-off schedules must be later
+ * @throws {Error} If the definition is invalid
+ */
+export function validateScheduleDefinition(definition, { sourceRoot, now = Date.now() }) {
+  if (!isPlainObject(definition)) {
+    throw new Error('Schedule must be an object');
+  }
+
+  const { name, sessionId, cron, runAt, timezone, source, chunkSize, mappingTemplate, idempotencyFields, dryRun, priority, enabled } = definition;
+
+  if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+    throw new Error('name must be a string of at most 100 characters');
+  }
+  if (typeof sessionId !== 'string' || !sessionId) {
+    throw new Error('sessionId is required');
+  }
+
+  if ((cron === undefined) === (runAt === undefined)) {
+    throw new Error('Give either cron or runAt');
+  }
+  if (timezone !== undefined) {
+    if (typeof timezone !== 'string' || cron === undefined) {
+      throw new Error('timezone must be a time zone name and only applies to cron schedules');
+    }
+    validateTimezone(timezone);
+  }
+  if (cron !== undefined) {
+    if (typeof cron !== 'string') {
+      throw new Error('cron must be a cron expression');
+    }
+    try {
+      cronParser.parseExpression(cron, { tz: timezone }).next();
+    } catch (e) {
+      throw new Error(`Invalid cron expression: ${e.message}`);
+    }
+  }
+  if (runAt !== undefined) {
+    const time = typeof runAt === 'string' ? Date.parse(runAt) : NaN;
+    if (Number.isNaN(time)) {
+      throw new Error('runAt must be an ISO-8601 date-time');
+    }
+    if (time <= now && enabled !== false) {
+      throw new Error('runAt must be in the future');
+    }
+  }
+
+  validateSource(source, sourceRoot);
+
+  if (chunkSize !== undefined && (!Number.isInteger(chunkSize) || chunkSize < 1)) {
+    throw new Error('chunkSize must be a positive integer');
+  }
+  if (mappingTemplate !== undefined && typeof mappingTemplate !== 'string') {
+    throw new Error('mappingTemplate must be a template name');
+  }
+  if (idempotencyFields !== undefined) {
+    validateIdempotencyFields(idempotencyFields, 'idempotencyFields');
+  }
+  if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+    throw new Error('dryRun must be a boolean');
+  }
+  if (priority !== undefined) {
+    validatePriority(priority);
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new Error('enabled must be a boolean');
+  }
+}
+
+/**
+ * Compute the next run times of a schedule
+ * @param {Object} schedule - Schedule ({ cron, timezone } or { runAt })
+ * @param {number} count - Runs to compute
+ * @param {Date} [from=new Date()] - Compute runs after this time
+ * @returns {Array<string>} - ISO-8601 run times; empty when nothing is left to run
+ */
+export function getNextRunTimes({ cron, timezone, runAt }, count, from = new Date()) {
+  if (runAt) {
+    return Date.parse(runAt) > from.getTime() ? [new Date(runAt).toISOString()] : [];
+  }
+
+  const interval = cronParser.parseExpression(cron, { currentDate: from, tz: timezone });
+  const runs = [];
+  while (runs.length < count && interval.hasNext()) {
+    runs.push(interval.next().toDate().toISOString());
+  }
+  return runs;
+}
+
+/**
+ * Apply changes to a schedule definition
+ * Switching between cron and runAt drops the other, so a schedule is never both
+ * @param {Object} definition - Current definition
+ * @param {Object} changes - Changed fields; a given source replaces the current one
+ * @returns {Object} - New definition (validate it before saving)
+ */
+export function mergeScheduleChanges(definition, changes) {
+  const merged = { ...definition };
+  SCHEDULE_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) {
+      merged[field] = changes[field];
+    }
+  });
+
+  if (changes.runAt !== undefined && changes.cron === undefined) {
+    delete merged.cron;
+    delete merged.timezone;
+  }
+  if (changes.cron !== undefined && changes.runAt === undefined) {
+    delete merged.runAt;
+  }
+  return merged;
+}
@@ -0,0 +1,75 @@
+/**
+ * Tenant helper functions - validate tenant IDs and quotas, and build quota errors
+ */
+import { TENANCY } from '../config/appConfig.js';
+
+// Quotas a tenant can have; each is a non-negative integer where 0 means unlimited
+export const TENANT_QUOTAS = Object.keys(TENANCY.DEFAULT_QUOTAS);
+
+const TENANT_PATTERN = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+
+/**
+ * Validate a tenant ID
+ * @param {string} tenant - Tenant ID
+ * @throws {Error} If the ID is invalid
+ */
+export function validateTenantId(tenant) {
+  if (typeof tenant !== 'string' || !TENANT_PATTERN.test(tenant)) {
+    throw new Error('tenant must be 2-64 lower-case letters, digits, "_" or "-"');
+  }
+}
+
+/**
+ * Validate quota changes
+ * @param {Object} quotas - Quotas to set; null puts a quota back to the default
+ * @throws {Error} If a quota is unknown or not a non-negative integer
+ */
+export function validateQuotas(quotas) {
+  if (!quotas || typeof quotas !== 'object' || Array.isArray(quotas)) {
+    throw new Error('Quotas must be an object');
+  }
+
+  const unknown = Object.keys(quotas).filter(name => !TENANT_QUOTAS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown quotas: ${unknown.join(', ')} (use ${TENANT_QUOTAS.join(', ')})`);
+  }
+  for (const [name, value] of Object.entries(quotas)) {
+    if (value !== null && (!Number.isInteger(value) || value < 0)) {
+      throw new Error(`${name} must be a non-negative integer, or null for the default`);
+    }
+  }
+}
+
+/**
+ * Check whether adding to a usage would go over a quota
+ * @param {number} limit - Quota; 0 means unlimited
+ * @param {number} used - Current usage
+ * @param {number} [adding=0] - Usage about to be added
+ * @returns {boolean} - True if the quota would be exceeded
+ */
+export function exceedsQuota(limit, used, adding = 0) {
+  return limit > 0 && used + adding > limit;
+}
+
+/**
+ * Build the error thrown when a tenant is over a quota
+ * Routes answer it with 429 and the quota details
+ * @param {string} quota - Quota name
+ * @param {number} limit - Quota
+ * @param {number} used - Current usage
+ * @returns {Error} - Error with a quota property ({ name, limit, used })
+ */
+export function quotaExceededError(quota, limit, used) {
+  const err = new Error(`Tenant quota exceeded: ${quota} (${used} of ${limit} used)`);
+  err.quota = { name: quota, limit, used };
+  return err;
+}
+
+/**
+ * Get the UTC day a records-per-day count belongs to
+ * @param {Date} [date=new Date()] - Time
+ * @returns {string} - Day as YYYY-MM-DD
+ */
+export function usageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
@@ -1,6 +1,12 @@
 /**
  * Validation helper functions
  */
+import { validateRequestTemplate, validateSteps } from './requestTemplate.js';
+import { validateExtractionRules } from './jsonPath.js';
+import { validateAuth } from './auth.js';
+import { validateIdempotency } from './idempotency.js';
+import { validateRecordSchema, checkRecord } from './recordSchema.js';
+import { QUEUE } from '../config/appConfig.js';
 
 /**
  * Validate job data structure and content
@@ -51,6 +57,75 @@ export function validateJobData(records) {
   }
 }
 
+/**
+ * Combine the validationResults of several checks over the same records
+ * Issues of the same row are merged into one detail
+ * @param {...Object} results - validationResults; undefined entries are ignored
+ * @returns {Object|undefined} - Combined validationResults, or undefined if none were given
+ */
+export function mergeValidationResults(...results) {
+  const present = results.filter(Boolean);
+  if (present.length === 0) return undefined;
+
+  const issuesByIndex = new Map();
+  present.forEach(({ details }) => details.forEach(({ index, issues }) => {
+    issuesByIndex.set(index, [...(issuesByIndex.get(index) || []), ...issues]);
+  }));
+
+  return {
+    valid: present.every(result => result.valid),
+    missingFields: present.flatMap(result => result.missingFields),
+    invalidTypes: present.flatMap(result => result.invalidTypes),
+    details: [...issuesByIndex.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([index, issues]) => ({ index, issues }))
+  };
+}
+
+/**
+ * Validate records against a session record schema without throwing on invalid rows
+ * Used instead of the built-in required-field checks when the session has a schema
+ * @param {Array} records - Records to validate
+ * @param {Object|boolean} schema - Session record schema
+ * @returns {Object} - validationResults ({ valid, missingFields, invalidTypes, details }); each detail
+ *   also lists its schema errors as { path, keyword, message }
+ * @throws {Error} If records is not a non-empty array
+ */
+export function validateRecordsWithSchema(records, schema) {
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error('Invalid or empty records array');
+  }
+  
+  const validationResults = {
+    valid: true,
+    missingFields: [],
+    invalidTypes: [],
+    details: []
+  };
+  
+  records.forEach((record, index) => {
+    const errors = checkRecord(record, schema);
+    if (errors.length === 0) return;
+    
+    errors.forEach(error => {
+      if (error.keyword === 'required' || error.keyword === 'dependentRequired') {
+        validationResults.missingFields.push(error.path.slice(1));
+      } else if (error.keyword === 'type') {
+        validationResults.invalidTypes.push(error.path.slice(1));
+      }
+    });
+    
+    validationResults.valid = false;
+    validationResults.details.push({
+      index,
+      issues: errors.map(error => `${error.path} ${error.message}`),
+      errors
+    });
+  });
+  
+  return validationResults;
+}
+
 /**
  * Validate API URL
  * @param {string} apiUrl - API URL to validate
@@ -68,6 +143,18 @@ export function validateApiUrl(apiUrl) {
   }
 }
 
+/**
+ * Validate a job priority level
+ * @param {string} priority - Priority level (see QUEUE.PRIORITIES)
+ * @param {string} [label='priority'] - Name used in error messages
+ * @throws {Error} If the level is unknown
+ */
+export function validatePriority(priority, label = 'priority') {
+  if (!Object.prototype.hasOwnProperty.call(QUEUE.PRIORITIES, priority)) {
+    throw new Error(`${label} must be one of: ${Object.keys(QUEUE.PRIORITIES).join(', ')}`);
+  }
+}
+
 /**
  * Validate session configuration
  * @param {Object} config - Session configuration
@@ -78,11 +165,45 @@ export function validateConfig(config) {
     throw new Error('Missing session configuration');
   }
   
-  if (!config.apiUrl) {
+  const stepsHaveUrls = Array.isArray(config.steps) && config.steps.length > 0 && config.steps.every(step => step?.url);
+  if (!config.apiUrl && !config.requestTemplate?.url && !stepsHaveUrls) {
     throw new Error('Missing apiUrl in configuration');
   }
   
+  if (config.apiUrl) {
+    validateApiUrl(config.apiUrl);
+  }
+  
   if (!config.auth) {
     throw new Error('Missing auth in configuration');
   }
+  
+  validateAuth(config.auth);
+  
+  if (config.requestTemplate !== undefined) {
+    validateRequestTemplate(config.requestTemplate, config.apiUrl);
+  }
+  
+  if (config.steps !== undefined) {
+    if (config.requestTemplate !== undefined) {
+      throw new Error('Use either requestTemplate or steps, not both');
+    }
+    validateSteps(config.steps, config.apiUrl);
+  }
+  
+  if (config.extract !== undefined) {
+    validateExtractionRules(config.extract);
+  }
+  
+  if (config.storeResponseBody !== undefined && typeof config.storeResponseBody !== 'boolean') {
+    throw new Error('storeResponseBody must be a boolean');
+  }
+  
+  if (config.idempotency !== undefined) {
+    validateIdempotency(config.idempotency);
+  }
+  
+  if (config.recordSchema !== undefined) {
+    validateRecordSchema(config.recordSchema);
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * Webhook helper functions - validate subscriptions and sign payloads
+ * Signatures follow the common "t=<timestamp>,v1=<hmac>" form: the HMAC-SHA256 of
+ * "<timestamp>.<body>" with the subscription's secret, so receivers can reject replays
+ */
+import crypto from 'crypto';
+import { WEBHOOKS } from '../config/appConfig.js';
+
+// Events a subscription can receive
+export const WEBHOOK_EVENTS = [
+  'job.started',
+  'job.progress',
+  'job.completed',
+  'job.failed',
+  'job.cancelled',
+  'record.user_action_required'
+];
+
+// Fields that can be changed after a subscription is created
+export const WEBHOOK_MUTABLE_FIELDS = ['url', 'events', 'description', 'enabled'];
+
+/**
+ * Validate a webhook subscription
+ * @param {Object} definition - Subscription ({ url, sessionId | jobId, events, description, enabled })
+ * @throws {Error} If the subscription is invalid
+ */
+export function validateWebhookDefinition(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('Webhook must be an object');
+  }
+
+  const { url, sessionId, jobId, events, description, enabled } = definition;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error('url must be an absolute URL');
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error('url must use http or https');
+  }
+
+  if ((sessionId === undefined) === (jobId === undefined)) {
+    throw new Error('Give either sessionId or jobId');
+  }
+  if (sessionId !== undefined && (typeof sessionId !== 'string' || !sessionId)) {
+    throw new Error('sessionId must be a non-empty string');
+  }
+  if (jobId !== undefined && ((typeof jobId !== 'string' && typeof jobId !== 'number') || jobId === '')) {
+    throw new Error('jobId must be a job ID');
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error('events must be a non-empty array');
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown webhook events: ${unknown.join(', ')} (use ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+  }
+
+  if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+    throw new Error('description must be a string of at most 200 characters');
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new Error('enabled must be a boolean');
+  }
+}
+
+/**
+ * Generate a signing secret for a new subscription
+ * @returns {string} - Secret
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Exact request body
+ * @returns {string} - X-Webhook-Signature header value
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+/**
+ * Progress milestones reached between two progress updates
+ * @param {number} previous - Completed records at the previous update
+ * @param {number} completed - Completed records now
+ * @param {number} total - Records in the job
+ * @param {Array<number>} [milestones=WEBHOOKS.PROGRESS_MILESTONES] - Percentages to announce
+ * @returns {Array<number>} - Milestones passed, in ascending order
+ */
+export function crossedMilestones(previous, completed, total, milestones = WEBHOOKS.PROGRESS_MILESTONES) {
+  if (!total) return [];
+  const before = (previous / total) * 100;
+  const now = (completed / total) * 100;
+  return milestones.filter(milestone => milestone > before && milestone <= now);
+}
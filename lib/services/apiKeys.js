@@ -0,0 +1,250 @@
+/**
+ * API key service - long-lived, scoped keys for automation clients
+ * Keys are kept as JSON under apiKey:<key ID> with a SHA-256 hash of the secret, so a leaked
+ * Redis dump doesn't reveal usable keys. Each key has a role, a tenant, allowed routes and an
+ * expiry; its last use is tracked in apiKeyUsage:<key ID>
+ */
+import crypto from 'crypto';
+import redis from '../config/redisConfig.js';
+import { logger } from './loggerService.js';
+import { API_KEYS, TENANCY } from '../config/appConfig.js';
+import { API_KEY_PREFIX, API_KEY_MUTABLE_FIELDS, parseApiKey, getApiKeyExpiry } from '../helpers/apiKey.js';
+import { registerTenant } from './tenants.js';
+
+const API_KEY_INDEX_KEY = 'apiKeys';
+
+/**
+ * Parse a stored JSON value
+ * @param {string|null} value - Stored value
+ * @returns {*} - Parsed value, or null if missing or invalid
+ */
+function parseStored(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Hash a key secret for storage
+ * @param {string} secret - Secret
+ * @returns {string} - Hex SHA-256
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Generate a key for a key ID
+ * @param {string} keyId - Key ID
+ * @returns {{ key: string, secretHash: string }} - Plaintext key and the hash to store
+ */
+function generateKey(keyId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { key: `${API_KEY_PREFIX}${keyId}_${secret}`, secretHash: hashSecret(secret) };
+}
+
+/**
+ * Remove the secret hash from a key and add its last use before it leaves the service
+ * @param {Object} apiKey - Stored key
+ * @param {Object} [usage] - Stored usage ({ lastUsedAt, lastUsedIp })
+ * @returns {Object} - Key without its secret hash
+ */
+function toPublicApiKey(apiKey, usage = {}) {
+  const { secretHash, ...rest } = apiKey;
+  return {
+    ...rest,
+    lastUsedAt: usage.lastUsedAt || null,
+    lastUsedIp: usage.lastUsedIp || null,
+    expired: new Date(apiKey.expiresAt).getTime() <= Date.now()
+  };
+}
+
+/**
+ * Read a stored key, including the secret hash
+ * @param {string} keyId - Key ID
+ * @returns {Promise<Object|null>} - Key, or null
+ */
+async function readApiKey(keyId) {
+  return parseStored(await redis.get(`apiKey:${keyId}`));
+}
+
+/**
+ * Get the tenant a key belongs to
+ * @param {Object} apiKey - Key
+ * @returns {string} - Tenant
+ */
+export function getApiKeyTenant(apiKey) {
+  return apiKey.tenant || TENANCY.DEFAULT_TENANT;
+}
+
+/**
+ * Get a key
+ * @param {string} keyId - Key ID
+ * @returns {Promise<Object|null>} - Key (without its secret), or null
+ */
+export async function getApiKey(keyId) {
+  const apiKey = await readApiKey(keyId);
+  if (!apiKey) return null;
+  return toPublicApiKey(apiKey, await redis.hgetall(`apiKeyUsage:${keyId}`));
+}
+
+/**
+ * List keys
+ * @param {Object} [filter] - Filter
+ * @param {string} [filter.tenant] - Only keys of this tenant
+ * @returns {Promise<Array<Object>>} - Keys (without secrets), oldest first
+ */
+export async function listApiKeys({ tenant } = {}) {
+  const keyIds = await redis.smembers(API_KEY_INDEX_KEY);
+  if (keyIds.length === 0) return [];
+
+  const values = await redis.mget(keyIds.map(keyId => `apiKey:${keyId}`));
+  const apiKeys = values
+    .map(parseStored)
+    .filter(apiKey => apiKey && (tenant === undefined || getApiKeyTenant(apiKey) === tenant));
+
+  const pipeline = redis.pipeline();
+  apiKeys.forEach(apiKey => pipeline.hgetall(`apiKeyUsage:${apiKey.id}`));
+  const usages = apiKeys.length > 0 ? await pipeline.exec() : [];
+
+  return apiKeys
+    .map((apiKey, i) => toPublicApiKey(apiKey, usages[i][1] || {}))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Create a key
+ * @param {Object} definition - Validated key ({ name, role, routes, expiresInDays })
+ * @param {Object} owner - Who the key acts for ({ tenant, createdBy })
+ * @returns {Promise<Object>} - Key, with the plaintext key (only shown now)
+ */
+export async function createApiKey({ name, role = 'operator', routes, expiresInDays }, { tenant = TENANCY.DEFAULT_TENANT, createdBy }) {
+  const now = new Date();
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const { key, secretHash } = generateKey(keyId);
+
+  const apiKey = {
+    id: keyId,
+    name: name.trim(),
+    role,
+    tenant,
+    routes,
+    prefix: key.slice(0, API_KEY_PREFIX.length + keyId.length + 5),
+    createdBy,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: getApiKeyExpiry(expiresInDays, now),
+    secretHash
+  };
+
+  await redis.set(`apiKey:${keyId}`, JSON.stringify(apiKey));
+  await redis.sadd(API_KEY_INDEX_KEY, keyId);
+  await registerTenant(tenant);
+
+  logger.info({ keyId, name: apiKey.name, role, tenant, createdBy }, 'API key created');
+
+  return { ...toPublicApiKey(apiKey), key };
+}
+
+/**
+ * Change a key's name, role, allowed routes or expiry
+ * @param {string} keyId - Key ID
+ * @param {Object} changes - Validated changes; expiresInDays counts from now
+ * @returns {Promise<Object|null>} - Updated key, or null if it doesn't exist
+ */
+export async function updateApiKey(keyId, changes) {
+  const apiKey = await readApiKey(keyId);
+  if (!apiKey) return null;
+
+  API_KEY_MUTABLE_FIELDS.forEach(field => {
+    if (changes[field] === undefined) return;
+    if (field === 'expiresInDays') {
+      apiKey.expiresAt = getApiKeyExpiry(changes.expiresInDays);
+    } else {
+      apiKey[field] = field === 'name' ? changes.name.trim() : changes[field];
+    }
+  });
+  apiKey.updatedAt = new Date().toISOString();
+
+  await redis.set(`apiKey:${keyId}`, JSON.stringify(apiKey));
+  logger.info({ keyId, changes: Object.keys(changes) }, 'API key updated');
+
+  return getApiKey(keyId);
+}
+
+/**
+ * Replace a key's secret, so the old key stops working at once
+ * @param {string} keyId - Key ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.expiresInDays] - New lifetime from now; defaults to API_KEYS.DEFAULT_TTL_DAYS
+ * @returns {Promise<Object|null>} - Key, with the new plaintext key (only shown now), or null if it doesn't exist
+ */
+export async function rotateApiKey(keyId, { expiresInDays } = {}) {
+  const apiKey = await readApiKey(keyId);
+  if (!apiKey) return null;
+
+  const now = new Date();
+  const { key, secretHash } = generateKey(keyId);
+  Object.assign(apiKey, {
+    secretHash,
+    prefix: key.slice(0, API_KEY_PREFIX.length + keyId.length + 5),
+    expiresAt: getApiKeyExpiry(expiresInDays, now),
+    rotatedAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  });
+
+  await redis.set(`apiKey:${keyId}`, JSON.stringify(apiKey));
+  logger.info({ keyId }, 'API key rotated');
+
+  return { ...toPublicApiKey(apiKey, await redis.hgetall(`apiKeyUsage:${keyId}`)), key };
+}
+
+/**
+ * Delete a key, revoking it
+ * @param {string} keyId - Key ID
+ * @returns {Promise<boolean>} - True if the key existed
+ */
+export async function deleteApiKey(keyId) {
+  const deleted = await redis.del(`apiKey:${keyId}`);
+  await redis.del(`apiKeyUsage:${keyId}`, `apiKeyUsed:${keyId}`);
+  await redis.srem(API_KEY_INDEX_KEY, keyId);
+
+  if (deleted) {
+    logger.info({ keyId }, 'API key deleted');
+  }
+  return deleted > 0;
+}
+
+/**
+ * Check an API key presented by a client and record its use
+ * @param {string} key - API key
+ * @param {string} [ip] - Client address
+ * @returns {Promise<{ apiKey?: Object, error?: string }>} - The key (without its secret) if it is
+ *   valid; otherwise why it is rejected
+ */
+export async function authenticateApiKey(key, ip) {
+  const parsed = parseApiKey(key);
+  const apiKey = parsed && await readApiKey(parsed.keyId);
+  if (!apiKey) {
+    return { error: 'Invalid API key' };
+  }
+
+  const expected = Buffer.from(apiKey.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(parsed.secret), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'Invalid API key' };
+  }
+  if (new Date(apiKey.expiresAt).getTime() <= Date.now()) {
+    return { error: 'API key expired' };
+  }
+
+  // Written at most once per interval, so busy clients don't turn every request into a write
+  if (await redis.set(`apiKeyUsed:${apiKey.id}`, '1', 'EX', API_KEYS.LAST_USED_INTERVAL_SECONDS, 'NX')) {
+    await redis.hset(`apiKeyUsage:${apiKey.id}`, { lastUsedAt: new Date().toISOString(), lastUsedIp: ip || '' });
+  }
+
+  return { apiKey: toPublicApiKey(apiKey) };
+}
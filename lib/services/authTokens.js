@@ -0,0 +1,129 @@
+/**
+ * Auth token service - short-lived access tokens, single-use refresh tokens and revocation
+ * Access tokens are JWTs carrying the user's token version; bumping the version (password change,
+ * disable, delete, "log out everywhere") revokes every token of the user at once. Single access
+ * tokens are revoked through a deny list that expires with them. Refresh tokens are random
+ * strings stored as SHA-256 hashes
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import redis from '../config/redisConfig.js';
+import { logger } from './loggerService.js';
+import { ENV, AUTH } from '../config/appConfig.js';
+import { tenantOf } from './tenants.js';
+
+export const ACCESS_TOKEN_TYPE = 'access';
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} token - Refresh token
+ * @returns {string} - Hex SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Get a user's current token version
+ * @param {string} username - User name
+ * @returns {Promise<number>} - Version
+ */
+async function getTokenVersion(username) {
+  return parseInt(await redis.get(`tokenVersion:${username}`) || '0', 10);
+}
+
+/**
+ * Issue an access token and a refresh token
+ * @param {Object} user - User ({ username, role, tenant, mustChangePassword })
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }>} - Tokens; expiresIn is
+ *   the access token lifetime in seconds
+ */
+export async function issueTokens(user) {
+  const version = await getTokenVersion(user.username);
+
+  const token = jwt.sign({
+    sub: user.username,
+    username: user.username,
+    role: user.role,
+    tenant: tenantOf(user),
+    type: ACCESS_TOKEN_TYPE,
+    ver: version,
+    ...(user.mustChangePassword && { mustChangePassword: true })
+  }, ENV.JWT_SECRET, { expiresIn: AUTH.ACCESS_TOKEN_EXPIRY, jwtid: crypto.randomUUID() });
+
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  await redis.set(
+    `refreshToken:${hashToken(refreshToken)}`,
+    JSON.stringify({ username: user.username, ver: version, issuedAt: new Date().toISOString() }),
+    'EX',
+    AUTH.REFRESH_TOKEN_TTL
+  );
+
+  const { iat, exp } = jwt.decode(token);
+  return { token, refreshToken, expiresIn: exp - iat };
+}
+
+/**
+ * Use up a refresh token
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<string|null>} - User name, or null if the token is unknown, used, expired or revoked
+ */
+export async function consumeRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) return null;
+
+  const key = `refreshToken:${hashToken(refreshToken)}`;
+  const [[, value], [, deleted]] = await redis.multi().get(key).del(key).exec();
+  if (!value || !deleted) return null;
+
+  const { username, ver } = JSON.parse(value);
+  return ver === await getTokenVersion(username) ? username : null;
+}
+
+/**
+ * Revoke a refresh token
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<void>}
+ */
+export async function revokeRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) return;
+  await redis.del(`refreshToken:${hashToken(refreshToken)}`);
+}
+
+/**
+ * Revoke one access token until it would have expired anyway
+ * @param {Object} payload - Verified token payload ({ jti, exp })
+ * @returns {Promise<void>}
+ */
+export async function revokeAccessToken({ jti, exp }) {
+  const ttl = exp - Math.floor(Date.now() / 1000);
+  if (jti && ttl > 0) {
+    await redis.set(`revokedToken:${jti}`, '1', 'EX', ttl);
+  }
+}
+
+/**
+ * Revoke every access and refresh token of a user
+ * @param {string} username - User name
+ * @returns {Promise<void>}
+ */
+export async function revokeUserTokens(username) {
+  await redis.incr(`tokenVersion:${username}`);
+  logger.info({ username }, 'User tokens revoked');
+}
+
+/**
+ * Check a verified access token against the revocations
+ * @param {Object} payload - Verified token payload
+ * @returns {Promise<string|null>} - Why the token is rejected, or null if it is valid
+ */
+export async function checkAccessToken(payload) {
+  if (payload.type !== ACCESS_TOKEN_TYPE || !payload.jti || !payload.sub) {
+    return 'Invalid token';
+  }
+
+  const [revoked, version] = await redis.mget(`revokedToken:${payload.jti}`, `tokenVersion:${payload.sub}`);
+  if (revoked || parseInt(version || '0', 10) !== payload.ver) {
+    return 'Token revoked';
+  }
+  return null;
+}
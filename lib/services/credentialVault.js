@@ -0,0 +1,198 @@
+/**
+ * Credential vault service - encrypts target-API credentials stored in session keys
+ * Credentials are sealed with AES-256-GCM, bound to their session ID, and tagged with the key ID
+ * so older keys can still decrypt while rotation re-encrypts with the current one. Fingerprints
+ * are HMACs under a key derived from the current key, so they can't be brute-forced offline
+ */
+import crypto from 'crypto';
+import redis from '../config/redisConfig.js';
+import { logger } from './loggerService.js';
+import { ENV, CREDENTIALS } from '../config/appConfig.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const FALLBACK_KEY_ID = 'jwt-derived';
+const FINGERPRINT_PREFIX = 'hmac-sha256:';
+
+/**
+ * Decode a configured key
+ * @param {string} keyId - Key ID
+ * @param {string} encoded - Base64 or hex key
+ * @returns {Buffer} - 32-byte key
+ */
+function decodeKey(keyId, encoded) {
+  const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Credential key "${keyId}" must be 32 bytes`);
+  }
+  return key;
+}
+
+/**
+ * Load the encryption keys from configuration
+ * Without CREDENTIAL_KEYS, startup fails unless ALLOW_DERIVED_CREDENTIAL_KEY opts a development
+ * setup into a key derived from JWT_SECRET
+ * @returns {{ keys: Map<string, Buffer>, currentKeyId: string }} - Keys by ID and the key used for encryption
+ * @throws {Error} If the keys are missing or invalid
+ */
+function loadKeys() {
+  const keys = new Map();
+
+  CREDENTIALS.KEYS.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator < 1) {
+      throw new Error('CREDENTIAL_KEYS entries must look like "keyId:key"');
+    }
+    const keyId = entry.slice(0, separator);
+    keys.set(keyId, decodeKey(keyId, entry.slice(separator + 1)));
+  });
+
+  if (keys.size === 0) {
+    if (!CREDENTIALS.ALLOW_DERIVED_KEY || ENV.NODE_ENV === 'production') {
+      throw new Error('CREDENTIAL_KEYS is not set; configure credential encryption keys ' +
+        '(ALLOW_DERIVED_CREDENTIAL_KEY=true derives one from JWT_SECRET outside production)');
+    }
+    logger.warn('CREDENTIAL_KEYS is not set; deriving the credential key from JWT_SECRET (development only)');
+    keys.set(FALLBACK_KEY_ID, crypto.createHash('sha256').update(`credentials:${ENV.JWT_SECRET}`).digest());
+  }
+
+  const currentKeyId = CREDENTIALS.CURRENT_KEY_ID || keys.keys().next().value;
+  if (!keys.has(currentKeyId)) {
+    throw new Error(`CREDENTIAL_KEY_ID "${currentKeyId}" is not in CREDENTIAL_KEYS`);
+  }
+
+  return { keys, currentKeyId };
+}
+
+const { keys, currentKeyId } = loadKeys();
+
+// Changes with the current key; rotation recomputes the stored fingerprints
+const fingerprintKey = Buffer.from(crypto.hkdfSync('sha256', keys.get(currentKeyId), '', 'credential-fingerprint', 32));
+
+/**
+ * Check whether a stored auth value is an encrypted envelope
+ * @param {*} value - Stored auth value
+ * @returns {boolean} - True if the value was produced by encryptCredentials
+ */
+export function isEncryptedCredentials(value) {
+  return Boolean(value && value.enc === ALGORITHM && value.kid && value.iv && value.tag && value.data);
+}
+
+/**
+ * Fingerprint credentials so sessions can be told apart without revealing the secret
+ * @param {Object} auth - Plaintext auth config
+ * @returns {string} - Short HMAC-SHA256 fingerprint
+ */
+export function credentialFingerprint(auth) {
+  const canonical = JSON.stringify(auth, Object.keys(auth).sort());
+  return `${FINGERPRINT_PREFIX}${crypto.createHmac('sha256', fingerprintKey).update(canonical).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Check whether a stored fingerprint is a keyed one
+ * Fingerprints from before they were keyed are plain hashes, which must not be shown
+ * @param {string} [fingerprint] - Stored fingerprint
+ * @returns {boolean} - True if it is an HMAC fingerprint
+ */
+export function isKeyedFingerprint(fingerprint) {
+  return typeof fingerprint === 'string' && fingerprint.startsWith(FINGERPRINT_PREFIX);
+}
+
+/**
+ * Check whether an envelope is sealed with the current key
+ * @param {*} envelope - Stored value
+ * @returns {boolean} - True if it is an envelope of the current key
+ */
+export function isSealedWithCurrentKey(envelope) {
+  return isEncryptedCredentials(envelope) && envelope.kid === currentKeyId;
+}
+
+/**
+ * Encrypt an auth config with the current key
+ * @param {Object} auth - Plaintext auth config
+ * @param {string} sessionId - Session the credentials belong to (bound as additional data)
+ * @returns {Object} - Envelope ({ enc, kid, iv, tag, data })
+ */
+export function encryptCredentials(auth, sessionId) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+  cipher.setAAD(Buffer.from(sessionId));
+
+  const data = Buffer.concat([cipher.update(JSON.stringify(auth), 'utf8'), cipher.final()]);
+
+  return {
+    enc: ALGORITHM,
+    kid: currentKeyId,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an auth envelope with whichever configured key sealed it
+ * @param {Object} envelope - Envelope from encryptCredentials
+ * @param {string} sessionId - Session the credentials belong to
+ * @returns {Object} - Plaintext auth config
+ * @throws {Error} If the key is unknown or the envelope was tampered with
+ */
+export function decryptCredentials(envelope, sessionId) {
+  const key = keys.get(envelope.kid);
+  if (!key) {
+    throw new Error(`Unknown credential key "${envelope.kid}" for ${sessionId}`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(sessionId));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (err) {
+    throw new Error(`Failed to decrypt credentials for ${sessionId}`);
+  }
+}
+
+/**
+ * Re-encrypt every session's credentials with the current key and recompute their fingerprints
+ * Sessions still holding plaintext credentials are encrypted as well; TTLs are preserved
+ * @returns {Promise<{ rotated: number, unchanged: number, failed: Array<Object>, keyId: string }>} - Rotation summary
+ */
+export async function rotateSessionCredentials() {
+  const sessionIds = await redis.keys('session:*');
+  const summary = { rotated: 0, unchanged: 0, failed: [], keyId: currentKeyId };
+
+  for (const sessionId of sessionIds) {
+    try {
+      const [configJson, ttl] = await Promise.all([redis.get(sessionId), redis.pttl(sessionId)]);
+      if (!configJson) continue;
+
+      const config = JSON.parse(configJson);
+      if (!config.auth || (isSealedWithCurrentKey(config.auth) && isKeyedFingerprint(config.authFingerprint))) {
+        summary.unchanged++;
+        continue;
+      }
+
+      const auth = isEncryptedCredentials(config.auth) ? decryptCredentials(config.auth, sessionId) : config.auth;
+      const updated = JSON.stringify({
+        ...config,
+        auth: encryptCredentials(auth, sessionId),
+        authFingerprint: credentialFingerprint(auth)
+      });
+
+      if (ttl > 0) {
+        await redis.set(sessionId, updated, 'PX', ttl);
+      } else {
+        await redis.set(sessionId, updated);
+      }
+      summary.rotated++;
+    } catch (err) {
+      logger.error({ sessionId, error: err.message }, 'Failed to rotate session credentials');
+      summary.failed.push({ sessionId, error: err.message });
+    }
+  }
+
+  logger.info({ rotated: summary.rotated, unchanged: summary.unchanged, failed: summary.failed.length, keyId: currentKeyId }, 'Session credentials rotated');
+
+  return summary;
+}
@@ -0,0 +1,157 @@
+/**
+ * Dry-run service - validates and renders a job's requests without calling the target API
+ * The rendered requests are stored per record so they can be reviewed before a real run
+ */
+import redis from '../config/redisConfig.js';
+import { log, redact } from './loggerService.js';
+import { QUEUE, REDACTION } from '../config/appConfig.js';
+import { previewRequests } from '../helpers/requestTemplate.js';
+import { previewAuthHeaders } from '../helpers/auth.js';
+import { buildIdempotencyKey, getIdempotencyHeaders } from '../helpers/idempotency.js';
+import { findCompletedKeys } from './idempotencyLedger.js';
+
+// Records rendered between progress updates
+const PREVIEW_CHUNK_SIZE = 100;
+
+/**
+ * Render the requests of one record with the headers they would carry
+ * @param {Object} record - Record (after mapping)
+ * @param {Object} options - Request options (apiUrl, headers, auth, requestTemplate, steps, idempotency)
+ * @returns {Promise<Array<Object>>} - Rendered requests; auth header values are masked
+ * @throws {Error} If the record can't fill a template
+ */
+async function previewRecord(record, { apiUrl, headers = {}, auth, requestTemplate, steps, idempotency }) {
+  const requests = previewRequests(record, { apiUrl, requestTemplate, steps });
+
+  return Promise.all(requests.map(async request => {
+    if (request.skipped) return request;
+
+    const body = request.data === undefined ? undefined : JSON.stringify(request.data);
+    const authHeaders = await previewAuthHeaders(auth, { method: request.method, url: request.url, body }, REDACTION.REPLACEMENT);
+
+    return {
+      ...request,
+      headers: {
+        ...request.headers,
+        ...headers,
+        ...getIdempotencyHeaders(idempotency, record, steps?.length ? request.name : undefined),
+        ...authHeaders
+      }
+    };
+  }));
+}
+
+/**
+ * Run a job as a dry run: render every record's requests and report invalid rows
+ * @param {Object} job - BullMQ job
+ * @param {Array<Object>} records - Records (after mapping)
+ * @param {Object} options - Request options (apiUrl, headers, auth, requestTemplate, steps, idempotency)
+ * @param {Object} [validationResults] - validationResults from validateJobData, when it failed
+ * @returns {Promise<Object>} - Job result ({ dryRun, totalRecords, validCount, invalidCount, duplicateCount, validationResults })
+ */
+export async function runDryRun(job, records, options, validationResults) {
+  const jobId = String(job.id);
+  const { sessionId } = job.data;
+  const previewKey = `jobPreview:${jobId}`;
+  const issuesByIndex = new Map((validationResults?.details || []).map(({ index, issues }) => [index, [...issues]]));
+
+  // Records that a real run would skip as duplicates
+  const { idempotency } = options;
+  const duplicates = idempotency
+    ? await findCompletedKeys(idempotency.ledgerScope, records.map(record => buildIdempotencyKey(record, idempotency.fields)))
+    : [];
+
+  await redis.del(previewKey);
+
+  for (let start = 0; start < records.length; start += PREVIEW_CHUNK_SIZE) {
+    const entries = {};
+
+    for (let index = start; index < Math.min(start + PREVIEW_CHUNK_SIZE, records.length); index++) {
+      const issues = issuesByIndex.get(index) || [];
+      let requests;
+      try {
+        requests = await previewRecord(records[index], options);
+      } catch (err) {
+        issues.push(err.message);
+      }
+      if (issues.length > 0) {
+        issuesByIndex.set(index, issues);
+      }
+
+      entries[index] = JSON.stringify(redact({
+        recordIndex: index,
+        valid: issues.length === 0,
+        issues,
+        requests,
+        duplicateOf: duplicates[index] || undefined
+      }));
+    }
+
+    await redis.hset(previewKey, entries);
+    await job.updateProgress({ completed: Math.min(start + PREVIEW_CHUNK_SIZE, records.length), total: records.length });
+  }
+
+  await redis.expire(previewKey, QUEUE.DEFAULT_JOB_OPTIONS.removeOnComplete.age);
+
+  // Same shape as validateJobData's validationResults, with rendering issues included
+  const details = [...issuesByIndex.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([index, issues]) => ({ index, issues }));
+  const summary = {
+    dryRun: true,
+    totalRecords: records.length,
+    validCount: records.length - details.length,
+    invalidCount: details.length,
+    duplicateCount: duplicates.filter(Boolean).length,
+    validationResults: {
+      valid: details.length === 0,
+      missingFields: validationResults?.missingFields || [],
+      invalidTypes: validationResults?.invalidTypes || [],
+      details
+    }
+  };
+
+  await redis.hset(`metrics:${jobId}`, {
+    status: 'dry_run',
+    totalRecords: summary.totalRecords,
+    validCount: summary.validCount,
+    invalidCount: summary.invalidCount,
+    completedAt: new Date().toISOString()
+  });
+
+  await log({
+    sessionId,
+    jobId,
+    type: 'DRY_RUN_COMPLETE',
+    message: `Dry run rendered ${records.length} records, ${summary.invalidCount} with issues`,
+    meta: {
+      totalRecords: summary.totalRecords,
+      validCount: summary.validCount,
+      invalidCount: summary.invalidCount,
+      duplicateCount: summary.duplicateCount
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Get stored dry-run previews
+ * @param {string} jobId - Job ID
+ * @param {Array<number>} indexes - Record indexes
+ * @returns {Promise<Array<Object>>} - Previews ({ recordIndex, valid, issues, requests, duplicateOf }) in the given order; missing ones are left out
+ */
+export async function getDryRunPreviews(jobId, indexes) {
+  if (indexes.length === 0) return [];
+
+  const values = await redis.hmget(`jobPreview:${jobId}`, ...indexes.map(String));
+  return values
+    .map(value => {
+      try {
+        return value ? JSON.parse(value) : null;
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
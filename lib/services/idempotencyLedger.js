@@ -0,0 +1,81 @@
+/**
+ * Idempotency ledger service - remembers which record keys already succeeded so that
+ * re-uploaded rows are not sent to the target again
+ */
+import crypto from 'crypto';
+import redis from '../config/redisConfig.js';
+import { logger } from './loggerService.js';
+import { IDEMPOTENCY, TENANCY } from '../config/appConfig.js';
+
+/**
+ * Build the ledger scope for a job
+ * Scopes are per tenant, so tenants sending to the same target never see each other's keys. The
+ * default tenant keeps the unprefixed scopes it had before tenants existed
+ * @param {Object} idempotency - Effective idempotency config (see resolveIdempotency)
+ * @param {Object} context - Job context
+ * @param {string} context.tenant - Tenant of the job
+ * @param {string} context.sessionId - Session ID
+ * @param {string} [context.targetUrl] - Target API URL (or URL template) of the session
+ * @returns {string} - Scope, used as part of the Redis key
+ */
+export function getIdempotencyScope(idempotency, { tenant, sessionId, targetUrl }) {
+  const prefix = tenant === TENANCY.DEFAULT_TENANT ? '' : `tenant:${tenant}:`;
+  if (idempotency.scope === 'target' && targetUrl) {
+    return `${prefix}target:${crypto.createHash('sha256').update(targetUrl).digest('hex').slice(0, 16)}`;
+  }
+  return `${prefix}session:${sessionId.replace(/^session:/, '')}`;
+}
+
+/**
+ * Look up keys that already succeeded
+ * @param {string} scope - Ledger scope
+ * @param {Array<string|null>} keys - Record keys; null entries are never matched
+ * @returns {Promise<Array<Object|null>>} - Completion entries ({ jobId, recordIndex, responseId, completedAt }) or null, in key order
+ */
+export async function findCompletedKeys(scope, keys) {
+  const lookups = keys.filter(Boolean);
+  if (lookups.length === 0) {
+    return keys.map(() => null);
+  }
+
+  const values = await redis.mget(lookups.map(key => `idempotency:${scope}:${key}`));
+  const entries = new Map(lookups.map((key, index) => [key, values[index]]));
+
+  return keys.map(key => {
+    const value = key ? entries.get(key) : null;
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  });
+}
+
+/**
+ * Remember keys whose records succeeded
+ * Failures are logged rather than thrown; the records themselves already succeeded
+ * @param {string} scope - Ledger scope
+ * @param {Array<Object>} completions - ({ key, jobId, recordIndex, responseId })
+ * @returns {Promise<void>}
+ */
+export async function markKeysCompleted(scope, completions) {
+  if (completions.length === 0) return;
+
+  const completedAt = new Date().toISOString();
+  const pipeline = redis.pipeline();
+  completions.forEach(({ key, jobId, recordIndex, responseId }) => {
+    pipeline.set(
+      `idempotency:${scope}:${key}`,
+      JSON.stringify({ jobId: String(jobId), recordIndex, responseId, completedAt }),
+      'EX',
+      IDEMPOTENCY.TTL
+    );
+  });
+
+  try {
+    await pipeline.exec();
+  } catch (err) {
+    logger.error({ scope, keys: completions.length, error: err.message }, 'Failed to update idempotency ledger');
+  }
+}
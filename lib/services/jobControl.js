@@ -0,0 +1,141 @@
+/**
+ * Job control service - pause and cancel requests and processing checkpoints for running jobs
+ * The worker checks the control flag between chunks and saves a checkpoint after each one,
+ * so a paused (or restarted) job continues where it stopped
+ */
+import redis from '../config/redisConfig.js';
+import { logger } from './loggerService.js';
+import { QUEUE } from '../config/appConfig.js';
+
+// Control requests a worker acts on between chunks
+export const JOB_CONTROL = {
+  PAUSE: 'pause',
+  CANCEL: 'cancel'
+};
+
+// Failure reason of cancelled jobs, which is how they are told apart from failed ones
+export const JOB_CANCELLED_REASON = 'Job cancelled';
+
+/**
+ * Ask the worker to pause a job at the next chunk boundary
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+export async function requestJobPause(jobId) {
+  await redis.set(`jobControl:${jobId}`, JOB_CONTROL.PAUSE, 'EX', QUEUE.CHECKPOINT_TTL);
+  logger.info({ jobId }, 'Job pause requested');
+}
+
+/**
+ * Ask the worker to cancel a job; replaces a pending pause request
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+export async function requestJobCancel(jobId) {
+  await redis.set(`jobControl:${jobId}`, JOB_CONTROL.CANCEL, 'EX', QUEUE.CHECKPOINT_TTL);
+  logger.info({ jobId }, 'Job cancel requested');
+}
+
+/**
+ * Poll for a cancel request while a job is running
+ * Chunk-boundary checks are too slow for cancellation, so in-flight work is stopped from here
+ * @param {string} jobId - Job ID
+ * @param {Function} onCancel - Called once when a cancel request is seen
+ * @returns {Function} - Stops watching
+ */
+export function watchForCancel(jobId, onCancel) {
+  let notified = false;
+  const timer = setInterval(async () => {
+    try {
+      if (!notified && await getJobControl(jobId) === JOB_CONTROL.CANCEL) {
+        notified = true;
+        onCancel();
+      }
+    } catch (err) {
+      logger.warn({ jobId, error: err.message }, 'Failed to check job control');
+    }
+  }, QUEUE.CONTROL_POLL_MS);
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Get the pending control request for a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<string|null>} - JOB_CONTROL value or null
+ */
+export async function getJobControl(jobId) {
+  return redis.get(`jobControl:${jobId}`);
+}
+
+/**
+ * Remove the control request for a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} - True if a request was pending
+ */
+export async function clearJobControl(jobId) {
+  return (await redis.del(`jobControl:${jobId}`)) > 0;
+}
+
+/**
+ * Remove a pending pause request, leaving a cancel request in place
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} - True if a pause request was pending
+ */
+export async function clearJobPause(jobId) {
+  return (await redis.delIfEquals(`jobControl:${jobId}`, JOB_CONTROL.PAUSE)) > 0;
+}
+
+/**
+ * Get the saved checkpoint of a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - Checkpoint ({ cursor, successCount, failureCount, skippedCount, startedAt, updatedAt }) or null
+ */
+export async function getJobCheckpoint(jobId) {
+  const data = await redis.hgetall(`jobCheckpoint:${jobId}`);
+  if (!data || Object.keys(data).length === 0) {
+    return null;
+  }
+
+  return {
+    cursor: parseInt(data.cursor, 10) || 0,
+    successCount: parseInt(data.successCount, 10) || 0,
+    failureCount: parseInt(data.failureCount, 10) || 0,
+    skippedCount: parseInt(data.skippedCount, 10) || 0,
+    startedAt: data.startedAt,
+    updatedAt: data.updatedAt
+  };
+}
+
+/**
+ * Save a job checkpoint
+ * @param {string} jobId - Job ID
+ * @param {Object} checkpoint - Checkpoint
+ * @param {number} checkpoint.cursor - Index of the first record not yet processed
+ * @param {number} checkpoint.successCount - Successful records so far
+ * @param {number} checkpoint.failureCount - Failed records so far
+ * @param {number} [checkpoint.skippedCount=0] - Records skipped as duplicates so far
+ * @param {string} checkpoint.startedAt - When the job first started
+ * @returns {Promise<void>}
+ */
+export async function saveJobCheckpoint(jobId, { cursor, successCount, failureCount, skippedCount = 0, startedAt }) {
+  const key = `jobCheckpoint:${jobId}`;
+  await redis.hset(key, {
+    cursor,
+    successCount,
+    failureCount,
+    skippedCount,
+    startedAt,
+    updatedAt: new Date().toISOString()
+  });
+  await redis.expire(key, QUEUE.CHECKPOINT_TTL);
+}
+
+/**
+ * Remove a job's checkpoint once it has finished
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+export async function clearJobCheckpoint(jobId) {
+  await redis.del(`jobCheckpoint:${jobId}`);
+}
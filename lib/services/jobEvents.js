@@ -0,0 +1,250 @@
+/**
+ * Job events service - per-job event streams for real-time progress
+ * Events are appended to a Redis stream per job (jobEvents:<jobId>), so a client that reconnects
+ * can resume after the last event it saw. Stream IDs are the event IDs sent to clients.
+ * State and progress events are relayed from BullMQ QueueEvents by one server at a time;
+ * record outcomes are appended by the worker along with the record ledger
+ */
+import { EventEmitter } from 'events';
+import { QueueEvents } from 'bullmq';
+import redis from '../config/redisConfig.js';
+import { logger } from './loggerService.js';
+import { JOB_EVENTS } from '../config/appConfig.js';
+import { JOB_CONTROL, JOB_CANCELLED_REASON, getJobControl } from './jobControl.js';
+
+export const JOB_EVENT_TYPES = {
+  STATE: 'state',
+  PROGRESS: 'progress',
+  RECORD: 'record'
+};
+
+// Job states after which no more events follow
+export const FINAL_JOB_STATES = ['completed', 'failed', 'cancelled', 'removed'];
+
+// Pub/sub channel that announces new events, so listeners don't have to poll the streams
+const JOB_EVENTS_CHANNEL = 'jobEvents';
+const RELAY_LOCK_KEY = 'jobEvents:relayLock';
+const RELAY_CURSOR_KEY = 'jobEvents:relayCursor';
+
+const STREAM_ID_PATTERN = /^\d+(-\d+)?$/;
+
+/**
+ * Check a client-supplied event ID
+ * @param {string} eventId - Event ID
+ * @returns {boolean} - True if it is a stream ID
+ */
+export function isValidEventId(eventId) {
+  return STREAM_ID_PATTERN.test(eventId);
+}
+
+/**
+ * Append events to job streams and announce them
+ * Failures are logged rather than thrown; events must never fail a job
+ * @param {Array<Object>} events - Events ({ jobId, type, data })
+ * @returns {Promise<void>}
+ */
+export async function appendJobEvents(events) {
+  if (events.length === 0) return;
+
+  const pipeline = redis.pipeline();
+  const jobIds = new Set();
+  events.forEach(({ jobId, type, data }) => {
+    const key = `jobEvents:${jobId}`;
+    pipeline.xadd(key, 'MAXLEN', '~', JOB_EVENTS.MAX_LENGTH, '*', 'type', type, 'data', JSON.stringify(data));
+    jobIds.add(String(jobId));
+  });
+  jobIds.forEach(jobId => {
+    pipeline.expire(`jobEvents:${jobId}`, JOB_EVENTS.TTL);
+    pipeline.publish(JOB_EVENTS_CHANNEL, jobId);
+  });
+
+  try {
+    await pipeline.exec();
+  } catch (err) {
+    logger.error({ error: err.message, events: events.length }, 'Failed to append job events');
+  }
+}
+
+/**
+ * Read a job's events
+ * @param {string} jobId - Job ID
+ * @param {string} [afterId='0'] - Only events after this event ID
+ * @param {number} [count=1000] - Maximum events to read
+ * @returns {Promise<Array<{ id: string, type: string, data: * }>>} - Events, oldest first
+ */
+export async function readJobEvents(jobId, afterId = '0', count = 1000) {
+  // XREAD without BLOCK returns the entries after an ID and works on every Redis version
+  const result = await redis.xread('COUNT', count, 'STREAMS', `jobEvents:${jobId}`, afterId);
+  if (!result) return [];
+
+  return result[0][1].map(([id, fields]) => {
+    const entry = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      entry[fields[i]] = fields[i + 1];
+    }
+    let data = null;
+    try {
+      data = JSON.parse(entry.data);
+    } catch (e) {
+      // Keep the event; its payload is just lost
+    }
+    return { id, type: entry.type, data };
+  });
+}
+
+/**
+ * Get the ID of a job's latest event
+ * @param {string} jobId - Job ID
+ * @returns {Promise<string|null>} - Event ID, or null when the job has no events
+ */
+export async function getLastJobEventId(jobId) {
+  const [latest] = await redis.xrevrange(`jobEvents:${jobId}`, '+', '-', 'COUNT', 1);
+  return latest ? latest[0] : null;
+}
+
+/**
+ * Check whether a job has any events
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} - True if the job's stream exists
+ */
+export async function hasJobEvents(jobId) {
+  return (await redis.exists(`jobEvents:${jobId}`)) > 0;
+}
+
+// Listeners of this process, notified when a job has new events
+const notifier = new EventEmitter();
+notifier.setMaxListeners(0);
+let subscriber = null;
+
+/**
+ * Listen for new events of a job
+ * One subscriber connection per process serves every listener
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called (without arguments) whenever the job has new events
+ * @returns {Function} - Stops listening
+ */
+export function onJobEvents(jobId, listener) {
+  if (!subscriber) {
+    subscriber = redis.duplicate();
+    subscriber.subscribe(JOB_EVENTS_CHANNEL).catch(err => {
+      logger.error({ error: err.message }, 'Failed to subscribe to job events');
+    });
+    subscriber.on('message', (channel, eventJobId) => notifier.emit(eventJobId));
+  }
+
+  const key = String(jobId);
+  notifier.on(key, listener);
+  return () => notifier.off(key, listener);
+}
+
+/**
+ * Translate a QueueEvents event into a job event
+ * @param {string} event - QueueEvents event name
+ * @param {Object} args - Event arguments
+ * @returns {Promise<Object|null>} - Job event ({ jobId, type, data }), or null if it isn't relayed
+ */
+async function toJobEvent(event, args) {
+  const { jobId } = args;
+  const at = new Date().toISOString();
+
+  switch (event) {
+    case 'progress':
+      return { jobId, type: JOB_EVENT_TYPES.PROGRESS, data: { ...args.data, at } };
+    case 'active':
+    case 'waiting':
+    case 'removed':
+      return { jobId, type: JOB_EVENT_TYPES.STATE, data: { state: event, at } };
+    case 'delayed': {
+      // Paused jobs wait as delayed jobs until they are resumed
+      const paused = await getJobControl(jobId) === JOB_CONTROL.PAUSE;
+      return { jobId, type: JOB_EVENT_TYPES.STATE, data: { state: paused ? 'paused' : 'delayed', delay: Number(args.delay) || undefined, at } };
+    }
+    case 'completed':
+      return { jobId, type: JOB_EVENT_TYPES.STATE, data: { state: 'completed', result: args.returnvalue, at } };
+    case 'failed':
+      return {
+        jobId,
+        type: JOB_EVENT_TYPES.STATE,
+        data: args.failedReason === JOB_CANCELLED_REASON
+          ? { state: 'cancelled', at }
+          : { state: 'failed', failedReason: args.failedReason, at }
+      };
+    default:
+      return null;
+  }
+}
+
+const RELAYED_EVENTS = ['progress', 'active', 'waiting', 'delayed', 'completed', 'failed', 'removed'];
+
+/**
+ * Relay BullMQ queue events into the job event streams
+ * Every server runs this, but only the holder of a short Redis lock relays, so events are
+ * appended once. A server that takes over continues from the last relayed queue event
+ * @param {string} queueName - Queue name
+ * @returns {Function} - Stops relaying
+ */
+export function startJobEventRelay(queueName) {
+  const ownerId = `${process.pid}-${Math.random().toString(36).slice(2, 10)}`;
+  let queueEvents = null;
+
+  const stopListening = async () => {
+    if (queueEvents) {
+      const closing = queueEvents;
+      queueEvents = null;
+      await closing.close();
+    }
+  };
+
+  const startListening = async () => {
+    const lastEventId = await redis.get(RELAY_CURSOR_KEY);
+    queueEvents = new QueueEvents(queueName, { connection: redis, ...(lastEventId && { lastEventId }) });
+    queueEvents.on('error', err => logger.error({ error: err.message }, 'Queue events error'));
+
+    // Events are relayed one at a time so they keep their order
+    let relaying = Promise.resolve();
+    RELAYED_EVENTS.forEach(event => {
+      queueEvents.on(event, (args, id) => {
+        relaying = relaying.then(async () => {
+          try {
+            const jobEvent = await toJobEvent(event, args);
+            if (jobEvent) {
+              await appendJobEvents([jobEvent]);
+            }
+            await redis.set(RELAY_CURSOR_KEY, id, 'EX', JOB_EVENTS.TTL);
+          } catch (err) {
+            logger.error({ error: err.message, event, jobId: args.jobId }, 'Failed to relay queue event');
+          }
+        });
+      });
+    });
+
+    logger.info({ queueName, lastEventId }, 'Relaying queue events to job event streams');
+  };
+
+  const checkLock = async () => {
+    try {
+      const holder = await redis.get(RELAY_LOCK_KEY);
+      if (holder === ownerId) {
+        await redis.expire(RELAY_LOCK_KEY, JOB_EVENTS.RELAY_LOCK_TTL);
+        if (!queueEvents) await startListening();
+      } else if (await redis.set(RELAY_LOCK_KEY, ownerId, 'EX', JOB_EVENTS.RELAY_LOCK_TTL, 'NX')) {
+        await startListening();
+      } else {
+        await stopListening();
+      }
+    } catch (err) {
+      logger.warn({ error: err.message }, 'Failed to check the job event relay lock');
+    }
+  };
+
+  checkLock();
+  const timer = setInterval(checkLock, (JOB_EVENTS.RELAY_LOCK_TTL * 1000) / 3);
+
+  return async () => {
+    clearInterval(timer);
+    await stopListening();
+    if (await redis.get(RELAY_LOCK_KEY) === ownerId) {
+      await redis.del(RELAY_LOCK_KEY);
+    }
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * Job results service - joins stored outcomes back to the input rows of a job
+ */
+import XLSX from 'xlsx';
+import redis from '../config/redisConfig.js';
+import { logger } from './loggerService.js';
+import { getSuccessfulResponses, getUserActionErrors } from './processRecord.js';
+import { RECORD_STATUS, getRecordOutcomes } from './recordLedger.js';
+
+export { RECORD_STATUS };
+
+// Order of precedence when a job without a ledger has several stored outcomes for a record
+const STATUS_PRECEDENCE = [
+  RECORD_STATUS.SUCCESS,
+  RECORD_STATUS.USER_ACTION_REQUIRED,
+  RECORD_STATUS.FAILED
+];
+
+// Columns appended to every input row
+const RESULT_COLUMNS = ['Result Status', 'HTTP Code', 'Error Category', 'Error Message', 'Attempts'];
+
+// Result file formats and their content types
+export const RESULT_FORMATS = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8'
+};
+
+/**
+ * Read a value at a dot-separated path (array indexes allowed, e.g. "plans.0.id")
+ * @param {Object} source - Object to read from
+ * @param {string} fieldPath - Dot-separated path
+ * @returns {*} - Value or undefined
+ */
+function getPath(source, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Get the RECORD_FAILED log entries for a job
+ * @param {string} sessionId - Session ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Array<Object>>} - Failure log entries
+ */
+async function getRecordFailureLogs(sessionId, jobId) {
+  const logs = await redis.lrange(`logs:${sessionId}`, 0, -1);
+  return logs
+    .map(entry => {
+      try {
+        return JSON.parse(entry);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(entry => entry && entry.type === 'RECORD_FAILED' && String(entry.jobId) === String(jobId));
+}
+
+/**
+ * Collect the outcome of every record in a job from the stored success, error and log data
+ * Only used for jobs processed before the record ledger existed
+ * @param {Object} job - BullMQ job
+ * @returns {Promise<Array<Object|undefined>>} - Outcomes indexed by record index
+ */
+async function getStoredOutcomes(job) {
+  const { sessionId } = job.data;
+  const jobId = String(job.id);
+
+  const [responses, userActionErrors, failureLogs] = await Promise.all([
+    getSuccessfulResponses(sessionId),
+    getUserActionErrors(sessionId),
+    getRecordFailureLogs(sessionId, jobId)
+  ]);
+
+  const outcomes = [];
+  const addOutcome = (index, outcome) => {
+    if (!Number.isInteger(index)) return;
+    const existing = outcomes[index];
+    if (!existing || STATUS_PRECEDENCE.indexOf(outcome.status) < STATUS_PRECEDENCE.indexOf(existing.status)) {
+      outcomes[index] = outcome;
+    }
+  };
+
+  responses
+    .filter(response => String(response.jobId) === jobId)
+    .forEach(response => addOutcome(response.recordIndex, {
+      status: RECORD_STATUS.SUCCESS,
+      statusCode: response.statusCode,
+      attempts: response.attempts,
+      responseId: response.responseId,
+      response: response.data,
+      extracted: response.extracted
+    }));
+
+  userActionErrors
+    .filter(error => String(error.jobId) === jobId)
+    .forEach(error => addOutcome(error.recordIndex, {
+      status: RECORD_STATUS.USER_ACTION_REQUIRED,
+      statusCode: error.statusCode,
+      category: error.category,
+      message: error.message,
+      attempts: error.attempts,
+      errorId: error.errorId
+    }));
+
+  failureLogs.forEach(entry => addOutcome(entry.recordIndex, {
+    status: RECORD_STATUS.FAILED,
+    statusCode: entry.statusCode,
+    category: entry.category,
+    message: entry.error,
+    attempts: entry.attempts
+  }));
+
+  return outcomes;
+}
+
+/**
+ * Collect the outcome of every record in a job from its record ledger
+ * Successful outcomes include the stored response body and extracted values
+ * @param {Object} job - BullMQ job
+ * @returns {Promise<Array<Object|undefined>>} - Outcomes indexed by record index
+ */
+export async function getJobOutcomes(job) {
+  const outcomes = await getRecordOutcomes(String(job.id));
+  if (outcomes.length === 0) {
+    return getStoredOutcomes(job);
+  }
+
+  const successes = outcomes.filter(outcome => outcome?.status === RECORD_STATUS.SUCCESS && outcome.responseId);
+  const stored = successes.length > 0
+    ? await redis.mget(successes.map(outcome => `successResponse:${outcome.responseId}`))
+    : [];
+
+  successes.forEach((outcome, index) => {
+    if (!stored[index]) return;
+    try {
+      const { data, extracted } = JSON.parse(stored[index]);
+      outcome.response = data;
+      outcome.extracted = extracted;
+    } catch (e) {
+      // The ledger entry is still usable without the body
+    }
+  });
+
+  return outcomes;
+}
+
+// Statuses retried by default when retrying a job's failed records
+export const RETRYABLE_STATUSES = [RECORD_STATUS.FAILED, RECORD_STATUS.USER_ACTION_REQUIRED];
+
+/**
+ * Validate the filters for retrying a job's failed records
+ * @param {Object} filters - Filters
+ * @param {Array<string>} [filters.statuses] - Record statuses to retry (FAILED, USER_ACTION_REQUIRED, NOT_PROCESSED)
+ * @param {Array<string>} [filters.categories] - Error categories to retry
+ * @param {Array<number>} [filters.statusCodes] - HTTP status codes to retry
+ * @throws {Error} If a filter is invalid
+ */
+export function validateRetryFilters({ statuses, categories, statusCodes } = {}) {
+  const allowedStatuses = [...RETRYABLE_STATUSES, RECORD_STATUS.NOT_PROCESSED];
+
+  if (statuses !== undefined && (!Array.isArray(statuses) || statuses.length === 0 || statuses.some(status => !allowedStatuses.includes(status)))) {
+    throw new Error(`statuses must be a non-empty array of: ${allowedStatuses.join(', ')}`);
+  }
+  if (categories !== undefined && (!Array.isArray(categories) || categories.some(category => typeof category !== 'string'))) {
+    throw new Error('categories must be an array of error categories');
+  }
+  if (statusCodes !== undefined && (!Array.isArray(statusCodes) || statusCodes.some(code => !Number.isInteger(code)))) {
+    throw new Error('statusCodes must be an array of HTTP status codes');
+  }
+}
+
+/**
+ * Collect the input rows of a job whose records ended in failure
+ * @param {Object} job - Finished BullMQ job
+ * @param {Object} [filters] - Filters (see validateRetryFilters); all given filters must match
+ * @returns {Promise<{ records: Array<Object>, sourceIndexes: Array<number> }>} - Rows to retry and their indexes in the job
+ */
+export async function collectRetryRecords(job, { statuses = RETRYABLE_STATUSES, categories, statusCodes } = {}) {
+  const records = job.data?.records || [];
+  const outcomes = await getJobOutcomes(job);
+
+  const sourceIndexes = records
+    .map((record, index) => index)
+    .filter(index => {
+      const outcome = outcomes[index] || { status: RECORD_STATUS.NOT_PROCESSED };
+      return statuses.includes(outcome.status)
+        && (!categories || categories.includes(outcome.category))
+        && (!statusCodes || statusCodes.includes(outcome.statusCode));
+    });
+
+  return {
+    records: sourceIndexes.map(index => records[index]),
+    sourceIndexes
+  };
+}
+
+/**
+ * Build result rows: the original job rows, in order, with outcome columns appended
+ * Values extracted by the session's extraction rules are added as columns automatically
+ * @param {Object} job - BullMQ job
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.responseFields] - Response body paths to add as columns
+ * @returns {Promise<{ columns: Array<string>, rows: Array<Object> }>} - Column order and result rows
+ */
+export async function buildJobResultRows(job, { responseFields = [] } = {}) {
+  const records = job.data?.records || [];
+  const outcomes = await getJobOutcomes(job);
+
+  // Original columns first (in order of appearance), outcome columns last
+  const recordColumns = [...new Set(records.flatMap(record => Object.keys(record)))];
+  const extractedNames = [...new Set(outcomes.flatMap(outcome => Object.keys(outcome?.extracted || {})))];
+  const resultColumns = [
+    ...RESULT_COLUMNS,
+    ...extractedNames.map(name => `Response ${name}`),
+    ...responseFields.map(field => `Response ${field}`)
+  ];
+
+  const rows = records.map((record, index) => {
+    const outcome = outcomes[index] || { status: RECORD_STATUS.NOT_PROCESSED };
+    const row = {
+      ...record,
+      'Result Status': outcome.status,
+      'HTTP Code': outcome.statusCode || '',
+      'Error Category': outcome.category || '',
+      'Error Message': outcome.message || '',
+      'Attempts': outcome.attempts || ''
+    };
+
+    extractedNames.forEach(name => {
+      const value = outcome.extracted?.[name];
+      row[`Response ${name}`] = value !== undefined && value !== null && typeof value === 'object' ? JSON.stringify(value) : (value ?? '');
+    });
+
+    responseFields.forEach(field => {
+      const value = outcome.response !== undefined ? getPath(outcome.response, field) : undefined;
+      row[`Response ${field}`] = value !== undefined && typeof value === 'object' ? JSON.stringify(value) : (value ?? '');
+    });
+
+    return row;
+  });
+
+  logger.debug({ jobId: job.id, rows: rows.length }, 'Built job result rows');
+
+  return {
+    columns: [...recordColumns.filter(column => !resultColumns.includes(column)), ...resultColumns],
+    rows
+  };
+}
+
+/**
+ * Render result rows as a workbook or CSV file
+ * @param {Object} results - Output of buildJobResultRows
+ * @param {Array<string>} results.columns - Column order
+ * @param {Array<Object>} results.rows - Result rows
+ * @param {string} format - 'xlsx' or 'csv'
+ * @returns {Buffer} - File contents
+ */
+export function renderResultFile({ columns, rows }, format) {
+  // Nested record values can't be written to a cell directly
+  const flatRows = rows.map(row => Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [key, value !== null && typeof value === 'object' ? JSON.stringify(value) : value])
+  ));
+
+  const worksheet = XLSX.utils.json_to_sheet(flatRows, { header: columns });
+
+  if (format === 'csv') {
+    return Buffer.from(XLSX.utils.sheet_to_csv(worksheet), 'utf8');
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Results');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
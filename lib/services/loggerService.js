@@ -5,13 +5,34 @@ import pino from 'pino';
 import fs from 'fs/promises';
 import path from 'path';
 import redis from '../config/redisConfig.js';
+import { REDACTION } from '../config/appConfig.js';
+import { createRedactor } from '../helpers/redaction.js';
 
 // Log directory configuration
 const LOG_DIR = './logs';
 
+/**
+ * Mask secrets and PII using the configured redaction rules
+ * Used for every log destination and for stored success responses and user action errors
+ * @param {*} value - Value to redact
+ * @returns {*} - Redacted copy
+ */
+export const redact = createRedactor({
+  headers: REDACTION.HEADERS,
+  paths: REDACTION.PATHS,
+  patterns: REDACTION.PATTERNS,
+  replacement: REDACTION.REPLACEMENT
+});
+
 // Configure Pino logger
 const pinoLogger = pino({
   level: process.env.LOG_LEVEL || 'info',
+  hooks: {
+    // Redact every argument, so direct logger calls are covered as well as log()
+    logMethod(args, method) {
+      return method.apply(this, args.map(arg => redact(arg)));
+    }
+  },
   transport: {
     target: 'pino-pretty',
     options: {
@@ -47,7 +68,12 @@ const LOG_LEVEL_MAP = {
   'PROGRESS': 'info',
   'JOB_STARTED': 'info',
   'JOB_COMPLETED': 'info',
-  'API_CALL': 'debug'
+  'JOB_PAUSED': 'info',
+  'JOB_RESUMED': 'info',
+  'JOB_CANCELLED': 'info',
+  'API_CALL': 'debug',
+  'RECORD_FAILED': 'warn',
+  'RECORD_RESULT': 'debug'
 };
 
 /**
@@ -64,7 +90,7 @@ const LOG_LEVEL_MAP = {
  */
 export async function log({ sessionId, batchId, requestId, jobId, type, message, meta = {} }) {
   const timestamp = new Date().toISOString();
-  const entry = {
+  const entry = redact({
     time: timestamp,
     sessionId,
     batchId,
@@ -73,7 +99,7 @@ export async function log({ sessionId, batchId, requestId, jobId, type, message,
     message,
     ...meta,
     jobId
-  };
+  });
 
   // Remove undefined fields for cleanliness
   Object.keys(entry).forEach(key => entry[key] === undefined && delete entry[key]);
@@ -0,0 +1,117 @@
+/**
+ * Mapping template service - stores named column-mapping templates in Redis
+ * Each tenant has its own templates; the default tenant keeps the original key names
+ */
+import redis from '../config/redisConfig.js';
+import { logger } from './loggerService.js';
+import { TENANCY } from '../config/appConfig.js';
+import { validateMappingTemplate } from '../helpers/mapping.js';
+
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const TEMPLATE_INDEX_KEY = 'mappingTemplates';
+
+/**
+ * Get the Redis key prefix of a tenant's templates
+ * @param {string} tenant - Tenant
+ * @returns {string} - Empty for the default tenant, otherwise "<tenant>:"
+ */
+function tenantPrefix(tenant) {
+  return tenant === TENANCY.DEFAULT_TENANT ? '' : `${tenant}:`;
+}
+
+/**
+ * Get the key of a tenant's template index
+ * @param {string} tenant - Tenant
+ * @returns {string} - Redis key
+ */
+function indexKey(tenant) {
+  return tenant === TENANCY.DEFAULT_TENANT ? TEMPLATE_INDEX_KEY : `${TEMPLATE_INDEX_KEY}:${tenant}`;
+}
+
+/**
+ * Validate a template name
+ * @param {string} name - Template name
+ * @throws {Error} If the name is invalid
+ */
+export function validateTemplateName(name) {
+  if (!name || !TEMPLATE_NAME_PATTERN.test(name)) {
+    throw new Error('Template name must be 1-64 letters, digits, dashes or underscores');
+  }
+}
+
+/**
+ * Create or replace a mapping template
+ * @param {string} name - Template name
+ * @param {Object} definition - Template definition ({ fields, drop, keepUnmapped, description })
+ * @param {string} [tenant=TENANCY.DEFAULT_TENANT] - Tenant owning the template
+ * @returns {Promise<Object>} - Stored template
+ */
+export async function saveMappingTemplate(name, definition, tenant = TENANCY.DEFAULT_TENANT) {
+  validateTemplateName(name);
+  validateMappingTemplate(definition);
+
+  const existing = await getMappingTemplate(name, tenant);
+  const now = new Date().toISOString();
+  const template = {
+    name,
+    description: definition.description,
+    fields: definition.fields,
+    drop: definition.drop || [],
+    keepUnmapped: definition.keepUnmapped !== false,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  await redis.set(`mappingTemplate:${tenantPrefix(tenant)}${name}`, JSON.stringify(template));
+  await redis.sadd(indexKey(tenant), name);
+
+  logger.info({ name, tenant, fieldCount: template.fields.length }, existing ? 'Mapping template updated' : 'Mapping template created');
+
+  return template;
+}
+
+/**
+ * Get a mapping template by name
+ * @param {string} name - Template name
+ * @param {string} [tenant=TENANCY.DEFAULT_TENANT] - Tenant owning the template
+ * @returns {Promise<Object|null>} - Template or null if not found
+ */
+export async function getMappingTemplate(name, tenant = TENANCY.DEFAULT_TENANT) {
+  const data = await redis.get(`mappingTemplate:${tenantPrefix(tenant)}${name}`);
+  if (!data) return null;
+
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    logger.warn({ name, tenant }, 'Invalid mapping template data');
+    return null;
+  }
+}
+
+/**
+ * List a tenant's mapping templates
+ * @param {string} [tenant=TENANCY.DEFAULT_TENANT] - Tenant
+ * @returns {Promise<Array<Object>>} - Templates sorted by name
+ */
+export async function listMappingTemplates(tenant = TENANCY.DEFAULT_TENANT) {
+  const names = await redis.smembers(indexKey(tenant));
+  const templates = await Promise.all(names.map(name => getMappingTemplate(name, tenant)));
+  return templates.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Delete a mapping template
+ * @param {string} name - Template name
+ * @param {string} [tenant=TENANCY.DEFAULT_TENANT] - Tenant owning the template
+ * @returns {Promise<boolean>} - True if the template existed
+ */
+export async function deleteMappingTemplate(name, tenant = TENANCY.DEFAULT_TENANT) {
+  const removed = await redis.del(`mappingTemplate:${tenantPrefix(tenant)}${name}`);
+  await redis.srem(indexKey(tenant), name);
+
+  if (removed) {
+    logger.info({ name, tenant }, 'Mapping template deleted');
+  }
+
+  return removed > 0;
+}
@@ -1,13 +1,18 @@
 /**
  * Record processing service - handles record processing with enhanced error handling and retries
  */
-import { logger } from '../services/loggerService.js';
+import { log, logger, redact } from '../services/loggerService.js';
 import redis from '../config/redisConfig.js';
 import { api } from './apiClient.js';
 import { limiter } from './rateLimit.js';
 import { trackEndpointPerformance } from './apiClient.js';
 import workerPool from './workerPool.js';
 import { ERROR_CATEGORIES } from './workerPool.js';
+import { RECORD_STATUS, recordOutcomes } from './recordLedger.js';
+import { findCompletedKeys, markKeysCompleted } from './idempotencyLedger.js';
+import { buildIdempotencyKey } from '../helpers/idempotency.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { encryptCredentials, decryptCredentials } from './credentialVault.js';
 
 /**
  * Check if circuit breaker is active
@@ -50,30 +55,133 @@ async function isCircuitBreakerActive(sessionId, jobId, batchId, requestId) {
   }
 }
 
+/**
+ * Build a unique ID for a stored response or error
+ * Records in the same batch finish within the same millisecond, so the record index is included
+ * @param {string} sessionId - Session ID
+ * @param {string} jobId - Job ID
+ * @param {number} [recordIndex] - Index of the record within the job
+ * @returns {string} - Result ID
+ */
+function buildResultId(sessionId, jobId, recordIndex) {
+  const suffix = recordIndex !== undefined ? `:${recordIndex}` : '';
+  return `${sessionId}:${jobId}:${Date.now()}${suffix}`;
+}
+
+/**
+ * Build the record ledger entry for a processed record
+ * @param {number} recordIndex - Index of the record within the job
+ * @param {string} status - RECORD_STATUS value
+ * @param {Object} result - Worker result, or the categorized error of a failed record
+ * @param {Object} [extra] - Additional fields (responseId, errorId), overriding those from the result
+ * @returns {Object} - Ledger entry
+ */
+function ledgerEntry(recordIndex, status, result, extra = {}) {
+  const failed = status === RECORD_STATUS.FAILED || status === RECORD_STATUS.USER_ACTION_REQUIRED;
+  return {
+    recordIndex,
+    status,
+    category: failed ? (result?.category || ERROR_CATEGORIES.UNKNOWN_ERROR) : undefined,
+    // Worker results carry the HTTP status as status, categorized errors as statusCode
+    statusCode: (failed ? result?.statusCode : result?.status) || 0,
+    attempts: result?.attempts,
+    durationMs: result?.elapsedMs,
+    message: failed ? (result?.message || 'Unknown error') : undefined,
+    step: result?.step,
+    startedAt: result?.startedAt ? new Date(result.startedAt).toISOString() : undefined,
+    ...extra
+  };
+}
+
+/**
+ * Check which records already succeeded under their idempotency key
+ * A record completed by this same job (a chunk replayed after a restart) is reported as a replay,
+ * since its ledger entry and counts belong to this job already
+ * @param {Array<Object>} records - Records
+ * @param {string} jobId - Job ID
+ * @param {number} startIndex - Index of the first record within the job
+ * @param {Object} [idempotency] - Effective idempotency config with its ledger scope
+ * @returns {Promise<Array<{ key: string|null, duplicateOf: Object|null, replay: boolean }>>} - Per record, in order
+ */
+async function checkDuplicates(records, jobId, startIndex, idempotency) {
+  if (!idempotency) {
+    return records.map(() => ({ key: null, duplicateOf: null, replay: false }));
+  }
+
+  const keys = records.map(record => buildIdempotencyKey(record, idempotency.fields));
+  let completed;
+  try {
+    completed = await findCompletedKeys(idempotency.ledgerScope, keys);
+  } catch (err) {
+    // Without the ledger every record is sent, as it would be without idempotency
+    logger.error({ jobId, error: err.message }, 'Failed to check idempotency ledger');
+    completed = keys.map(() => null);
+  }
+
+  return keys.map((key, offset) => {
+    const duplicateOf = completed[offset];
+    const replay = Boolean(duplicateOf) && duplicateOf.jobId === String(jobId) && duplicateOf.recordIndex === startIndex + offset;
+    return { key, duplicateOf, replay };
+  });
+}
+
+/**
+ * Record a failure that does not require user action so it can be joined back to its row
+ * @param {Object} error - Categorized error
+ * @param {string} sessionId - Session ID
+ * @param {string} jobId - Job ID
+ * @param {number} recordIndex - Index of the record within the job
+ */
+async function logRecordFailure(error, sessionId, jobId, recordIndex) {
+  await log({
+    sessionId,
+    jobId,
+    type: 'RECORD_FAILED',
+    message: `Record ${recordIndex + 1} failed: ${error?.message || 'Unknown error'}`,
+    meta: {
+      recordIndex,
+      statusCode: error?.statusCode || 0,
+      category: error?.category || ERROR_CATEGORIES.UNKNOWN_ERROR,
+      error: error?.message || 'Unknown error',
+      attempts: error?.attempts || 1,
+      step: error?.step
+    }
+  });
+}
+
 /**
  * Store a user action error for later handling
  * @param {Object} error - The error object
  * @param {string} sessionId - Session ID
  * @param {string} jobId - Job ID
  * @param {Object} record - The record that caused the error
+ * @param {number} [recordIndex] - Index of the record within the job
  */
-async function storeUserActionError(error, sessionId, jobId, record) {
+async function storeUserActionError(error, sessionId, jobId, record, recordIndex) {
   try {
-    const errorId = `${sessionId}:${jobId}:${Date.now()}`;
-    const errorData = {
+    const errorId = buildResultId(sessionId, jobId, recordIndex);
+    const errorData = redact({
       errorId,
       sessionId,
       jobId,
+      recordIndex,
+      attempts: error.attempts,
       timestamp: new Date().toISOString(),
       statusCode: error.statusCode,
       category: error.category,
       message: error.message,
+      step: error.step,
+      steps: error.steps,
       validationErrors: error.validationErrors,
       permissionInfo: error.permissionInfo,
       userActionGuidance: error.userActionGuidance,
-      record: JSON.stringify(record),
+      record,
       resolved: false
-    };
+    });
+    // Redacted as an object so path rules apply, then stored in its usual string form
+    errorData.record = JSON.stringify(errorData.record);
+    // The record as sent is only kept sealed, for fixing it (see getUserActionErrorRecord)
+    errorData.sealedRecord = encryptCredentials(record, `userActionError:${errorId}`);
     
     // Store in Redis with TTL of 24 hours
     await redis.setex(`userActionError:${errorId}`, 86400, JSON.stringify(errorData));
@@ -94,6 +202,19 @@ async function storeUserActionError(error, sessionId, jobId, record) {
         userActionGuidance: error.userActionGuidance
       }
     });
+
+    await emitWebhookEvent('record.user_action_required', {
+      sessionId,
+      jobId,
+      data: {
+        errorId,
+        recordIndex,
+        statusCode: error.statusCode,
+        category: error.category,
+        message: error.message,
+        userActionGuidance: error.userActionGuidance
+      }
+    });
     
     return errorId;
   } catch (err) {
@@ -111,21 +232,31 @@ async function storeUserActionError(error, sessionId, jobId, record) {
  * @param {string} sessionId - Session ID
  * @param {string} jobId - Job ID
  * @param {Object} record - The record that was processed
+ * @param {number} [recordIndex] - Index of the record within the job
+ * @param {Object} [options] - Storage options
+ * @param {boolean} [options.storeResponseBody=true] - Keep the full body when extracted values are available
  */
-async function storeSuccessfulApiResponse(response, sessionId, jobId, record) {
+async function storeSuccessfulApiResponse(response, sessionId, jobId, record, recordIndex, { storeResponseBody = true } = {}) {
   try {
-    const responseId = `${sessionId}:${jobId}:${Date.now()}`;
-    const responseData = {
+    const responseId = buildResultId(sessionId, jobId, recordIndex);
+    const hasExtracted = response.extracted !== undefined;
+    const responseData = redact({
       responseId,
       sessionId,
       jobId,
+      recordIndex,
+      attempts: response.attempts,
       timestamp: new Date().toISOString(),
       statusCode: response.status,
-      headers: response.headers,
-      data: response.data,
-      record: JSON.stringify(record),
+      headers: hasExtracted && !storeResponseBody ? undefined : response.headers,
+      data: hasExtracted && !storeResponseBody ? undefined : response.data,
+      extracted: response.extracted,
+      steps: response.steps,
+      record,
       durationMs: response.duration || 0
-    };
+    });
+    // Redacted as an object so path rules apply, then stored in its usual string form
+    responseData.record = JSON.stringify(responseData.record);
     
     // Store in Redis with TTL of 24 hours
     await redis.setex(`successResponse:${responseId}`, 86400, JSON.stringify(responseData));
@@ -134,6 +265,22 @@ async function storeSuccessfulApiResponse(response, sessionId, jobId, record) {
     await redis.lpush(`successResponses:${sessionId}`, responseId);
     await redis.expire(`successResponses:${sessionId}`, 86400);
     
+    // Compact per-record result for the logs endpoint
+    if (hasExtracted) {
+      await log({
+        sessionId,
+        jobId,
+        type: 'RECORD_RESULT',
+        message: `Record ${recordIndex + 1} succeeded`,
+        meta: {
+          recordIndex,
+          responseId,
+          statusCode: response.status,
+          extracted: response.extracted
+        }
+      });
+    }
+    
     logger.debug({
       sessionId,
       jobId,
@@ -163,12 +310,19 @@ async function storeSuccessfulApiResponse(response, sessionId, jobId, record) {
  * @param {string} jobId - Job ID
  * @param {number} recordIndex - Record index in batch
  * @param {number} totalRecords - Total records in batch
- * @returns {Promise<Object>} - API response
+ * @param {Object} [options] - Processing options
+ * @param {Object} [options.auth] - Session auth config, applied per request in the worker thread
+ * @param {Object} [options.requestTemplate] - Session request template rendered per record
+ * @param {Array<Object>} [options.steps] - Session request steps run in order per record
+ * @param {Array<Object>} [options.extractRules] - Session response extraction rules
+ * @param {boolean} [options.storeResponseBody=true] - Keep full response bodies alongside extracted values
+ * @param {Object} [options.idempotency] - Effective idempotency config with its ledger scope
+ * @returns {Promise<Object>} - API response, or { skipped: true, duplicateOf } for a duplicate record
  */
-export async function processRecord(record, apiUrl, headers, sessionId, jobId, recordIndex, totalRecords) {
-  // Dynamic retry configuration 
+export async function processRecord(record, apiUrl, headers, sessionId, jobId, recordIndex, totalRecords, { auth, requestTemplate, steps, extractRules, storeResponseBody, idempotency } = {}) {
+  // Dynamic retry configuration (the worker thread applies exponential backoff itself,
+  // functions cannot be cloned across the worker message channel)
   const maxRetries = 3;
-  const getBackoffDelay = (attempt) => Math.pow(2, attempt) * 1000; // Exponential backoff
   
   const batchId = record.memberId;
   const requestId = record.requestId;
@@ -176,10 +330,32 @@ export async function processRecord(record, apiUrl, headers, sessionId, jobId, r
   // Track overall processing time for concurrency tuning
   const processingStartTime = Date.now();
 
+  // Records whose idempotency key already succeeded are not sent again
+  const [{ key: idempotencyKey, duplicateOf, replay }] = await checkDuplicates([record], jobId, recordIndex, idempotency);
+  if (duplicateOf) {
+    if (!replay) {
+      await recordOutcomes(jobId, [ledgerEntry(recordIndex, RECORD_STATUS.SKIPPED_DUPLICATE, {}, { duplicateOf, durationMs: 0 })]);
+      await logger.info({
+        sessionId,
+        jobId,
+        type: 'SKIPPED_DUPLICATE',
+        message: `Record ${recordIndex + 1} skipped as a duplicate`,
+        meta: duplicateOf
+      });
+    }
+    return { success: replay, skipped: !replay, responseId: duplicateOf.responseId, duplicateOf };
+  }
+
   // Check circuit breaker status first
   const circuitBreakerActive = await isCircuitBreakerActive(sessionId, jobId, batchId, requestId);
   if (circuitBreakerActive) {
-    throw new Error('Circuit breaker active - request rejected');
+    const circuitError = new Error('Circuit breaker active - request rejected');
+    await recordOutcomes(jobId, [ledgerEntry(recordIndex, RECORD_STATUS.FAILED, {
+      category: ERROR_CATEGORIES.SYSTEM_ERROR,
+      message: circuitError.message,
+      attempts: 0
+    }, { durationMs: 0 })]);
+    throw circuitError;
   }
 
   try {
@@ -187,16 +363,20 @@ export async function processRecord(record, apiUrl, headers, sessionId, jobId, r
     const result = await workerPool.processRecord(record, {
       apiUrl,
           headers,
+      auth,
+      requestTemplate,
+      steps,
+      extractRules,
+      idempotency,
       retryConfig: {
-        maxRetries,
-        getBackoffDelay
+        maxRetries
       }
-    });
+    }, { group: jobId });
     
     const apiCallDuration = result.duration;
 
       // Track endpoint performance
-      trackEndpointPerformance(apiUrl, apiCallDuration);
+      trackEndpointPerformance(result.url || apiUrl, apiCallDuration);
 
       // Log API call (request + response)
       await logger.info({
@@ -207,19 +387,25 @@ export async function processRecord(record, apiUrl, headers, sessionId, jobId, r
         type: 'API_CALL',
         message: `API call for record ${recordIndex + 1}/${totalRecords}`,
       meta: {
-        apiUrl,
+        apiUrl: result.url || apiUrl,
+        method: result.method,
         attempt: result.attempts,
         requestPayload: record,
         headers,
         status: result.status,
         responseData: result.data,
         responseHeaders: result.headers,
+        steps: result.steps,
         durationMs: apiCallDuration
       }
       });
 
       // Store successful API response
-      const responseId = await storeSuccessfulApiResponse(result, sessionId, jobId, record);
+      const responseId = await storeSuccessfulApiResponse(result, sessionId, jobId, record, recordIndex, { storeResponseBody });
+      await recordOutcomes(jobId, [ledgerEntry(recordIndex, RECORD_STATUS.SUCCESS, result, { responseId })]);
+      if (idempotencyKey) {
+        await markKeysCompleted(idempotency.ledgerScope, [{ key: idempotencyKey, jobId, recordIndex, responseId }]);
+      }
 
       // Log success
       await logger.info({
@@ -240,6 +426,8 @@ export async function processRecord(record, apiUrl, headers, sessionId, jobId, r
       data: result.data,
       status: result.status,
       headers: result.headers,
+      extracted: result.extracted,
+      steps: result.steps,
       success: true,
       responseId
     };
@@ -260,6 +448,11 @@ export async function processRecord(record, apiUrl, headers, sessionId, jobId, r
     const statusCode = err.statusCode || 0;
     const attempts = err.attempts || 1;
     
+    // Cancelled records were never finished, so there is no outcome to store
+    if (err.category === ERROR_CATEGORIES.CANCELLED) {
+      throw err;
+    }
+    
     // Log API call error
     await logger.info({
       sessionId,
@@ -277,14 +470,15 @@ export async function processRecord(record, apiUrl, headers, sessionId, jobId, r
         status: statusCode,
         responseHeaders: err.rawError?.headers,
         responseData: err.rawError?.data,
-        category: err.category
+        category: err.category,
+        step: err.step
       }
     });
     
     // Check if this is a user action error (4XX)
     if (err.category === ERROR_CATEGORIES.REQUIRES_USER_ACTION) {
       // Store for user resolution
-      const errorId = await storeUserActionError(err, sessionId, jobId, record);
+      const errorId = await storeUserActionError(err, sessionId, jobId, record, recordIndex);
       
       // Log specific message about user action required
       await logger.info({
@@ -306,6 +500,11 @@ export async function processRecord(record, apiUrl, headers, sessionId, jobId, r
       // Enhance the error with action metadata
       err.errorId = errorId;
       err.requiresUserAction = true;
+      
+      await recordOutcomes(jobId, [ledgerEntry(recordIndex, RECORD_STATUS.USER_ACTION_REQUIRED, err, {
+        errorId,
+        durationMs: err.elapsedMs ?? Date.now() - processingStartTime
+      })]);
     } else {
       // Log final error for non-user action errors
       await logger.info({
@@ -322,6 +521,11 @@ export async function processRecord(record, apiUrl, headers, sessionId, jobId, r
           category: err.category
         }
       });
+
+      await logRecordFailure(err, sessionId, jobId, recordIndex);
+      await recordOutcomes(jobId, [ledgerEntry(recordIndex, RECORD_STATUS.FAILED, err, {
+        durationMs: err.elapsedMs ?? Date.now() - processingStartTime
+      })]);
     }
       
       // Check if we should stop all processing (potential global issue)
@@ -347,6 +551,43 @@ export async function processRecord(record, apiUrl, headers, sessionId, jobId, r
   }
 }
 
+/**
+ * Get a user action error
+ * @param {string} errorId - Error ID
+ * @returns {Promise<Object|null>} - User action error, or null if missing or expired
+ */
+export async function getUserActionError(errorId) {
+  const errorData = await redis.get(`userActionError:${errorId}`);
+  if (!errorData) return null;
+  
+  try {
+    const { sealedRecord, ...error } = JSON.parse(errorData);
+    // Parse record back from string
+    if (error.record) {
+      try {
+        error.record = JSON.parse(error.record);
+      } catch (e) {
+        // If record can't be parsed, use as is
+      }
+    }
+    return error;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Get the record of a user action error as it was sent, before redaction
+ * @param {string} errorId - Error ID
+ * @returns {Promise<Object|null>} - Record, or null if the error is missing or predates sealed records
+ * @throws {Error} If the record can't be decrypted
+ */
+export async function getUserActionErrorRecord(errorId) {
+  const errorData = await redis.get(`userActionError:${errorId}`);
+  const { sealedRecord } = errorData ? JSON.parse(errorData) : {};
+  return sealedRecord ? decryptCredentials(sealedRecord, `userActionError:${errorId}`) : null;
+}
+
 /**
  * Get user action errors for a session
  * @param {string} sessionId - Session ID
@@ -362,27 +603,7 @@ export async function getUserActionErrors(sessionId) {
     }
     
     // Get error details
-    const errors = await Promise.all(
-      errorIds.map(async (errorId) => {
-        const errorData = await redis.get(`userActionError:${errorId}`);
-        if (!errorData) return null;
-        
-        try {
-          const error = JSON.parse(errorData);
-          // Parse record back from string
-          if (error.record) {
-            try {
-              error.record = JSON.parse(error.record);
-            } catch (e) {
-              // If record can't be parsed, use as is
-            }
-          }
-          return error;
-        } catch (e) {
-          return null;
-        }
-      })
-    );
+    const errors = await Promise.all(errorIds.map(errorId => getUserActionError(errorId)));
     
     // Filter out nulls and return
     return errors.filter(Boolean);
@@ -412,7 +633,7 @@ export async function resolveUserActionError(errorId, resolution) {
     // Parse and update
     const error = JSON.parse(errorData);
     error.resolved = true;
-    error.resolution = resolution;
+    error.resolution = redact(resolution);
     error.resolvedAt = new Date().toISOString();
     
     // Save updated error
@@ -494,33 +715,79 @@ export async function getSuccessfulResponses(sessionId) {
  * @param {Object} headers - Request headers
  * @param {string} sessionId - Session ID
  * @param {string} jobId - Job ID
- * @returns {Promise<Object>} - Processing results with success, failure, and user action required counts
+ * @param {Object} [options] - Batch options
+ * @param {number} [options.startIndex=0] - Index of the first record within the job
+ * @param {Object} [options.auth] - Session auth config, applied per request in the worker thread
+ * @param {Object} [options.requestTemplate] - Session request template rendered per record
+ * @param {Array<Object>} [options.steps] - Session request steps run in order per record
+ * @param {Array<Object>} [options.extractRules] - Session response extraction rules
+ * @param {boolean} [options.storeResponseBody=true] - Keep full response bodies alongside extracted values
+ * @param {Object} [options.idempotency] - Effective idempotency config with its ledger scope
+ * @param {Set<number>} [options.quarantined] - Job record indexes held back by the record schema
+ * @returns {Promise<Object>} - Processing results with success, failure, user action required and skipped counts
  */
-export async function batchProcessRecords(records, apiUrl, headers, sessionId, jobId) {
-  const batchResults = await workerPool.batchProcess(records, {
+export async function batchProcessRecords(records, apiUrl, headers, sessionId, jobId, { startIndex = 0, auth, requestTemplate, steps, extractRules, storeResponseBody, idempotency, quarantined } = {}) {
+  // Records whose idempotency key already succeeded are not sent again, nor are quarantined ones
+  const duplicates = await checkDuplicates(records, jobId, startIndex, idempotency);
+  const isQuarantined = offset => Boolean(quarantined?.has(startIndex + offset));
+  const sendOffsets = duplicates.map((duplicate, offset) => offset)
+    .filter(offset => !duplicates[offset].duplicateOf && !isQuarantined(offset));
+  
+  const sentResults = await workerPool.batchProcess(sendOffsets.map(offset => records[offset]), {
     apiUrl,
     headers,
+    auth,
+    requestTemplate,
+    steps,
+    extractRules,
+    idempotency,
     retryConfig: {
-      maxRetries: 3,
-      getBackoffDelay: (attempt) => Math.pow(2, attempt) * 1000
+      maxRetries: 3
+    }
+  }, { group: jobId });
+  
+  const batchResults = duplicates.map(({ duplicateOf, replay }, offset) => {
+    if (isQuarantined(offset)) {
+      return { success: false, quarantined: true, record: records[offset] };
     }
+    return duplicateOf
+      ? { success: replay, skipped: !replay, replay, duplicateOf, responseId: duplicateOf.responseId, record: records[offset] }
+      : sentResults[sendOffsets.indexOf(offset)];
   });
   
   // Process user action errors and store successful responses
   let userActionRequiredCount = 0;
+  let cancelledCount = 0;
+  let skippedCount = 0;
+  const outcomes = [];
+  const completedKeys = [];
   
-  for (const result of batchResults) {
-    if (result.success) {
+  for (const [offset, result] of batchResults.entries()) {
+    result.recordIndex = startIndex + offset;
+
+    if (result.replay || result.quarantined) {
+      // Already stored and recorded: by this job before a restart, or when it was quarantined
+      continue;
+    } else if (result.skipped) {
+      skippedCount++;
+      outcomes.push(ledgerEntry(result.recordIndex, RECORD_STATUS.SKIPPED_DUPLICATE, {}, { duplicateOf: result.duplicateOf, durationMs: 0 }));
+    } else if (result.success) {
       // Store successful API response
       const responseId = await storeSuccessfulApiResponse(
         result.data, 
         sessionId, 
         jobId, 
-        result.record
+        result.record,
+        result.recordIndex,
+        { storeResponseBody }
       );
       
       // Add response ID to result
       result.responseId = responseId;
+      outcomes.push(ledgerEntry(result.recordIndex, RECORD_STATUS.SUCCESS, result.data, { responseId }));
+      if (duplicates[offset].key) {
+        completedKeys.push({ key: duplicates[offset].key, jobId, recordIndex: result.recordIndex, responseId });
+      }
     } else if (result.error?.category === ERROR_CATEGORIES.REQUIRES_USER_ACTION) {
       userActionRequiredCount++;
       
@@ -529,17 +796,32 @@ export async function batchProcessRecords(records, apiUrl, headers, sessionId, j
         result.error, 
         sessionId, 
         jobId, 
-        result.record
+        result.record,
+        result.recordIndex
       );
       
       // Add error ID to result
       result.errorId = errorId;
+      outcomes.push(ledgerEntry(result.recordIndex, RECORD_STATUS.USER_ACTION_REQUIRED, result.error, { errorId }));
+    } else if (result.error?.category === ERROR_CATEGORIES.CANCELLED) {
+      // Left without an outcome so it reports as not processed
+      result.cancelled = true;
+      cancelledCount++;
+    } else {
+      await logRecordFailure(result.error, sessionId, jobId, result.recordIndex);
+      outcomes.push(ledgerEntry(result.recordIndex, RECORD_STATUS.FAILED, result.error));
     }
   }
   
+  await recordOutcomes(jobId, outcomes);
+  if (completedKeys.length > 0) {
+    await markKeysCompleted(idempotency.ledgerScope, completedKeys);
+  }
+  
   // Log results
   const successCount = batchResults.filter(r => r.success).length;
-  const failureCount = batchResults.length - successCount - userActionRequiredCount;
+  const quarantinedCount = batchResults.filter(r => r.quarantined).length;
+  const failureCount = batchResults.length - successCount - userActionRequiredCount - cancelledCount - skippedCount - quarantinedCount;
   
   await logger.info({
     sessionId,
@@ -550,6 +832,8 @@ export async function batchProcessRecords(records, apiUrl, headers, sessionId, j
       successCount, 
       failureCount,
       userActionRequiredCount, 
+      cancelledCount,
+      skippedCount,
       totalRecords: records.length 
     }
   });
@@ -560,6 +844,8 @@ export async function batchProcessRecords(records, apiUrl, headers, sessionId, j
       successCount,
       failureCount,
       userActionRequiredCount,
+      cancelledCount,
+      skippedCount,
       totalRecords: records.length
     }
   };
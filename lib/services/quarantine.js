@@ -0,0 +1,127 @@
+/**
+ * Quarantine service - stores records held back because they failed the session record schema
+ * Quarantined records are listed per session like user action errors, redacted; the record as
+ * received is kept sealed by the credential vault so it can be fixed and queued again
+ */
+import redis from '../config/redisConfig.js';
+import { logger, log, redact } from './loggerService.js';
+import { encryptCredentials, decryptCredentials } from './credentialVault.js';
+import { RECORD_STATUS, recordOutcomes } from './recordLedger.js';
+
+// Same retention as user action errors
+const QUARANTINE_TTL = 86400;
+
+/**
+ * Quarantine the invalid records of a job
+ * @param {string} sessionId - Session ID
+ * @param {string} jobId - Job ID
+ * @param {Array<Object>} rows - Invalid rows ({ recordIndex, record, errors })
+ * @returns {Promise<Array<string>>} - Quarantine IDs, in row order
+ */
+export async function quarantineRecords(sessionId, jobId, rows) {
+  if (rows.length === 0) return [];
+
+  const timestamp = new Date().toISOString();
+  const pipeline = redis.pipeline();
+  const quarantineIds = rows.map(({ recordIndex, record, errors }) => {
+    const quarantineId = `${sessionId}:${jobId}:${recordIndex}`;
+    pipeline.setex(`quarantinedRecord:${quarantineId}`, QUARANTINE_TTL, JSON.stringify({
+      ...redact({
+        quarantineId,
+        sessionId,
+        jobId: String(jobId),
+        recordIndex,
+        timestamp,
+        errors,
+        record
+      }),
+      sealedRecord: encryptCredentials(record, `quarantinedRecord:${quarantineId}`)
+    }));
+    pipeline.rpush(`quarantinedRecords:${sessionId}`, quarantineId);
+    return quarantineId;
+  });
+  pipeline.expire(`quarantinedRecords:${sessionId}`, QUARANTINE_TTL);
+  await pipeline.exec();
+
+  await recordOutcomes(jobId, rows.map(({ recordIndex, errors }, index) => ({
+    recordIndex,
+    status: RECORD_STATUS.QUARANTINED,
+    message: errors.map(error => `${error.path} ${error.message}`).join('; '),
+    validationErrors: errors,
+    quarantineId: quarantineIds[index],
+    attempts: 0,
+    durationMs: 0
+  })));
+
+  await log({
+    sessionId,
+    jobId,
+    type: 'RECORDS_QUARANTINED',
+    message: `${rows.length} records failed the record schema and were quarantined`,
+    meta: { count: rows.length, recordIndexes: rows.slice(0, 100).map(row => row.recordIndex) }
+  });
+
+  return quarantineIds;
+}
+
+/**
+ * Get the quarantined records of a session
+ * @param {string} sessionId - Session ID
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.jobId] - Only records from this job
+ * @returns {Promise<Array<Object>>} - Quarantined records ({ quarantineId, jobId, recordIndex, timestamp, errors, record })
+ */
+export async function getQuarantinedRecords(sessionId, { jobId } = {}) {
+  try {
+    const quarantineIds = await redis.lrange(`quarantinedRecords:${sessionId}`, 0, -1);
+    if (quarantineIds.length === 0) {
+      return [];
+    }
+
+    const values = await redis.mget(quarantineIds.map(quarantineId => `quarantinedRecord:${quarantineId}`));
+    return values
+      .map(value => {
+        try {
+          if (!value) return null;
+          const { sealedRecord, ...entry } = JSON.parse(value);
+          return entry;
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(entry => entry && (!jobId || entry.jobId === String(jobId)));
+  } catch (err) {
+    logger.error({ error: err.message, sessionId }, 'Failed to get quarantined records');
+    return [];
+  }
+}
+
+/**
+ * Get a quarantined record as it was received, before redaction
+ * @param {string} sessionId - Session ID
+ * @param {string} quarantineId - Quarantine ID
+ * @returns {Promise<Object|null>} - Record, or null if it isn't quarantined in this session or predates sealed records
+ * @throws {Error} If the record can't be decrypted
+ */
+export async function getQuarantinedRecordOriginal(sessionId, quarantineId) {
+  const value = await redis.get(`quarantinedRecord:${quarantineId}`);
+  const { sessionId: owner, sealedRecord } = value ? JSON.parse(value) : {};
+  if (owner !== sessionId || !sealedRecord) return null;
+  return decryptCredentials(sealedRecord, `quarantinedRecord:${quarantineId}`);
+}
+
+/**
+ * Remove every quarantined record of a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<number>} - Records removed
+ */
+export async function clearQuarantinedRecords(sessionId) {
+  const quarantineIds = await redis.lrange(`quarantinedRecords:${sessionId}`, 0, -1);
+  if (quarantineIds.length > 0) {
+    await redis.del(...quarantineIds.map(quarantineId => `quarantinedRecord:${quarantineId}`));
+  }
+  await redis.del(`quarantinedRecords:${sessionId}`);
+
+  logger.info({ sessionId, count: quarantineIds.length }, 'Cleared quarantined records');
+  return quarantineIds.length;
+}
@@ -4,10 +4,21 @@
 import { Queue } from 'bullmq';
 import redis from '../config/redisConfig.js';
 import { logger } from '../services/loggerService.js';
+import { QUEUE, UPLOAD, TENANCY } from '../config/appConfig.js';
+import { recordTenantJob, reserveRecordQuota, releaseRecordQuota } from './tenants.js';
 
 // Initialize queue
 export const batchQueue = new Queue('batchQueue', { connection: redis });
 
+/**
+ * Get the BullMQ priority of a priority level
+ * @param {string} [level=QUEUE.DEFAULT_PRIORITY] - Priority level (see QUEUE.PRIORITIES)
+ * @returns {number} - BullMQ priority; unknown levels get the default
+ */
+export function getJobPriority(level = QUEUE.DEFAULT_PRIORITY) {
+  return QUEUE.PRIORITIES[level] || QUEUE.PRIORITIES[QUEUE.DEFAULT_PRIORITY];
+}
+
 /**
  * Get queue backlog count
  * @returns {Promise<number>} - Number of waiting jobs
@@ -15,7 +26,8 @@ export const batchQueue = new Queue('batchQueue', { connection: redis });
 export async function getQueueBacklog() {
   try {
     // Get counts by job state
-    const waiting = await batchQueue.getJobCountByTypes('waiting');
+    // Prioritized jobs are waiting too, just outside BullMQ's wait list
+    const waiting = await batchQueue.getJobCountByTypes('waiting', 'prioritized');
     const active = await batchQueue.getJobCountByTypes('active');
     const delayed = await batchQueue.getJobCountByTypes('delayed');
     
@@ -62,7 +74,7 @@ export async function addBatchJob(sessionId, records, options = {}) {
     const job = await batchQueue.add(
       'batch', 
       { sessionId, records }, 
-      { ...defaultOptions, ...options }
+      { ...defaultOptions, priority: getJobPriority(), ...options }
     );
     
     logger.info({ jobId: job.id, sessionId, records: records.length }, 'Added batch job to queue');
@@ -74,13 +86,116 @@ export async function addBatchJob(sessionId, records, options = {}) {
   }
 }
 
+/**
+ * Add a processBatch job and index it under its tenant
+ * @param {Object} data - Job data ({ tenant, sessionId, records, priority, ... })
+ * @returns {Promise<Job>} - Created job
+ */
+async function addProcessBatchJob(data) {
+  const job = await batchQueue.add('processBatch', data, { priority: getJobPriority(data.priority) });
+  await recordTenantJob(data.tenant, job.id, job.timestamp);
+  return job;
+}
+
+/**
+ * Queue one processBatch job, counting its records against the tenant's quotas
+ * @param {Object} data - Job data; data.tenant owns the job and data.priority sets the priority level
+ * @returns {Promise<Job>} - Created job
+ * @throws {Error} With a quota property if the tenant is over a quota
+ */
+export async function queueBatchJob(data) {
+  const jobData = { ...data, tenant: data.tenant || TENANCY.DEFAULT_TENANT };
+  await reserveRecordQuota(jobData.tenant, jobData.records.length);
+
+  try {
+    return await addProcessBatchJob(jobData);
+  } catch (err) {
+    await releaseRecordQuota(jobData.tenant, jobData.records.length);
+    throw err;
+  }
+}
+
+/**
+ * Split records into fixed-size chunks and queue each chunk as a processBatch job
+ * All records are counted against the tenant's quotas up front, so an upload is queued whole or not at all
+ * @param {string} sessionId - Session ID
+ * @param {Array} records - Records to process
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.chunkSize] - Maximum records per job
+ * @param {Object} [options.data] - Extra job data merged into every chunk; data.tenant owns the jobs and
+ *   data.priority sets the priority level
+ * @returns {Promise<Array<string>>} - IDs of the queued jobs
+ * @throws {Error} With a quota property if the tenant is over a quota
+ */
+export async function queueRecordBatches(sessionId, records, { chunkSize = UPLOAD.RECORDS_PER_JOB, data = {} } = {}) {
+  const jobIds = [];
+  const tenant = data.tenant || TENANCY.DEFAULT_TENANT;
+  await reserveRecordQuota(tenant, records.length);
+
+  let queued = 0;
+  try {
+    for (let i = 0; i < records.length; i += chunkSize) {
+      const chunk = records.slice(i, i + chunkSize);
+      const job = await addProcessBatchJob({ ...data, tenant, sessionId, records: chunk });
+      jobIds.push(job.id);
+      queued += chunk.length;
+    }
+  } catch (err) {
+    await releaseRecordQuota(tenant, records.length - queued);
+    throw err;
+  }
+
+  logger.info({ sessionId, jobIds, recordCount: records.length, chunkSize }, 'Queued record batches');
+
+  return jobIds;
+}
+
+/**
+ * Get the states of many jobs in one Redis round trip
+ * Gives the same answers as Queue#getJobState, which costs a round trip per job and reads the
+ * whole wait list each time; here each list is read once and the sorted sets are checked per job
+ * @param {Array<string>} jobIds - Job IDs
+ * @returns {Promise<Array<string>>} - BullMQ states ('completed', 'failed', 'delayed', 'prioritized',
+ *   'active', 'waiting', 'waiting-children' or 'unknown'), in jobIds order
+ */
+export async function getJobStates(jobIds) {
+  if (jobIds.length === 0) return [];
+
+  const { keys } = batchQueue;
+  const lists = ['active', 'wait', 'paused'];
+  const sortedSets = ['completed', 'failed', 'delayed', 'prioritized', 'waiting-children'];
+
+  const pipeline = redis.pipeline();
+  lists.forEach(list => pipeline.lrange(keys[list], 0, -1));
+  sortedSets.forEach(set => jobIds.forEach(jobId => pipeline.zscore(keys[set], jobId)));
+  const results = (await pipeline.exec()).map(([err, value]) => {
+    if (err) throw err;
+    return value;
+  });
+
+  const [active, wait, paused] = results.slice(0, lists.length).map(items => new Set(items));
+  const inSet = (set, index) => results[lists.length + sortedSets.indexOf(set) * jobIds.length + index] !== null;
+
+  // Checked in the order BullMQ's getState script uses
+  return jobIds.map((jobId, index) => {
+    if (inSet('completed', index)) return 'completed';
+    if (inSet('failed', index)) return 'failed';
+    if (inSet('delayed', index)) return 'delayed';
+    if (inSet('prioritized', index)) return 'prioritized';
+    if (active.has(jobId)) return 'active';
+    if (wait.has(jobId) || paused.has(jobId)) return 'waiting';
+    if (inSet('waiting-children', index)) return 'waiting-children';
+    return 'unknown';
+  });
+}
+
 /**
  * Get queue statistics
  * @returns {Promise<Object>} - Queue statistics
  */
 export async function getQueueStats() {
   try {
-    const waiting = await batchQueue.getJobCountByTypes('waiting');
+    const waiting = await batchQueue.getJobCountByTypes('waiting', 'prioritized');
     const active = await batchQueue.getJobCountByTypes('active');
     const completed = await batchQueue.getJobCountByTypes('completed');
     const failed = await batchQueue.getJobCountByTypes('failed');
@@ -99,4 +214,25 @@ export async function getQueueStats() {
     logger.error({ error: err.message }, 'Failed to get queue stats');
     throw err;
   }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Index the jobs queued before tenants existed under the default tenant
+ * Runs once per installation; later calls return straight away
+ * @returns {Promise<number>} - Jobs indexed
+ */
+export async function claimLegacyJobs() {
+  if (!(await redis.set('tenancy:legacyJobsClaimed', new Date().toISOString(), 'NX'))) return 0;
+
+  const jobs = await batchQueue.getJobs(['waiting', 'prioritized', 'active', 'delayed', 'completed', 'failed']);
+  // Schedule triggers carry no records and belong to no one
+  const legacy = jobs.filter(job => job?.data?.records && !job.data.tenant);
+
+  for (const job of legacy) {
+    await recordTenantJob(TENANCY.DEFAULT_TENANT, job.id, job.timestamp);
+  }
+  if (legacy.length > 0) {
+    logger.info({ tenant: TENANCY.DEFAULT_TENANT, count: legacy.length }, 'Existing jobs indexed under the default tenant');
+  }
+  return legacy.length;
+}
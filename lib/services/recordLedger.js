@@ -0,0 +1,147 @@
+/**
+ * Record ledger service - durable outcome of every record in a job
+ * Each job has one hash keyed by record index, so a record processed again (e.g. after a
+ * restart replays a chunk) keeps only its latest outcome
+ */
+import redis from '../config/redisConfig.js';
+import { logger, redact } from './loggerService.js';
+import { QUEUE } from '../config/appConfig.js';
+import { JOB_EVENT_TYPES, appendJobEvents } from './jobEvents.js';
+
+// Final status of a record
+export const RECORD_STATUS = {
+  SUCCESS: 'SUCCESS',
+  USER_ACTION_REQUIRED: 'USER_ACTION_REQUIRED',
+  FAILED: 'FAILED',
+  // Skipped because its idempotency key already succeeded in an earlier job
+  SKIPPED_DUPLICATE: 'SKIPPED_DUPLICATE',
+  // Failed the session record schema, so it was held back instead of sent
+  QUARANTINED: 'QUARANTINED',
+  NOT_PROCESSED: 'NOT_PROCESSED'
+};
+
+export const LEDGER_PAGE_SIZE = 50;
+export const LEDGER_MAX_PAGE_SIZE = 1000;
+
+/**
+ * Store the outcomes of processed records and push them to the job's event stream
+ * Failures are logged rather than thrown; the ledger must never fail a record
+ * @param {string} jobId - Job ID
+ * @param {Array<Object>} outcomes - Outcomes, each with at least recordIndex and status
+ * @param {number} outcomes[].recordIndex - Index of the record within the job
+ * @param {string} outcomes[].status - RECORD_STATUS value
+ * @param {string} [outcomes[].category] - Error category
+ * @param {number} [outcomes[].statusCode] - HTTP status code of the last call
+ * @param {number} [outcomes[].attempts] - Calls made, including retries
+ * @param {number} [outcomes[].durationMs] - Time spent on the record, including retries
+ * @param {string} [outcomes[].responseId] - Stored success response
+ * @param {string} [outcomes[].errorId] - Stored user action error
+ * @param {string} [outcomes[].message] - Error message
+ * @param {string} [outcomes[].step] - Step that failed
+ * @param {string} [outcomes[].startedAt] - When processing of the record started
+ * @param {Object} [outcomes[].duplicateOf] - Earlier record with the same idempotency key ({ jobId, recordIndex, responseId })
+ * @param {Array<Object>} [outcomes[].validationErrors] - Record schema errors ({ path, keyword, message })
+ * @param {string} [outcomes[].quarantineId] - Stored quarantined record
+ * @returns {Promise<void>}
+ */
+export async function recordOutcomes(jobId, outcomes) {
+  if (outcomes.length === 0) return;
+
+  const key = `jobRecords:${jobId}`;
+  const finishedAt = new Date().toISOString();
+
+  const entries = outcomes.map(outcome => redact({ ...outcome, finishedAt }));
+
+  try {
+    await redis.hset(key, Object.fromEntries(entries.map(entry => [entry.recordIndex, JSON.stringify(entry)])));
+    await redis.expire(key, QUEUE.LEDGER_TTL);
+  } catch (err) {
+    logger.error({ jobId, records: outcomes.length, error: err.message }, 'Failed to update record ledger');
+  }
+
+  await appendJobEvents(entries.map(entry => ({ jobId, type: JOB_EVENT_TYPES.RECORD, data: entry })));
+}
+
+/**
+ * Get every stored outcome of a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Array<Object|undefined>>} - Outcomes indexed by record index
+ */
+export async function getRecordOutcomes(jobId) {
+  const entries = await redis.hgetall(`jobRecords:${jobId}`);
+  const outcomes = [];
+
+  Object.entries(entries || {}).forEach(([index, value]) => {
+    try {
+      outcomes[parseInt(index, 10)] = JSON.parse(value);
+    } catch (e) {
+      // Skip entries that can't be parsed
+    }
+  });
+
+  return outcomes;
+}
+
+/**
+ * Query a job's ledger
+ * Records without an outcome are reported as NOT_PROCESSED when the job size is known
+ * @param {string} jobId - Job ID
+ * @param {Object} [options] - Query options
+ * @param {number} [options.totalRecords] - Records in the job
+ * @param {Array<number>} [options.sourceIndexes] - Row indexes in the parent job (retry jobs)
+ * @param {Array<string>} [options.statuses] - Only these statuses
+ * @param {Array<string>} [options.categories] - Only these error categories
+ * @param {Array<number>} [options.statusCodes] - Only these HTTP status codes
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.pageSize=LEDGER_PAGE_SIZE] - Records per page
+ * @returns {Promise<{ records: Array<Object>, pagination: Object, statusTotals: Object }>} - Matching records in index order
+ */
+export async function queryRecordOutcomes(jobId, {
+  totalRecords,
+  sourceIndexes,
+  statuses,
+  categories,
+  statusCodes,
+  page = 1,
+  pageSize = LEDGER_PAGE_SIZE
+} = {}) {
+  const outcomes = await getRecordOutcomes(jobId);
+  const size = Math.max(totalRecords || 0, outcomes.length);
+
+  const records = [];
+  for (let index = 0; index < size; index++) {
+    if (outcomes[index]) {
+      records.push(outcomes[index]);
+    } else if (totalRecords !== undefined) {
+      records.push({ recordIndex: index, status: RECORD_STATUS.NOT_PROCESSED });
+    }
+  }
+
+  if (sourceIndexes) {
+    records.forEach(record => {
+      record.sourceIndex = sourceIndexes[record.recordIndex];
+    });
+  }
+
+  const statusTotals = {};
+  records.forEach(record => {
+    statusTotals[record.status] = (statusTotals[record.status] || 0) + 1;
+  });
+
+  const matching = records.filter(record => (!statuses || statuses.includes(record.status))
+    && (!categories || categories.includes(record.category))
+    && (!statusCodes || statusCodes.includes(record.statusCode)));
+
+  const start = (page - 1) * pageSize;
+
+  return {
+    records: matching.slice(start, start + pageSize),
+    pagination: {
+      page,
+      pageSize,
+      total: matching.length,
+      totalPages: Math.ceil(matching.length / pageSize)
+    },
+    statusTotals
+  };
+}
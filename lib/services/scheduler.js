@@ -0,0 +1,475 @@
+/**
+ * Scheduler service - recurring and one-off batch jobs
+ * A schedule is armed as a BullMQ repeatable (cron) or delayed (runAt) scheduledRun job on
+ * batchQueue. When one fires, the worker reads the schedule's record source and queues the
+ * records as processBatch jobs, exactly like an upload would
+ */
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import redis from '../config/redisConfig.js';
+import { logger, log } from './loggerService.js';
+import { QUEUE, SCHEDULE, UPLOAD, TENANCY } from '../config/appConfig.js';
+import { batchQueue, queueRecordBatches } from './queueManager.js';
+import { parseWorkbook } from './spreadsheetParser.js';
+import { ingestRecordStream } from './streamIngest.js';
+import { getMappingTemplate } from './mappingTemplates.js';
+import { SCHEDULE_FIELDS, DIRECTORY_FILE_FORMATS, resolveSourceDirectory } from '../helpers/schedule.js';
+
+// Name of the trigger jobs; the worker hands these to runScheduledJob instead of processing records
+export const SCHEDULED_RUN_JOB = 'scheduledRun';
+
+// Outcome of a scheduled run
+export const SCHEDULE_RUN_STATUS = {
+  QUEUED: 'queued',
+  EMPTY: 'empty',
+  PARTIAL: 'partial',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+const SCHEDULE_INDEX_KEY = 'schedules';
+
+/**
+ * Parse a stored JSON value
+ * @param {string|null} value - Stored value
+ * @returns {*} - Parsed value, or null if missing or invalid
+ */
+function parseStored(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Arm a schedule by adding its trigger job
+ * @param {Object} schedule - Stored schedule
+ * @returns {Promise<Object|null>} - Trigger ({ repeatJobKey } or { jobId }), or null for a disabled schedule
+ */
+async function armSchedule(schedule) {
+  if (!schedule.enabled) return null;
+
+  const data = { scheduleId: schedule.id, sessionId: schedule.sessionId };
+  const options = {
+    removeOnComplete: QUEUE.DEFAULT_JOB_OPTIONS.removeOnComplete,
+    removeOnFail: QUEUE.DEFAULT_JOB_OPTIONS.removeOnFail
+  };
+
+  if (schedule.cron) {
+    // Repeat keys are split on colons, so the job ID must not contain any
+    const job = await batchQueue.add(SCHEDULED_RUN_JOB, data, {
+      ...options,
+      jobId: `schedule-${schedule.id}`,
+      repeat: { pattern: schedule.cron, ...(schedule.timezone && { tz: schedule.timezone }) }
+    });
+    return { repeatJobKey: job.repeatJobKey };
+  }
+
+  const runAt = Date.parse(schedule.runAt);
+  const job = await batchQueue.add(SCHEDULED_RUN_JOB, data, {
+    ...options,
+    jobId: `schedule-${schedule.id}-${runAt}`,
+    delay: Math.max(0, runAt - Date.now())
+  });
+  return { jobId: job.id };
+}
+
+/**
+ * Remove a schedule's trigger job so it no longer fires
+ * @param {Object} schedule - Stored schedule
+ * @returns {Promise<void>}
+ */
+async function disarmSchedule({ trigger }) {
+  if (trigger?.repeatJobKey) {
+    await batchQueue.removeRepeatableByKey(trigger.repeatJobKey);
+  } else if (trigger?.jobId) {
+    const job = await batchQueue.getJob(trigger.jobId);
+    if (job && await job.isDelayed()) {
+      await job.remove();
+    }
+  }
+}
+
+/**
+ * Get a schedule
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} - Schedule or null if not found
+ */
+export async function getSchedule(scheduleId) {
+  return parseStored(await redis.get(`schedule:${scheduleId}`));
+}
+
+/**
+ * Get the tenant a schedule belongs to
+ * Schedules from before tenants existed belong to the default tenant
+ * @param {Object} schedule - Stored schedule
+ * @returns {string} - Tenant
+ */
+export function getScheduleTenant(schedule) {
+  return schedule.tenant || TENANCY.DEFAULT_TENANT;
+}
+
+/**
+ * List a tenant's schedules
+ * @param {string} tenant - Tenant
+ * @returns {Promise<Array<Object>>} - Schedules, oldest first
+ */
+export async function listSchedules(tenant) {
+  const scheduleIds = await redis.smembers(SCHEDULE_INDEX_KEY);
+  const schedules = await Promise.all(scheduleIds.map(scheduleId => getSchedule(scheduleId)));
+  return schedules.filter(schedule => schedule && getScheduleTenant(schedule) === tenant).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Get the full definition of a schedule, including the records of a dataset source
+ * @param {Object} schedule - Stored schedule
+ * @returns {Promise<Object>} - Definition, as accepted by saveSchedule
+ */
+export async function getScheduleDefinition(schedule) {
+  const definition = Object.fromEntries(SCHEDULE_FIELDS
+    .filter(field => schedule[field] !== undefined)
+    .map(field => [field, schedule[field]]));
+
+  if (schedule.source.type === 'dataset') {
+    const records = parseStored(await redis.get(`scheduleDataset:${schedule.id}`)) || [];
+    definition.source = { type: 'dataset', records };
+  }
+  return definition;
+}
+
+/**
+ * Create a schedule, or replace the definition of an existing one, and arm it
+ * @param {Object} definition - Validated definition (see validateScheduleDefinition)
+ * @param {Object} [existing] - Stored schedule being replaced
+ * @param {string} [tenant=TENANCY.DEFAULT_TENANT] - Tenant of a new schedule; replacing keeps the existing one's
+ * @returns {Promise<Object>} - Stored schedule
+ */
+export async function saveSchedule(definition, existing, tenant = TENANCY.DEFAULT_TENANT) {
+  const now = new Date().toISOString();
+  const scheduleId = existing?.id || Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
+
+  // Dataset records are stored on their own so schedule listings stay small
+  const { records, ...source } = definition.source;
+  const schedule = {
+    id: scheduleId,
+    ...Object.fromEntries(SCHEDULE_FIELDS
+      .filter(field => definition[field] !== undefined)
+      .map(field => [field, definition[field]])),
+    source: source.type === 'dataset' ? { type: 'dataset', recordCount: records.length } : source,
+    tenant: existing ? getScheduleTenant(existing) : tenant,
+    enabled: definition.enabled !== false,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    lastRun: existing?.lastRun
+  };
+
+  if (existing) {
+    await disarmSchedule(existing);
+  }
+  if (records) {
+    await redis.set(`scheduleDataset:${scheduleId}`, JSON.stringify(records));
+  } else {
+    await redis.del(`scheduleDataset:${scheduleId}`);
+  }
+
+  schedule.trigger = await armSchedule(schedule);
+  await redis.set(`schedule:${scheduleId}`, JSON.stringify(schedule));
+  await redis.sadd(SCHEDULE_INDEX_KEY, scheduleId);
+
+  logger.info({
+    scheduleId,
+    sessionId: schedule.sessionId,
+    tenant: schedule.tenant,
+    cron: schedule.cron,
+    runAt: schedule.runAt,
+    enabled: schedule.enabled
+  }, existing ? 'Schedule updated' : 'Schedule created');
+
+  return schedule;
+}
+
+/**
+ * Delete a schedule and stop it from firing
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<boolean>} - True if the schedule existed
+ */
+export async function deleteSchedule(scheduleId) {
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule) {
+    await redis.srem(SCHEDULE_INDEX_KEY, scheduleId);
+    return false;
+  }
+
+  await disarmSchedule(schedule);
+  await redis.del(`schedule:${scheduleId}`, `scheduleDataset:${scheduleId}`, `scheduleRuns:${scheduleId}`);
+  await redis.srem(SCHEDULE_INDEX_KEY, scheduleId);
+
+  logger.info({ scheduleId }, 'Schedule deleted');
+  return true;
+}
+
+/**
+ * Get the run history of a schedule
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} [options] - Paging options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.pageSize=20] - Runs per page
+ * @returns {Promise<{ runs: Array<Object>, pagination: Object }>} - Runs, newest first
+ */
+export async function getScheduleRuns(scheduleId, { page = 1, pageSize = 20 } = {}) {
+  const key = `scheduleRuns:${scheduleId}`;
+  const start = (page - 1) * pageSize;
+  const [values, total] = await Promise.all([
+    redis.lrange(key, start, start + pageSize - 1),
+    redis.llen(key)
+  ]);
+
+  return {
+    runs: values.map(parseStored).filter(Boolean),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+}
+
+/**
+ * Move a picked-up file out of the watched directory
+ * @param {string} directory - Watched directory
+ * @param {string} fileName - File name
+ * @param {string} folder - 'processed' or 'failed'
+ * @returns {Promise<void>}
+ */
+async function moveSourceFile(directory, fileName, folder) {
+  const target = path.join(directory, folder);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  await fs.mkdir(target, { recursive: true });
+  await fs.rename(path.join(directory, fileName), path.join(target, `${stamp}-${fileName}`));
+}
+
+/**
+ * Queue the records of one source file
+ * @param {string} filePath - File path
+ * @param {string} format - 'csv', 'ndjson' or 'xlsx'
+ * @param {Object} schedule - Stored schedule
+ * @param {Object} data - Extra job data merged into every chunk
+ * @returns {Promise<Object>} - Queued job IDs, row count and invalid row count
+ */
+async function queueSourceFile(filePath, format, { sessionId, chunkSize = UPLOAD.RECORDS_PER_JOB, source }, data) {
+  if (format === 'xlsx') {
+    // Workbooks are parsed in memory, so the upload size limit applies
+    const { size } = await fs.stat(filePath);
+    if (size > UPLOAD.MAX_FILE_SIZE_BYTES) {
+      throw new Error(`Workbook is larger than ${UPLOAD.MAX_FILE_SIZE_BYTES} bytes`);
+    }
+
+    const parsed = parseWorkbook(await fs.readFile(filePath), { sheet: source.sheet, headerRow: source.headerRow });
+    const jobIds = await queueRecordBatches(sessionId, parsed.records, { chunkSize, data });
+    return { jobIds, rowCount: parsed.records.length, invalidRowCount: parsed.invalidRows.length };
+  }
+
+  const { jobIds, rowCount, invalidRowCount } = await ingestRecordStream(createReadStream(filePath), {
+    format,
+    sessionId,
+    chunkSize,
+    data,
+    ...(source.encoding && { encoding: source.encoding }),
+    ...(source.delimiter && { delimiter: source.delimiter })
+  });
+  return { jobIds, rowCount, invalidRowCount };
+}
+
+/**
+ * Queue every file waiting in a directory source
+ * Files are read in name order; unless keepFiles is set each is moved to processed/ or failed/ afterwards
+ * @param {Object} schedule - Stored schedule
+ * @param {Object} data - Extra job data merged into every chunk
+ * @returns {Promise<Array<Object>>} - Per-file results ({ fileName, jobIds, rowCount, invalidRowCount, error })
+ */
+async function queueDirectorySource(schedule, data) {
+  const directory = resolveSourceDirectory(SCHEDULE.SOURCE_DIR, schedule.source.path);
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const fileNames = entries
+    .filter(entry => entry.isFile() && DIRECTORY_FILE_FORMATS[path.extname(entry.name).toLowerCase()])
+    .map(entry => entry.name)
+    .sort();
+
+  const results = [];
+  for (const fileName of fileNames) {
+    const format = DIRECTORY_FILE_FORMATS[path.extname(fileName).toLowerCase()];
+    let result;
+    try {
+      result = { fileName, ...(await queueSourceFile(path.join(directory, fileName), format, schedule, data)) };
+    } catch (err) {
+      // Chunks queued before a parse error stay queued
+      const partial = err.partialResult || {};
+      result = {
+        fileName,
+        jobIds: partial.jobIds || [],
+        rowCount: partial.rowCount || 0,
+        invalidRowCount: partial.invalidRowCount || 0,
+        error: err.message
+      };
+    }
+
+    if (!schedule.source.keepFiles) {
+      await moveSourceFile(directory, fileName, result.error ? 'failed' : 'processed');
+    }
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Queue the records of a schedule's source
+ * @param {Object} schedule - Stored schedule
+ * @param {Object} data - Extra job data merged into every chunk
+ * @returns {Promise<Object>} - Run fields ({ status, jobIds, rowCount, invalidRowCount, files, error })
+ */
+async function queueScheduleSource(schedule, data) {
+  if (schedule.source.type === 'dataset') {
+    const records = parseStored(await redis.get(`scheduleDataset:${schedule.id}`)) || [];
+    const jobIds = await queueRecordBatches(schedule.sessionId, records, {
+      chunkSize: schedule.chunkSize || UPLOAD.RECORDS_PER_JOB,
+      data
+    });
+    return {
+      status: jobIds.length > 0 ? SCHEDULE_RUN_STATUS.QUEUED : SCHEDULE_RUN_STATUS.EMPTY,
+      jobIds,
+      rowCount: records.length,
+      invalidRowCount: 0
+    };
+  }
+
+  const files = await queueDirectorySource(schedule, data);
+  const failedFiles = files.filter(file => file.error);
+  const jobIds = files.flatMap(file => file.jobIds);
+
+  let status = jobIds.length > 0 ? SCHEDULE_RUN_STATUS.QUEUED : SCHEDULE_RUN_STATUS.EMPTY;
+  if (failedFiles.length > 0) {
+    status = failedFiles.length === files.length && jobIds.length === 0 ? SCHEDULE_RUN_STATUS.FAILED : SCHEDULE_RUN_STATUS.PARTIAL;
+  }
+
+  return {
+    status,
+    jobIds,
+    rowCount: files.reduce((sum, file) => sum + file.rowCount, 0),
+    invalidRowCount: files.reduce((sum, file) => sum + file.invalidRowCount, 0),
+    files,
+    ...(failedFiles.length > 0 && { error: failedFiles.map(file => `${file.fileName}: ${file.error}`).join('; ') })
+  };
+}
+
+/**
+ * Record a run in the schedule's history and on the schedule itself
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} run - Run entry
+ * @param {boolean} oneOff - True for a runAt schedule, which is disabled once it has run
+ * @returns {Promise<void>}
+ */
+async function recordScheduleRun(scheduleId, run, oneOff) {
+  const historyKey = `scheduleRuns:${scheduleId}`;
+  await redis.lpush(historyKey, JSON.stringify(run));
+  await redis.ltrim(historyKey, 0, SCHEDULE.HISTORY_LIMIT - 1);
+
+  // Re-read so changes made while the run was in progress are kept
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule) return;
+
+  schedule.lastRun = { runId: run.runId, status: run.status, startedAt: run.startedAt, finishedAt: run.finishedAt };
+  if (oneOff && run.status !== SCHEDULE_RUN_STATUS.SKIPPED) {
+    schedule.enabled = false;
+    schedule.trigger = null;
+  }
+  await redis.set(`schedule:${scheduleId}`, JSON.stringify(schedule));
+}
+
+/**
+ * Run a schedule: queue the records of its source as processBatch jobs
+ * Called by the worker for scheduledRun jobs
+ * @param {Object} job - BullMQ scheduledRun job
+ * @returns {Promise<Object>} - Run entry ({ runId, scheduleId, scheduledFor, startedAt, finishedAt, status, jobIds, rowCount, invalidRowCount, files, error })
+ * @throws {Error} If nothing could be queued, after the failed run is recorded
+ */
+export async function runScheduledJob(job) {
+  const { scheduleId } = job.data;
+  const schedule = await getSchedule(scheduleId);
+  const run = {
+    runId: String(job.id),
+    scheduleId,
+    // Repeatable jobs carry their slot in prevMillis; one-off jobs were delayed until runAt
+    scheduledFor: new Date(job.opts.prevMillis || job.timestamp + (job.opts.delay || 0)).toISOString(),
+    startedAt: new Date().toISOString()
+  };
+
+  // A trigger left over from a deleted or disabled schedule does nothing
+  if (!schedule || !schedule.enabled) {
+    logger.info({ scheduleId, jobId: job.id }, 'Skipped trigger of a deleted or disabled schedule');
+    return { ...run, status: SCHEDULE_RUN_STATUS.SKIPPED, finishedAt: new Date().toISOString() };
+  }
+
+  // Runs of one schedule never overlap, so two runs can't pick up the same files
+  const lockKey = `scheduleLock:${scheduleId}`;
+  if (!(await redis.set(lockKey, run.runId, 'EX', SCHEDULE.RUN_LOCK_TTL, 'NX'))) {
+    Object.assign(run, {
+      status: SCHEDULE_RUN_STATUS.SKIPPED,
+      error: 'The previous run is still in progress',
+      finishedAt: new Date().toISOString()
+    });
+    await recordScheduleRun(scheduleId, run, false);
+    return run;
+  }
+
+  try {
+    if (!(await redis.exists(schedule.sessionId))) {
+      throw new Error(`Session ${schedule.sessionId} has expired`);
+    }
+    if (schedule.mappingTemplate && !(await getMappingTemplate(schedule.mappingTemplate, getScheduleTenant(schedule)))) {
+      throw new Error(`Mapping template not found: ${schedule.mappingTemplate}`);
+    }
+
+    Object.assign(run, await queueScheduleSource(schedule, {
+      ...(schedule.mappingTemplate && { mappingTemplate: schedule.mappingTemplate }),
+      ...(schedule.idempotencyFields && { idempotencyFields: schedule.idempotencyFields }),
+      ...(schedule.dryRun && { dryRun: true }),
+      ...(schedule.priority && { priority: schedule.priority }),
+      tenant: getScheduleTenant(schedule),
+      scheduleId,
+      scheduleRunId: run.runId
+    }));
+  } catch (err) {
+    Object.assign(run, { status: SCHEDULE_RUN_STATUS.FAILED, jobIds: [], error: err.message });
+  } finally {
+    // A run that outlived RUN_LOCK_TTL may find the lock taken by the next run; leave that one alone
+    await redis.delIfEquals(lockKey, run.runId);
+  }
+
+  run.finishedAt = new Date().toISOString();
+  await recordScheduleRun(scheduleId, run, Boolean(schedule.runAt));
+
+  await log({
+    sessionId: schedule.sessionId,
+    jobId: job.id,
+    type: 'SCHEDULE_RUN',
+    message: `Schedule ${scheduleId} ${run.status}: ${run.jobIds.length} jobs queued`,
+    meta: {
+      scheduleId,
+      status: run.status,
+      jobIds: run.jobIds,
+      rowCount: run.rowCount,
+      invalidRowCount: run.invalidRowCount,
+      error: run.error
+    }
+  });
+
+  if (run.status === SCHEDULE_RUN_STATUS.FAILED) {
+    throw new Error(run.error);
+  }
+  return run;
+}
@@ -0,0 +1,136 @@
+/**
+ * Spreadsheet parser service - turns uploaded Excel workbooks into record objects
+ */
+import XLSX from 'xlsx';
+
+/**
+ * Resolve a worksheet by name or 1-based position
+ * @param {Object} workbook - Parsed workbook
+ * @param {string|number} [sheet] - Sheet name or 1-based position (defaults to the first sheet)
+ * @returns {{ name: string, worksheet: Object }} - Resolved worksheet
+ * @throws {Error} If the sheet does not exist
+ */
+function resolveSheet(workbook, sheet) {
+  if (sheet === undefined || sheet === null || sheet === '') {
+    const name = workbook.SheetNames[0];
+    return { name, worksheet: workbook.Sheets[name] };
+  }
+
+  if (workbook.SheetNames.includes(String(sheet))) {
+    return { name: String(sheet), worksheet: workbook.Sheets[String(sheet)] };
+  }
+
+  const position = parseInt(sheet, 10);
+  if (String(position) === String(sheet) && position >= 1 && position <= workbook.SheetNames.length) {
+    const name = workbook.SheetNames[position - 1];
+    return { name, worksheet: workbook.Sheets[name] };
+  }
+
+  throw new Error(`Sheet not found: ${sheet}. Available sheets: ${workbook.SheetNames.join(', ')}`);
+}
+
+/**
+ * Convert a cell to a plain JSON value
+ * @param {Object} cell - SheetJS cell object
+ * @returns {*} - Cell value (dates as ISO strings)
+ */
+function cellValue(cell) {
+  if (cell.t === 'd') {
+    return cell.v.toISOString();
+  }
+  if (typeof cell.v === 'string') {
+    return cell.v.trim();
+  }
+  return cell.v;
+}
+
+/**
+ * Parse a workbook buffer into records keyed by the header row
+ * @param {Buffer} buffer - Workbook contents (.xlsx or .xls)
+ * @param {Object} [options] - Parse options
+ * @param {string|number} [options.sheet] - Sheet name or 1-based position
+ * @param {number} [options.headerRow=1] - 1-based sheet row holding the column headers
+ * @returns {{ sheet: string, headers: Array<string>, records: Array<Object>, invalidRows: Array<Object> }}
+ * @throws {Error} If the workbook, sheet or header row cannot be read
+ */
+export function parseWorkbook(buffer, { sheet, headerRow = 1 } = {}) {
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+  } catch (err) {
+    throw new Error(`Unable to read workbook: ${err.message}`);
+  }
+
+  if (!workbook.SheetNames.length) {
+    throw new Error('Workbook contains no sheets');
+  }
+
+  const { name, worksheet } = resolveSheet(workbook, sheet);
+  if (!worksheet['!ref']) {
+    throw new Error(`Sheet "${name}" is empty`);
+  }
+
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const headerIndex = headerRow - 1;
+  if (!Number.isInteger(headerIndex) || headerIndex < range.s.r || headerIndex > range.e.r) {
+    throw new Error(`Header row ${headerRow} is outside the used range of sheet "${name}"`);
+  }
+
+  // Read headers, skipping blank columns and rejecting duplicates
+  const columns = [];
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    const cell = worksheet[XLSX.utils.encode_cell({ r: headerIndex, c })];
+    const header = cell ? String(cellValue(cell) ?? '').trim() : '';
+    if (!header) continue;
+
+    if (columns.some(column => column.header === header)) {
+      throw new Error(`Duplicate column header "${header}" in row ${headerRow}`);
+    }
+    columns.push({ header, index: c });
+  }
+
+  if (columns.length === 0) {
+    throw new Error(`No column headers found in row ${headerRow} of sheet "${name}"`);
+  }
+
+  const records = [];
+  const invalidRows = [];
+
+  for (let r = headerIndex + 1; r <= range.e.r; r++) {
+    const record = {};
+    const issues = [];
+    let hasValue = false;
+
+    for (const { header, index } of columns) {
+      const address = XLSX.utils.encode_cell({ r, c: index });
+      const cell = worksheet[address];
+      if (!cell || cell.v === undefined || cell.v === '') continue;
+
+      // Formula errors (#N/A, #REF!, ...) cannot be sent on to the target API
+      if (cell.t === 'e') {
+        issues.push(`Cell ${address} (${header}) contains error value ${cell.w || '#ERROR'}`);
+        hasValue = true;
+        continue;
+      }
+
+      record[header] = cellValue(cell);
+      hasValue = true;
+    }
+
+    // Blank rows are skipped rather than reported
+    if (!hasValue) continue;
+
+    if (issues.length > 0) {
+      invalidRows.push({ row: r + 1, issues });
+    } else {
+      records.push(record);
+    }
+  }
+
+  return {
+    sheet: name,
+    headers: columns.map(column => column.header),
+    records,
+    invalidRows
+  };
+}
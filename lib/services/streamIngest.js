@@ -0,0 +1,216 @@
+/**
+ * Stream ingestion service - parses CSV and JSON Lines incrementally and queues fixed-size chunks
+ */
+import readline from 'readline';
+import { parse, CsvError } from 'csv-parse';
+import { logger } from './loggerService.js';
+import { queueRecordBatches } from './queueManager.js';
+import { UPLOAD } from '../config/appConfig.js';
+
+/**
+ * Build an error for a source that can't be ingested, as opposed to an internal failure
+ * @param {string} message - Error message
+ * @returns {Error} - Error with invalidInput set
+ */
+function invalidInputError(message) {
+  const err = new Error(message);
+  err.invalidInput = true;
+  return err;
+}
+
+/**
+ * Collects records into fixed-size chunks and queues each chunk as soon as it fills up,
+ * so only one chunk is ever held in memory
+ */
+class ChunkedEnqueuer {
+  constructor(sessionId, chunkSize, data) {
+    this.sessionId = sessionId;
+    this.chunkSize = chunkSize;
+    this.data = data;
+    this.buffer = [];
+    this.jobIds = [];
+    this.rowCount = 0;
+    this.invalidRows = [];
+    this.invalidRowCount = 0;
+  }
+
+  /**
+   * Add a parsed record, queueing the current chunk when it is full
+   * @param {Object} record - Parsed record
+   */
+  async push(record) {
+    this.buffer.push(record);
+    this.rowCount++;
+    if (this.buffer.length >= this.chunkSize) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Record a line that could not be parsed
+   * @param {number} line - 1-based line number in the source file
+   * @param {string} issue - Description of the problem
+   */
+  reject(line, issue) {
+    this.invalidRowCount++;
+    if (this.invalidRows.length < UPLOAD.MAX_INVALID_ROWS_REPORTED) {
+      this.invalidRows.push({ row: line, issues: [issue] });
+    }
+  }
+
+  /**
+   * Queue whatever is left in the buffer
+   */
+  async flush() {
+    if (this.buffer.length === 0) return;
+    const chunk = this.buffer;
+    this.buffer = [];
+    const jobIds = await queueRecordBatches(this.sessionId, chunk, { chunkSize: this.chunkSize, data: this.data });
+    this.jobIds.push(...jobIds);
+  }
+
+  /**
+   * Summarize the ingestion
+   * @returns {Object} - Queued job IDs, row count and invalid rows
+   */
+  summary() {
+    return {
+      jobIds: this.jobIds,
+      rowCount: this.rowCount,
+      invalidRowCount: this.invalidRowCount,
+      invalidRows: this.invalidRows
+    };
+  }
+}
+
+/**
+ * Parse a CSV stream, using the first row as headers
+ * @param {Readable} input - Source stream
+ * @param {ChunkedEnqueuer} enqueuer - Chunk collector
+ * @param {Object} csvOptions - Delimiter, quote, escape and encoding
+ */
+async function ingestCsv(input, enqueuer, { delimiter = ',', quote = '"', escape = '"', encoding = 'utf8' }) {
+  const parser = input.pipe(parse({
+    delimiter,
+    quote,
+    escape,
+    encoding,
+    bom: true,
+    info: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    skip_records_with_error: true
+  }));
+
+  // Malformed records (e.g. an unclosed quote) are skipped by the parser and reported here
+  parser.on('skip', (err) => {
+    enqueuer.reject(err.lines, err.message);
+  });
+
+  // Errors on the source stream are not forwarded through pipe()
+  input.on('error', (err) => parser.destroy(err));
+
+  let headers = null;
+
+  for await (const { record, info } of parser) {
+    if (!headers) {
+      headers = record.map(header => header.trim());
+      const duplicate = headers.find((header, i) => header && headers.indexOf(header) !== i);
+      if (duplicate) {
+        throw invalidInputError(`Duplicate column header "${duplicate}"`);
+      }
+      continue;
+    }
+
+    if (record.length !== headers.length) {
+      enqueuer.reject(info.lines, `Expected ${headers.length} columns, found ${record.length}`);
+      continue;
+    }
+
+    const row = {};
+    headers.forEach((header, i) => {
+      if (header && record[i] !== '') {
+        row[header] = record[i];
+      }
+    });
+    await enqueuer.push(row);
+  }
+}
+
+/**
+ * Parse a JSON Lines stream, one object per line
+ * @param {Readable} input - Source stream
+ * @param {ChunkedEnqueuer} enqueuer - Chunk collector
+ * @param {Object} options - Encoding options
+ */
+async function ingestNdjson(input, enqueuer, { encoding = 'utf8' }) {
+  input.setEncoding(encoding);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let lineNumber = 0;
+  for await (const rawLine of lines) {
+    lineNumber++;
+    const line = (lineNumber === 1 ? rawLine.replace(/^\uFEFF/, '') : rawLine).trim();
+    if (!line) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      enqueuer.reject(lineNumber, `Invalid JSON: ${err.message}`);
+      continue;
+    }
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      enqueuer.reject(lineNumber, 'Expected a JSON object');
+      continue;
+    }
+
+    await enqueuer.push(record);
+  }
+}
+
+/**
+ * Stream records from a CSV or JSON Lines source into processBatch jobs
+ * @param {Readable} input - Source stream (e.g. the HTTP request)
+ * @param {Object} options - Ingestion options
+ * @param {string} options.format - 'csv' or 'ndjson'
+ * @param {string} options.sessionId - Session ID
+ * @param {number} [options.chunkSize] - Records per queued job
+ * @param {string} [options.delimiter] - CSV field delimiter
+ * @param {string} [options.quote] - CSV quote character (empty string disables quoting)
+ * @param {string} [options.escape] - CSV escape character
+ * @param {string} [options.encoding] - Source text encoding
+ * @param {Object} [options.data] - Extra job data merged into every chunk
+ * @returns {Promise<Object>} - Queued job IDs, row count and invalid rows
+ * @throws {Error} With partialResult (what was queued before the failure) attached, and invalidInput
+ *   set when the source itself can't be parsed
+ */
+export async function ingestRecordStream(input, { format, sessionId, chunkSize = UPLOAD.RECORDS_PER_JOB, data = {}, ...parseOptions }) {
+  const enqueuer = new ChunkedEnqueuer(sessionId, chunkSize, data);
+
+  try {
+    if (format === 'csv') {
+      await ingestCsv(input, enqueuer, parseOptions);
+    } else if (format === 'ndjson') {
+      await ingestNdjson(input, enqueuer, parseOptions);
+    } else {
+      throw invalidInputError(`Unsupported format: ${format}`);
+    }
+
+    await enqueuer.flush();
+  } catch (err) {
+    // Chunks queued before the failure stay queued; report them with the error. Parser errors
+    // mean the source is malformed; anything else (queueing, Redis, quotas) is not the caller's input
+    if (err instanceof CsvError) {
+      err.invalidInput = true;
+    }
+    err.partialResult = enqueuer.summary();
+    throw err;
+  }
+
+  const summary = enqueuer.summary();
+  logger.info({ sessionId, format, ...summary, invalidRows: undefined }, 'Stream ingestion complete');
+
+  return summary;
+}
@@ -0,0 +1,417 @@
+/**
+ * Tenant service - which tenant owns each session and job, and per-tenant quotas
+ * Session owners live in one hash (sessionTenants) plus a set per tenant, so ownership outlasts
+ * the session config, which expires before the logs and results written for it. Jobs are indexed
+ * per tenant in a sorted set by queue time; the owner is also stamped on the job data.
+ * Quotas are checked when records are queued (records per day, stored data) and when the worker
+ * starts a job (concurrent jobs)
+ */
+import redis from '../config/redisConfig.js';
+import { logger } from './loggerService.js';
+import { TENANCY } from '../config/appConfig.js';
+import { exceedsQuota, quotaExceededError, usageDay } from '../helpers/tenant.js';
+
+const TENANT_INDEX_KEY = 'tenants';
+const SESSION_TENANTS_KEY = 'sessionTenants';
+const LEGACY_CLAIM_KEY = 'tenancy:legacyClaimed';
+
+// Per-record keys are sized from a sample of each list instead of one by one
+const STORAGE_SAMPLE_SIZE = 20;
+
+// Session data: the list keys and the per-item keys their entries point to
+const SESSION_LIST_KEYS = {
+  userActionErrors: 'userActionError',
+  successResponses: 'successResponse',
+  quarantinedRecords: 'quarantinedRecord'
+};
+
+// Job data, besides the BullMQ job itself
+const JOB_KEY_PREFIXES = ['jobRecords', 'jobEvents', 'jobPreview', 'jobCheckpoint', 'metrics'];
+
+/**
+ * Get the tenant of a token payload or user
+ * @param {Object} [owner] - Token payload or user ({ tenant })
+ * @returns {string} - Tenant; the default tenant for accounts from before tenants existed
+ */
+export function tenantOf(owner) {
+  return owner?.tenant || TENANCY.DEFAULT_TENANT;
+}
+
+/**
+ * Get the tenant that owns a job
+ * @param {Object} job - BullMQ job
+ * @returns {string} - Tenant; the default tenant for jobs queued before tenants existed
+ */
+export function getJobTenant(job) {
+  return job?.data?.tenant || TENANCY.DEFAULT_TENANT;
+}
+
+/**
+ * Add a tenant to the tenant index
+ * @param {string} tenant - Tenant
+ * @returns {Promise<void>}
+ */
+export async function registerTenant(tenant) {
+  await redis.sadd(TENANT_INDEX_KEY, tenant);
+}
+
+/**
+ * List the known tenants
+ * @returns {Promise<Array<string>>} - Tenants, sorted, always including the default tenant
+ */
+export async function listTenants() {
+  const tenants = await redis.smembers(TENANT_INDEX_KEY);
+  return [...new Set([TENANCY.DEFAULT_TENANT, ...tenants])].sort();
+}
+
+/**
+ * Record the tenant that owns a new session
+ * @param {string} sessionId - Session ID
+ * @param {string} tenant - Tenant
+ * @returns {Promise<void>}
+ */
+export async function claimSession(sessionId, tenant) {
+  await redis.multi()
+    .hset(SESSION_TENANTS_KEY, sessionId, tenant)
+    .sadd(`tenantSessions:${tenant}`, sessionId)
+    .exec();
+}
+
+/**
+ * Get the tenant that owns a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<string|null>} - Tenant, or null for an unknown session
+ */
+export async function getSessionTenant(sessionId) {
+  if (typeof sessionId !== 'string' || !sessionId) return null;
+  return redis.hget(SESSION_TENANTS_KEY, sessionId);
+}
+
+/**
+ * Check whether a session belongs to a tenant
+ * @param {string} sessionId - Session ID
+ * @param {string} tenant - Tenant
+ * @returns {Promise<boolean>} - True if the tenant owns the session
+ */
+export async function sessionBelongsTo(sessionId, tenant) {
+  return (await getSessionTenant(sessionId)) === tenant;
+}
+
+/**
+ * List a tenant's sessions that still have a config or logs, forgetting the rest
+ * @param {string} tenant - Tenant
+ * @returns {Promise<Array<string>>} - Session IDs
+ */
+export async function listTenantSessions(tenant) {
+  const sessionIds = await redis.smembers(`tenantSessions:${tenant}`);
+  if (sessionIds.length === 0) return [];
+
+  const pipeline = redis.pipeline();
+  sessionIds.forEach(sessionId => pipeline.exists(sessionId, `logs:${sessionId}`));
+  const results = await pipeline.exec();
+
+  const gone = sessionIds.filter((sessionId, index) => !results[index][1]);
+  if (gone.length > 0) {
+    await redis.multi()
+      .srem(`tenantSessions:${tenant}`, ...gone)
+      .hdel(SESSION_TENANTS_KEY, ...gone)
+      .exec();
+  }
+  return sessionIds.filter((sessionId, index) => results[index][1]);
+}
+
+/**
+ * Index a newly queued job under its tenant, dropping entries older than failed jobs are kept
+ * @param {string} tenant - Tenant
+ * @param {string} jobId - Job ID
+ * @param {number} [timestamp=Date.now()] - Queue time
+ * @returns {Promise<void>}
+ */
+export async function recordTenantJob(tenant, jobId, timestamp = Date.now()) {
+  const key = `tenantJobs:${tenant}`;
+  await redis.multi()
+    .zadd(key, timestamp, String(jobId))
+    .zremrangebyscore(key, '-inf', Date.now() - TENANCY.JOB_INDEX_TTL * 1000)
+    .exec();
+}
+
+/**
+ * List the IDs of a tenant's jobs
+ * @param {string} tenant - Tenant
+ * @returns {Promise<Array<string>>} - Job IDs, newest first; some may already be removed from the queue
+ */
+export async function listTenantJobIds(tenant) {
+  return redis.zrevrange(`tenantJobs:${tenant}`, 0, -1);
+}
+
+/**
+ * Check whether a job belongs to a tenant
+ * A removed job (whose ledger or events may remain) is checked against the tenant's job index
+ * @param {string} jobId - Job ID
+ * @param {Object|null} job - BullMQ job, if it still exists
+ * @param {string} tenant - Tenant
+ * @returns {Promise<boolean>} - True if the tenant owns the job
+ */
+export async function jobBelongsTo(jobId, job, tenant) {
+  if (job) return getJobTenant(job) === tenant;
+  return (await redis.zscore(`tenantJobs:${tenant}`, String(jobId))) !== null;
+}
+
+/**
+ * Get a tenant's quotas
+ * @param {string} tenant - Tenant
+ * @returns {Promise<Object>} - Quotas ({ recordsPerDay, concurrentJobs, storedBytes }); 0 means unlimited
+ */
+export async function getTenantQuotas(tenant) {
+  const stored = await redis.hgetall(`tenantQuotas:${tenant}`);
+  const overrides = Object.fromEntries(Object.entries(stored).map(([name, value]) => [name, parseInt(value, 10)]));
+  return { ...TENANCY.DEFAULT_QUOTAS, ...overrides };
+}
+
+/**
+ * Change a tenant's quotas
+ * @param {string} tenant - Tenant
+ * @param {Object} quotas - Validated quotas; null puts a quota back to the default
+ * @returns {Promise<Object>} - Quotas now in effect
+ */
+export async function setTenantQuotas(tenant, quotas) {
+  const key = `tenantQuotas:${tenant}`;
+  const pipeline = redis.pipeline();
+  for (const [name, value] of Object.entries(quotas)) {
+    if (value === null) {
+      pipeline.hdel(key, name);
+    } else {
+      pipeline.hset(key, name, value);
+    }
+  }
+  pipeline.sadd(TENANT_INDEX_KEY, tenant);
+  await pipeline.exec();
+
+  logger.info({ tenant, quotas }, 'Tenant quotas changed');
+  return getTenantQuotas(tenant);
+}
+
+/**
+ * Count the records a tenant queued today (UTC)
+ * @param {string} tenant - Tenant
+ * @returns {Promise<number>} - Records
+ */
+async function getRecordsToday(tenant) {
+  return parseInt(await redis.get(`tenantRecords:${tenant}:${usageDay()}`) || '0', 10);
+}
+
+/**
+ * Size the per-item keys a list points to from a sample of its entries
+ * @param {string} listKey - List of item IDs
+ * @param {string} itemPrefix - Key prefix of the items
+ * @returns {Promise<number>} - Estimated bytes
+ */
+async function estimateListItems(listKey, itemPrefix) {
+  const [[, length], [, sample]] = await redis.pipeline()
+    .llen(listKey)
+    .lrange(listKey, 0, STORAGE_SAMPLE_SIZE - 1)
+    .exec();
+  if (!length || sample.length === 0) return 0;
+
+  const pipeline = redis.pipeline();
+  sample.forEach(id => pipeline.memory('USAGE', `${itemPrefix}:${id}`));
+  const sizes = (await pipeline.exec()).map(([, size]) => size || 0);
+  return Math.round(sizes.reduce((sum, size) => sum + size, 0) / sample.length * length);
+}
+
+/**
+ * Measure the Redis memory held by a tenant's sessions and jobs
+ * @param {string} tenant - Tenant
+ * @returns {Promise<number>} - Bytes
+ */
+async function measureStoredBytes(tenant) {
+  const sessionIds = await listTenantSessions(tenant);
+  const jobIds = await listTenantJobIds(tenant);
+
+  const keys = [
+    ...sessionIds.flatMap(sessionId => [
+      sessionId,
+      `logs:${sessionId}`,
+      ...Object.keys(SESSION_LIST_KEYS).map(prefix => `${prefix}:${sessionId}`)
+    ]),
+    ...jobIds.flatMap(jobId => [
+      `bull:batchQueue:${jobId}`,
+      ...JOB_KEY_PREFIXES.map(prefix => `${prefix}:${jobId}`)
+    ])
+  ];
+
+  let total = 0;
+  if (keys.length > 0) {
+    const pipeline = redis.pipeline();
+    keys.forEach(key => pipeline.memory('USAGE', key));
+    total = (await pipeline.exec()).reduce((sum, [, size]) => sum + (size || 0), 0);
+  }
+
+  for (const sessionId of sessionIds) {
+    for (const [prefix, itemPrefix] of Object.entries(SESSION_LIST_KEYS)) {
+      total += await estimateListItems(`${prefix}:${sessionId}`, itemPrefix);
+    }
+  }
+  return total;
+}
+
+/**
+ * Get the Redis memory held by a tenant's sessions and jobs, measured at most once per USAGE_CACHE_SECONDS
+ * @param {string} tenant - Tenant
+ * @returns {Promise<number>} - Bytes
+ */
+export async function getStoredBytes(tenant) {
+  const cacheKey = `tenantStoredBytes:${tenant}`;
+  const cached = await redis.get(cacheKey);
+  if (cached !== null) return parseInt(cached, 10);
+
+  const bytes = await measureStoredBytes(tenant);
+  await redis.set(cacheKey, bytes, 'EX', TENANCY.USAGE_CACHE_SECONDS);
+  return bytes;
+}
+
+/**
+ * Count a tenant's running jobs, dropping slots whose worker stopped renewing them
+ * @param {string} tenant - Tenant
+ * @returns {Promise<number>} - Running jobs
+ */
+async function countActiveJobs(tenant) {
+  const key = `tenantActiveJobs:${tenant}`;
+  const [, [, count]] = await redis.multi()
+    .zremrangebyscore(key, '-inf', Date.now())
+    .zcard(key)
+    .exec();
+  return count;
+}
+
+/**
+ * Get a tenant's quotas and what it currently uses of them
+ * @param {string} tenant - Tenant
+ * @returns {Promise<Object>} - { tenant, quotas, usage: { recordsPerDay, concurrentJobs, storedBytes } }
+ */
+export async function getTenantUsage(tenant) {
+  const [quotas, recordsPerDay, concurrentJobs, storedBytes] = await Promise.all([
+    getTenantQuotas(tenant),
+    getRecordsToday(tenant),
+    countActiveJobs(tenant),
+    getStoredBytes(tenant)
+  ]);
+  return { tenant, quotas, usage: { recordsPerDay, concurrentJobs, storedBytes } };
+}
+
+/**
+ * Reserve room for records about to be queued
+ * Fails without reserving anything if the tenant is over its stored data quota or the records
+ * would take it over today's records quota
+ * @param {string} tenant - Tenant
+ * @param {number} recordCount - Records about to be queued
+ * @returns {Promise<void>}
+ * @throws {Error} With a quota property if a quota is exceeded
+ */
+export async function reserveRecordQuota(tenant, recordCount) {
+  const quotas = await getTenantQuotas(tenant);
+
+  if (quotas.storedBytes > 0) {
+    const storedBytes = await getStoredBytes(tenant);
+    if (exceedsQuota(quotas.storedBytes, storedBytes)) {
+      throw quotaExceededError('storedBytes', quotas.storedBytes, storedBytes);
+    }
+  }
+
+  // Counted first and handed back if over, so concurrent uploads can't both slip under the quota
+  const key = `tenantRecords:${tenant}:${usageDay()}`;
+  const [[, total]] = await redis.multi()
+    .incrby(key, recordCount)
+    .expire(key, 2 * 24 * 3600)
+    .exec();
+  if (exceedsQuota(quotas.recordsPerDay, total - recordCount, recordCount)) {
+    await redis.decrby(key, recordCount);
+    throw quotaExceededError('recordsPerDay', quotas.recordsPerDay, total - recordCount);
+  }
+}
+
+/**
+ * Hand back records reserved by reserveRecordQuota that were not queued after all
+ * @param {string} tenant - Tenant
+ * @param {number} recordCount - Records
+ * @returns {Promise<void>}
+ */
+export async function releaseRecordQuota(tenant, recordCount) {
+  if (recordCount > 0) {
+    await redis.decrby(`tenantRecords:${tenant}:${usageDay()}`, recordCount);
+  }
+}
+
+/**
+ * Take one of a tenant's concurrent job slots
+ * The slot is a lease that must be renewed with renewJobSlot until released
+ * @param {string} tenant - Tenant
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} - False if the tenant is already running as many jobs as its quota allows
+ */
+export async function acquireJobSlot(tenant, jobId) {
+  const key = `tenantActiveJobs:${tenant}`;
+  const { concurrentJobs } = await getTenantQuotas(tenant);
+  const now = Date.now();
+
+  const [, , [, count]] = await redis.multi()
+    .zremrangebyscore(key, '-inf', now)
+    .zadd(key, now + TENANCY.ACTIVE_JOB_LEASE_MS, String(jobId))
+    .zcard(key)
+    .exec();
+
+  if (exceedsQuota(concurrentJobs, count)) {
+    await redis.zrem(key, String(jobId));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Extend the lease on a concurrent job slot
+ * @param {string} tenant - Tenant
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+export async function renewJobSlot(tenant, jobId) {
+  await redis.zadd(`tenantActiveJobs:${tenant}`, 'XX', Date.now() + TENANCY.ACTIVE_JOB_LEASE_MS, String(jobId));
+}
+
+/**
+ * Release a concurrent job slot
+ * @param {string} tenant - Tenant
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+export async function releaseJobSlot(tenant, jobId) {
+  await redis.zrem(`tenantActiveJobs:${tenant}`, String(jobId));
+}
+
+/**
+ * Give the default tenant the sessions created before tenants existed
+ * Runs once per installation; later calls return straight away
+ * @returns {Promise<number>} - Sessions claimed
+ */
+export async function claimLegacySessions() {
+  if (!(await redis.set(LEGACY_CLAIM_KEY, new Date().toISOString(), 'NX'))) return 0;
+
+  const sessionIds = new Set();
+  for (const pattern of ['session:*', 'logs:session:*']) {
+    for await (const keys of redis.scanStream({ match: pattern, count: 500 })) {
+      keys.forEach(key => sessionIds.add(key.replace(/^logs:/, '')));
+    }
+  }
+
+  let claimed = 0;
+  for (const sessionId of sessionIds) {
+    if (!(await redis.hexists(SESSION_TENANTS_KEY, sessionId))) {
+      await claimSession(sessionId, TENANCY.DEFAULT_TENANT);
+      claimed++;
+    }
+  }
+
+  if (claimed > 0) {
+    logger.info({ tenant: TENANCY.DEFAULT_TENANT, claimed }, 'Existing sessions assigned to the default tenant');
+  }
+  return claimed;
+}
@@ -0,0 +1,354 @@
+/**
+ * User store - accounts with bcrypt password hashes, login lockout and password resets
+ * Users are kept as JSON under user:<username>. Failed logins and locks live in their own
+ * expiring keys so they clear themselves; reset tokens are stored only as SHA-256 hashes
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import bcrypt from 'bcryptjs';
+import redis from '../config/redisConfig.js';
+import { logger } from './loggerService.js';
+import { AUTH, TENANCY } from '../config/appConfig.js';
+import { normalizeUsername } from '../helpers/account.js';
+import { revokeUserTokens } from './authTokens.js';
+import { registerTenant, tenantOf } from './tenants.js';
+
+const USER_INDEX_KEY = 'users';
+
+// Compared against when the user doesn't exist, so unknown names take as long as wrong passwords
+let unknownUserHash = null;
+
+/**
+ * Parse a stored JSON value
+ * @param {string|null} value - Stored value
+ * @returns {*} - Parsed value, or null if missing or invalid
+ */
+function parseStored(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Hash a token for storage
+ * @param {string} token - Token
+ * @returns {string} - Hex SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Remove the password hash from a user before it leaves the service
+ * @param {Object|null} user - Stored user
+ * @returns {Object|null} - User without its password hash
+ */
+function toPublicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+/**
+ * Read a stored user, including the password hash
+ * @param {string} username - User name
+ * @returns {Promise<Object|null>} - User, or null
+ */
+async function readUser(username) {
+  return parseStored(await redis.get(`user:${normalizeUsername(username)}`));
+}
+
+/**
+ * Get a user
+ * @param {string} username - User name
+ * @returns {Promise<Object|null>} - User (with lockedUntil while locked), or null
+ */
+export async function getUser(username) {
+  const user = await readUser(username);
+  if (!user) return null;
+
+  const lockTtl = await redis.ttl(`loginLock:${user.username}`);
+  return {
+    ...toPublicUser(user),
+    lockedUntil: lockTtl > 0 ? new Date(Date.now() + lockTtl * 1000).toISOString() : undefined
+  };
+}
+
+/**
+ * List users
+ * @param {Object} [filter] - Filter
+ * @param {string} [filter.tenant] - Only users of this tenant
+ * @returns {Promise<Array<Object>>} - Users, by name
+ */
+export async function listUsers({ tenant } = {}) {
+  const names = await redis.smembers(USER_INDEX_KEY);
+  if (names.length === 0) return [];
+
+  const values = await redis.mget(names.map(name => `user:${name}`));
+  return values
+    .map(parseStored)
+    .filter(user => user && (tenant === undefined || tenantOf(user) === tenant))
+    .map(toPublicUser)
+    .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/**
+ * Count the enabled admins of a tenant, other than the given user
+ * @param {string} [exceptUsername] - User to leave out
+ * @param {string} [tenant=TENANCY.DEFAULT_TENANT] - Tenant
+ * @returns {Promise<number>} - Number of enabled admins
+ */
+export async function countOtherAdmins(exceptUsername, tenant = TENANCY.DEFAULT_TENANT) {
+  const users = await listUsers({ tenant });
+  return users.filter(user => user.role === 'admin' && !user.disabled && user.username !== exceptUsername).length;
+}
+
+/**
+ * Create a user
+ * @param {Object} definition - Validated user ({ username, password, role, tenant, mustChangePassword })
+ * @returns {Promise<Object|null>} - User, or null if the name is taken
+ */
+export async function createUser({ username, password, role = 'viewer', tenant = TENANCY.DEFAULT_TENANT, mustChangePassword = false }) {
+  const now = new Date().toISOString();
+  const user = {
+    username: normalizeUsername(username),
+    role,
+    tenant,
+    passwordHash: await bcrypt.hash(password, AUTH.BCRYPT_ROUNDS),
+    mustChangePassword,
+    disabled: false,
+    createdAt: now,
+    updatedAt: now,
+    passwordChangedAt: now
+  };
+
+  if (!(await redis.set(`user:${user.username}`, JSON.stringify(user), 'NX'))) {
+    return null;
+  }
+  await redis.sadd(USER_INDEX_KEY, user.username);
+  await registerTenant(tenant);
+
+  logger.info({ username: user.username, role, tenant }, 'User created');
+  return toPublicUser(user);
+}
+
+/**
+ * Change a user's role, tenant or disabled flag
+ * Any of these changes also revokes the user's tokens
+ * @param {string} username - User name
+ * @param {Object} changes - { role, tenant, disabled }
+ * @returns {Promise<Object|null>} - Updated user, or null if it doesn't exist
+ */
+export async function updateUser(username, { role, tenant, disabled }) {
+  const user = await readUser(username);
+  if (!user) return null;
+
+  if (role !== undefined) user.role = role;
+  if (tenant !== undefined) user.tenant = tenant;
+  if (disabled !== undefined) user.disabled = disabled;
+  user.updatedAt = new Date().toISOString();
+
+  await redis.set(`user:${user.username}`, JSON.stringify(user));
+  if (tenant !== undefined) {
+    await registerTenant(tenant);
+  }
+  if (disabled || role !== undefined || tenant !== undefined) {
+    // Tokens carry the role and tenant, so a change takes effect on the next login or refresh
+    await revokeUserTokens(user.username);
+  }
+
+  logger.info({ username: user.username, role, tenant, disabled }, 'User updated');
+  return toPublicUser(user);
+}
+
+/**
+ * Delete a user and revoke their tokens
+ * @param {string} username - User name
+ * @returns {Promise<boolean>} - True if the user existed
+ */
+export async function deleteUser(username) {
+  const name = normalizeUsername(username);
+  const deleted = await redis.del(`user:${name}`);
+  await redis.srem(USER_INDEX_KEY, name);
+  if (!deleted) return false;
+
+  await redis.del(`loginFailures:${name}`, `loginLock:${name}`);
+  await revokeUserTokens(name);
+  logger.info({ username: name }, 'User deleted');
+  return true;
+}
+
+/**
+ * Check a login attempt, counting failures towards the lockout
+ * @param {string} username - User name
+ * @param {string} password - Password
+ * @returns {Promise<{ user?: Object, locked?: boolean, retryAfter?: number }>} - The user if the
+ *   credentials are valid; locked with the seconds left if the account is locked; empty otherwise
+ */
+export async function authenticateUser(username, password) {
+  const name = normalizeUsername(username);
+
+  const lockTtl = await redis.ttl(`loginLock:${name}`);
+  if (lockTtl > 0) {
+    return { locked: true, retryAfter: lockTtl };
+  }
+
+  const user = await readUser(name);
+  if (!unknownUserHash) {
+    unknownUserHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), AUTH.BCRYPT_ROUNDS);
+  }
+  const valid = await bcrypt.compare(String(password || ''), user?.passwordHash || unknownUserHash);
+
+  if (valid && !user.disabled) {
+    await redis.del(`loginFailures:${name}`);
+    return { user: toPublicUser(user) };
+  }
+
+  // Unknown names count too, so probing doesn't reveal which accounts exist
+  const failures = await redis.incr(`loginFailures:${name}`);
+  if (failures === 1) {
+    await redis.expire(`loginFailures:${name}`, AUTH.LOCKOUT_SECONDS);
+  }
+  if (failures >= AUTH.MAX_LOGIN_FAILURES) {
+    await redis.set(`loginLock:${name}`, '1', 'EX', AUTH.LOCKOUT_SECONDS);
+    await redis.del(`loginFailures:${name}`);
+    logger.warn({ username: name, failures }, 'Account locked after repeated login failures');
+  }
+  return {};
+}
+
+/**
+ * Lift a login lock
+ * @param {string} username - User name
+ * @returns {Promise<void>}
+ */
+export async function unlockUser(username) {
+  const name = normalizeUsername(username);
+  await redis.del(`loginFailures:${name}`, `loginLock:${name}`);
+  logger.info({ username: name }, 'User unlocked');
+}
+
+/**
+ * Check a user's current password
+ * @param {string} username - User name
+ * @param {string} password - Password
+ * @returns {Promise<boolean>} - True if it matches
+ */
+export async function verifyPassword(username, password) {
+  const user = await readUser(username);
+  return Boolean(user) && bcrypt.compare(String(password || ''), user.passwordHash);
+}
+
+/**
+ * Set a user's password and revoke their existing tokens
+ * @param {string} username - User name
+ * @param {string} password - Validated new password
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.mustChangePassword=false] - Require another change at the next login
+ * @returns {Promise<Object|null>} - Updated user, or null if it doesn't exist
+ */
+export async function setPassword(username, password, { mustChangePassword = false } = {}) {
+  const user = await readUser(username);
+  if (!user) return null;
+
+  const now = new Date().toISOString();
+  user.passwordHash = await bcrypt.hash(password, AUTH.BCRYPT_ROUNDS);
+  user.mustChangePassword = mustChangePassword;
+  user.passwordChangedAt = now;
+  user.updatedAt = now;
+
+  await redis.set(`user:${user.username}`, JSON.stringify(user));
+  await revokeUserTokens(user.username);
+  await unlockUser(user.username);
+
+  logger.info({ username: user.username }, 'Password changed');
+  return toPublicUser(user);
+}
+
+/**
+ * Issue a one-time password reset token, replacing any earlier one
+ * @param {string} username - User name
+ * @returns {Promise<{ resetToken: string, expiresAt: string }|null>} - Token, or null if the user doesn't exist
+ */
+export async function createPasswordReset(username) {
+  const user = await readUser(username);
+  if (!user) return null;
+
+  const resetToken = crypto.randomBytes(32).toString('base64url');
+  const previous = await redis.get(`passwordResetFor:${user.username}`);
+  if (previous) {
+    await redis.del(`passwordReset:${previous}`);
+  }
+
+  const tokenHash = hashToken(resetToken);
+  await redis.set(`passwordReset:${tokenHash}`, user.username, 'EX', AUTH.PASSWORD_RESET_TTL);
+  await redis.set(`passwordResetFor:${user.username}`, tokenHash, 'EX', AUTH.PASSWORD_RESET_TTL);
+
+  logger.info({ username: user.username }, 'Password reset issued');
+  return { resetToken, expiresAt: new Date(Date.now() + AUTH.PASSWORD_RESET_TTL * 1000).toISOString() };
+}
+
+/**
+ * Look up the user a password reset token belongs to
+ * @param {string} resetToken - Token from createPasswordReset
+ * @returns {Promise<string|null>} - User name, or null if the token is unknown or expired
+ */
+export async function getPasswordResetUser(resetToken) {
+  if (typeof resetToken !== 'string' || !resetToken) return null;
+  return redis.get(`passwordReset:${hashToken(resetToken)}`);
+}
+
+/**
+ * Use up a password reset token
+ * @param {string} resetToken - Token from createPasswordReset
+ * @returns {Promise<boolean>} - True if the token was still valid
+ */
+export async function consumePasswordReset(resetToken) {
+  const tokenHash = hashToken(resetToken);
+  const username = await redis.get(`passwordReset:${tokenHash}`);
+  if (!username) return false;
+
+  const deleted = await redis.del(`passwordReset:${tokenHash}`);
+  await redis.del(`passwordResetFor:${username}`);
+  return deleted > 0;
+}
+
+/**
+ * Create the first admin when no users exist
+ * Safe to call from several servers at once; only one creates the account
+ * @returns {Promise<void>}
+ */
+export async function ensureBootstrapAdmin() {
+  if ((await redis.scard(USER_INDEX_KEY)) > 0) return;
+
+  const { username } = AUTH.BOOTSTRAP_ADMIN;
+  const generated = !AUTH.BOOTSTRAP_ADMIN.password;
+  const password = AUTH.BOOTSTRAP_ADMIN.password || crypto.randomBytes(12).toString('base64url');
+
+  // A generated password goes to a file only the server's user can read, never to the log stream.
+  // It is written before the account exists, so the account is never left with an unknown password,
+  // and only moved into place by the server whose account was created
+  const passwordFile = path.resolve(AUTH.BOOTSTRAP_PASSWORD_FILE);
+  const pendingFile = `${passwordFile}.${crypto.randomBytes(4).toString('hex')}`;
+  if (generated) {
+    await fs.mkdir(path.dirname(passwordFile), { recursive: true });
+    await fs.writeFile(pendingFile, `${password}\n`, { mode: 0o600, flag: 'wx' });
+  }
+
+  const user = await createUser({ username, password, role: 'admin', mustChangePassword: generated });
+  if (generated) {
+    await (user ? fs.rename(pendingFile, passwordFile) : fs.rm(pendingFile, { force: true }));
+  }
+  if (!user) return;
+
+  if (generated) {
+    logger.warn({ username: user.username, passwordFile },
+      'No users existed; created the initial admin with a generated password, which must be changed at first login. Delete the file once it has been read');
+  } else {
+    logger.info({ username: user.username }, 'Created the initial admin from ADMIN_USERNAME / ADMIN_PASSWORD');
+  }
+}
@@ -0,0 +1,444 @@
+/**
+ * Webhook service - job notifications pushed to subscriber URLs
+ * Subscriptions cover a session or a single job. Each event becomes one delivery per matching
+ * subscription, sent from its own BullMQ queue so slow or failing receivers retry with backoff
+ * without holding up batch processing. Signing secrets are sealed by the credential vault
+ */
+import crypto from 'crypto';
+import axios from 'axios';
+import { Queue } from 'bullmq';
+import redis from '../config/redisConfig.js';
+import { logger, redact } from './loggerService.js';
+import { WEBHOOKS, TENANCY } from '../config/appConfig.js';
+import { encryptCredentials, decryptCredentials, isSealedWithCurrentKey } from './credentialVault.js';
+import { WEBHOOK_EVENTS, WEBHOOK_MUTABLE_FIELDS, generateWebhookSecret, signWebhookPayload } from '../helpers/webhook.js';
+
+// Outcome of a delivery
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+const WEBHOOK_INDEX_KEY = 'webhooks';
+
+export const webhookQueue = new Queue(WEBHOOKS.QUEUE_NAME, { connection: redis });
+
+/**
+ * Parse a stored JSON value
+ * @param {string|null} value - Stored value
+ * @returns {*} - Parsed value, or null if missing or invalid
+ */
+function parseStored(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Index key of the subscriptions for a session or job
+ * @param {Object} webhook - Subscription ({ sessionId } or { jobId })
+ * @returns {string} - Redis set key
+ */
+function scopeKey({ sessionId, jobId }) {
+  return sessionId !== undefined ? `webhooks:session:${sessionId}` : `webhooks:job:${jobId}`;
+}
+
+/**
+ * Remove the sealed secret from a subscription before it leaves the service
+ * @param {Object|null} webhook - Stored subscription
+ * @returns {Object|null} - Subscription without its secret
+ */
+function toPublicWebhook(webhook) {
+  if (!webhook) return null;
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+/**
+ * Get the tenant a subscription belongs to
+ * Subscriptions from before tenants existed belong to the default tenant
+ * @param {Object} webhook - Subscription
+ * @returns {string} - Tenant
+ */
+export function getWebhookTenant(webhook) {
+  return webhook.tenant || TENANCY.DEFAULT_TENANT;
+}
+
+/**
+ * Get a subscription
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object|null>} - Subscription (without its secret), or null
+ */
+export async function getWebhook(webhookId) {
+  return toPublicWebhook(parseStored(await redis.get(`webhook:${webhookId}`)));
+}
+
+/**
+ * List subscriptions
+ * @param {Object} [filter] - Only subscriptions of this session or job (sessionId wins if both are given)
+ * @param {string} [filter.sessionId] - Session ID
+ * @param {string} [filter.jobId] - Job ID
+ * @param {string} [filter.tenant] - Only subscriptions of this tenant
+ * @returns {Promise<Array<Object>>} - Subscriptions (without secrets), oldest first
+ */
+export async function listWebhooks({ sessionId, jobId, tenant } = {}) {
+  const indexKey = sessionId !== undefined || jobId !== undefined ? scopeKey({ sessionId, jobId }) : WEBHOOK_INDEX_KEY;
+  const ids = await redis.smembers(indexKey);
+  if (ids.length === 0) return [];
+
+  const values = await redis.mget(ids.map(id => `webhook:${id}`));
+  return values
+    .map(parseStored)
+    .filter(webhook => webhook && (tenant === undefined || getWebhookTenant(webhook) === tenant))
+    .map(toPublicWebhook)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Create a subscription
+ * @param {Object} definition - Validated subscription ({ url, sessionId | jobId, events, description, enabled })
+ * @param {string} [tenant=TENANCY.DEFAULT_TENANT] - Tenant owning the subscription
+ * @returns {Promise<Object>} - Subscription, with its plaintext secret (only shown now)
+ */
+export async function createWebhook({ url, sessionId, jobId, events, description, enabled }, tenant = TENANCY.DEFAULT_TENANT) {
+  const now = new Date().toISOString();
+  const webhookId = Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
+  const secret = generateWebhookSecret();
+
+  const webhook = {
+    id: webhookId,
+    url,
+    ...(sessionId !== undefined ? { sessionId } : { jobId: String(jobId) }),
+    events: events || WEBHOOK_EVENTS,
+    description,
+    enabled: enabled !== false,
+    tenant,
+    createdAt: now,
+    updatedAt: now,
+    secret: encryptCredentials({ secret }, `webhook:${webhookId}`)
+  };
+
+  await redis.set(`webhook:${webhookId}`, JSON.stringify(webhook));
+  await redis.sadd(WEBHOOK_INDEX_KEY, webhookId);
+  await redis.sadd(scopeKey(webhook), webhookId);
+
+  logger.info({ webhookId, sessionId, jobId, tenant, events: webhook.events }, 'Webhook created');
+
+  return { ...toPublicWebhook(webhook), secret };
+}
+
+/**
+ * Change a subscription's URL, events, description or enabled flag
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} changes - Changed fields
+ * @returns {Promise<Object|null>} - Updated subscription, or null if it doesn't exist
+ */
+export async function updateWebhook(webhookId, changes) {
+  const webhook = parseStored(await redis.get(`webhook:${webhookId}`));
+  if (!webhook) return null;
+
+  WEBHOOK_MUTABLE_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) {
+      webhook[field] = changes[field];
+    }
+  });
+  webhook.updatedAt = new Date().toISOString();
+
+  await redis.set(`webhook:${webhookId}`, JSON.stringify(webhook));
+  logger.info({ webhookId, changes: Object.keys(changes) }, 'Webhook updated');
+
+  return toPublicWebhook(webhook);
+}
+
+/**
+ * Replace a subscription's signing secret
+ * The new secret is sealed with the current credential key
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object|null>} - Subscription with its new plaintext secret, or null if it doesn't exist
+ */
+export async function rotateWebhookSecret(webhookId) {
+  const webhook = parseStored(await redis.get(`webhook:${webhookId}`));
+  if (!webhook) return null;
+
+  const secret = generateWebhookSecret();
+  webhook.secret = encryptCredentials({ secret }, `webhook:${webhookId}`);
+  webhook.updatedAt = new Date().toISOString();
+
+  await redis.set(`webhook:${webhookId}`, JSON.stringify(webhook));
+  logger.info({ webhookId }, 'Webhook secret rotated');
+
+  return { ...toPublicWebhook(webhook), secret };
+}
+
+/**
+ * Delete a subscription; its delivery log expires on its own
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<boolean>} - True if the subscription existed
+ */
+export async function deleteWebhook(webhookId) {
+  const webhook = parseStored(await redis.get(`webhook:${webhookId}`));
+  await redis.srem(WEBHOOK_INDEX_KEY, webhookId);
+  if (!webhook) return false;
+
+  await redis.srem(scopeKey(webhook), webhookId);
+  await redis.del(`webhook:${webhookId}`);
+  logger.info({ webhookId }, 'Webhook deleted');
+  return true;
+}
+
+/**
+ * Store a delivery and queue it for sending
+ * @param {Object} webhook - Subscription
+ * @param {Object} payload - Event payload
+ * @param {string} [redeliveryOf] - Delivery this one repeats
+ * @returns {Promise<Object>} - Delivery
+ */
+async function queueDelivery(webhook, payload, redeliveryOf) {
+  const delivery = {
+    id: `dlv_${crypto.randomUUID()}`,
+    webhookId: webhook.id,
+    event: payload.event,
+    eventId: payload.id,
+    url: webhook.url,
+    status: DELIVERY_STATUS.PENDING,
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    ...(redeliveryOf && { redeliveryOf }),
+    payload
+  };
+
+  const logKey = `webhookDeliveries:${webhook.id}`;
+  await redis.pipeline()
+    .set(`webhookDelivery:${delivery.id}`, JSON.stringify(delivery), 'EX', WEBHOOKS.DELIVERY_TTL)
+    .lpush(logKey, delivery.id)
+    .ltrim(logKey, 0, WEBHOOKS.DELIVERY_HISTORY_LIMIT - 1)
+    .expire(logKey, WEBHOOKS.DELIVERY_TTL)
+    .exec();
+
+  await webhookQueue.add('deliverWebhook', { deliveryId: delivery.id }, {
+    jobId: delivery.id,
+    attempts: WEBHOOKS.ATTEMPTS,
+    backoff: { type: 'exponential', delay: WEBHOOKS.BACKOFF_MS },
+    removeOnComplete: true,
+    removeOnFail: { age: WEBHOOKS.DELIVERY_TTL }
+  });
+
+  return delivery;
+}
+
+/**
+ * Notify the subscriptions of a session and job about an event
+ * Failures are logged rather than thrown; notifications must never fail a job
+ * @param {string} event - Event name (see WEBHOOK_EVENTS)
+ * @param {Object} context - Event context
+ * @param {string} context.sessionId - Session ID
+ * @param {string} [context.jobId] - Job ID
+ * @param {Object} [context.data={}] - Event details
+ * @returns {Promise<void>}
+ */
+export async function emitWebhookEvent(event, { sessionId, jobId, data = {} }) {
+  try {
+    const ids = [
+      ...(sessionId ? await redis.smembers(scopeKey({ sessionId })) : []),
+      ...(jobId !== undefined ? await redis.smembers(scopeKey({ jobId })) : [])
+    ];
+    if (ids.length === 0) return;
+
+    const webhooks = (await redis.mget(ids.map(id => `webhook:${id}`)))
+      .map(parseStored)
+      .filter(webhook => webhook?.enabled && webhook.events.includes(event));
+    if (webhooks.length === 0) return;
+
+    const payload = {
+      id: `evt_${crypto.randomUUID()}`,
+      event,
+      createdAt: new Date().toISOString(),
+      sessionId,
+      jobId: jobId !== undefined ? String(jobId) : undefined,
+      data: redact(data)
+    };
+
+    for (const webhook of webhooks) {
+      await queueDelivery(webhook, payload);
+    }
+  } catch (err) {
+    logger.error({ error: err.message, event, sessionId, jobId }, 'Failed to queue webhook deliveries');
+  }
+}
+
+/**
+ * Get a subscription's delivery log
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} [options] - Paging
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.pageSize=20] - Deliveries per page
+ * @returns {Promise<{ deliveries: Array<Object>, pagination: Object }>} - Deliveries, newest first, without payloads
+ */
+export async function getWebhookDeliveries(webhookId, { page = 1, pageSize = 20 } = {}) {
+  const key = `webhookDeliveries:${webhookId}`;
+  const start = (page - 1) * pageSize;
+  const [ids, total] = await Promise.all([
+    redis.lrange(key, start, start + pageSize - 1),
+    redis.llen(key)
+  ]);
+  const values = ids.length > 0 ? await redis.mget(ids.map(id => `webhookDelivery:${id}`)) : [];
+
+  return {
+    deliveries: values.map(parseStored).filter(Boolean).map(({ payload, ...delivery }) => delivery),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+}
+
+/**
+ * Get a delivery with its payload and attempts
+ * @param {string} webhookId - Webhook ID
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} - Delivery, or null if it doesn't belong to the subscription
+ */
+export async function getWebhookDelivery(webhookId, deliveryId) {
+  const delivery = parseStored(await redis.get(`webhookDelivery:${deliveryId}`));
+  return delivery?.webhookId === webhookId ? delivery : null;
+}
+
+/**
+ * Send a delivery's payload again as a new delivery
+ * The payload keeps its event ID, so receivers can recognise the repeat
+ * @param {string} webhookId - Webhook ID
+ * @param {string} deliveryId - Delivery to repeat
+ * @returns {Promise<Object|null>} - New delivery, or null if the subscription or delivery doesn't exist
+ */
+export async function redeliverWebhook(webhookId, deliveryId) {
+  const [webhook, delivery] = await Promise.all([
+    redis.get(`webhook:${webhookId}`).then(parseStored),
+    getWebhookDelivery(webhookId, deliveryId)
+  ]);
+  if (!webhook || !delivery) return null;
+
+  const redelivery = await queueDelivery(webhook, delivery.payload, deliveryId);
+  logger.info({ webhookId, deliveryId, redeliveryId: redelivery.id }, 'Webhook redelivery queued');
+  const { payload, ...rest } = redelivery;
+  return rest;
+}
+
+/**
+ * Send one delivery (webhookQueue processor)
+ * Throws on a non-2xx response or network error so BullMQ retries it with backoff
+ * @param {Object} job - BullMQ job ({ deliveryId })
+ * @returns {Promise<Object>} - Final attempt
+ */
+export async function deliverWebhook(job) {
+  const { deliveryId } = job.data;
+  const deliveryKey = `webhookDelivery:${deliveryId}`;
+  const delivery = parseStored(await redis.get(deliveryKey));
+  if (!delivery) {
+    logger.warn({ deliveryId }, 'Webhook delivery expired before it was sent');
+    return null;
+  }
+
+  const save = () => redis.set(deliveryKey, JSON.stringify(delivery), 'EX', WEBHOOKS.DELIVERY_TTL);
+
+  const webhook = parseStored(await redis.get(`webhook:${delivery.webhookId}`));
+  if (!webhook || !webhook.enabled) {
+    delivery.status = DELIVERY_STATUS.FAILED;
+    delivery.attempts.push({ at: new Date().toISOString(), error: webhook ? 'Webhook disabled' : 'Webhook deleted' });
+    await save();
+    return null;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt).toISOString() };
+
+  try {
+    // Inside the try so a secret sealed with a removed key is recorded on the delivery
+    const { secret } = decryptCredentials(webhook.secret, `webhook:${webhook.id}`);
+    const response = await axios.post(webhook.url, body, {
+      timeout: WEBHOOKS.TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'excel-batch-api-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Event-Id': delivery.eventId,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Signature': signWebhookPayload(secret, timestamp, body)
+      }
+    });
+    attempt.statusCode = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `Receiver responded with ${response.status}`;
+    }
+  } catch (err) {
+    attempt.error = err.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  delivery.attempts.push(attempt);
+  const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+  if (!attempt.error) {
+    delivery.status = DELIVERY_STATUS.DELIVERED;
+    delivery.deliveredAt = new Date().toISOString();
+  } else if (finalAttempt) {
+    delivery.status = DELIVERY_STATUS.FAILED;
+  }
+  await save();
+
+  if (attempt.error) {
+    logger.warn({
+      deliveryId,
+      webhookId: webhook.id,
+      event: delivery.event,
+      attempt: delivery.attempts.length,
+      statusCode: attempt.statusCode,
+      error: attempt.error
+    }, finalAttempt ? 'Webhook delivery failed' : 'Webhook delivery attempt failed, retrying');
+    throw new Error(attempt.error);
+  }
+
+  logger.info({ deliveryId, webhookId: webhook.id, event: delivery.event, statusCode: attempt.statusCode }, 'Webhook delivered');
+  return attempt;
+}
+
+/**
+ * Re-encrypt every subscription's signing secret with the current credential key
+ * Called with session credential rotation, so old keys can be removed without breaking deliveries
+ * @returns {Promise<{ rotated: number, unchanged: number, failed: Array<Object> }>} - Rotation summary
+ */
+export async function rotateWebhookSecrets() {
+  const webhookIds = await redis.smembers(WEBHOOK_INDEX_KEY);
+  const summary = { rotated: 0, unchanged: 0, failed: [] };
+
+  for (const webhookId of webhookIds) {
+    try {
+      const webhook = parseStored(await redis.get(`webhook:${webhookId}`));
+      if (!webhook) continue;
+      if (isSealedWithCurrentKey(webhook.secret)) {
+        summary.unchanged++;
+        continue;
+      }
+
+      const aad = `webhook:${webhookId}`;
+      webhook.secret = encryptCredentials(decryptCredentials(webhook.secret, aad), aad);
+      await redis.set(`webhook:${webhookId}`, JSON.stringify(webhook));
+      summary.rotated++;
+    } catch (err) {
+      logger.error({ webhookId, error: err.message }, 'Failed to rotate webhook secret');
+      summary.failed.push({ webhookId, error: err.message });
+    }
+  }
+
+  logger.info({ rotated: summary.rotated, unchanged: summary.unchanged, failed: summary.failed.length }, 'Webhook secrets rotated');
+
+  return summary;
+}
@@ -26,6 +26,7 @@ const ERROR_CATEGORIES = {
   SYSTEM_ERROR: 'SYSTEM_ERROR',
   NETWORK_ERROR: 'NETWORK_ERROR',
   AUTH_ERROR: 'AUTH_ERROR',
+  CANCELLED: 'CANCELLED',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
 };
 
@@ -226,6 +227,7 @@ class WorkerPool {
    * @param {String} taskType - Type of task to execute
    * @param {Object} payload - Data to send to the worker
    * @param {Object} metadata - Additional metadata for context
+   * @param {string} [metadata.group] - Group the task belongs to (e.g. BullMQ job ID), used by cancelGroup
    * @returns {Promise<any>} - Promise that resolves with the task result
    */
   async executeTask(taskType, payload, metadata = {}) {
@@ -251,7 +253,7 @@ class WorkerPool {
       this.jobs.set(jobId, { resolve, reject, timer, taskType, metadata });
       
       // Add to queue
-      this.queue.push({ jobId, taskType, payload });
+      this.queue.push({ jobId, taskType, payload, group: metadata.group });
       
       // Try to process immediately
       this.processQueue();
@@ -271,6 +273,11 @@ class WorkerPool {
     
     const { jobId, taskType, payload } = task;
     
+    // Remember where the task runs so it can be aborted
+    if (this.jobs.has(jobId)) {
+      this.jobs.get(jobId).workerIndex = workerIndex;
+    }
+    
     try {
       this.workers[workerIndex].postMessage({
         jobId,
@@ -293,6 +300,43 @@ class WorkerPool {
     }
   }
 
+  /**
+   * Cancel every task in a group
+   * Queued tasks are dropped and rejected; running tasks get an abort message and reject
+   * with a CANCELLED error once their in-flight request has been aborted
+   * @param {string} group - Task group (e.g. BullMQ job ID)
+   * @returns {{ dropped: number, aborted: number }} - Number of tasks dropped and aborted
+   */
+  cancelGroup(group) {
+    const cancelled = {
+      category: ERROR_CATEGORIES.CANCELLED,
+      message: 'Task cancelled',
+      canRetry: false,
+      success: false
+    };
+    
+    const dropped = this.queue.filter(task => task.group === group);
+    this.queue = this.queue.filter(task => task.group !== group);
+    dropped.forEach(({ jobId }) => {
+      const { reject, timer } = this.jobs.get(jobId) || {};
+      if (timer) clearTimeout(timer);
+      this.jobs.delete(jobId);
+      if (reject) reject({ ...cancelled });
+    });
+    
+    let aborted = 0;
+    for (const [jobId, task] of this.jobs.entries()) {
+      if (task.metadata?.group === group && task.workerIndex !== undefined) {
+        this.workers[task.workerIndex]?.postMessage({ jobId, type: 'abort' });
+        aborted++;
+      }
+    }
+    
+    logger.info({ group, dropped: dropped.length, aborted }, 'Cancelled worker pool tasks');
+    
+    return { dropped: dropped.length, aborted };
+  }
+
   /**
    * Make an API call using a worker
    * @param {Object} options - API call options
@@ -310,22 +354,26 @@ class WorkerPool {
    * Process record data in a worker
    * @param {Object} record - Record to process
    * @param {Object} options - Processing options
+   * @param {Object} [taskOptions] - Task options
+   * @param {string} [taskOptions.group] - Task group for cancellation
    * @returns {Promise<Object>} - Processed result
    */
-  async processRecord(record, options) {
-    return this.executeTask('process_record', { record, options }, { recordData: record });
+  async processRecord(record, options, { group } = {}) {
+    return this.executeTask('process_record', { record, options }, { recordData: record, group });
   }
 
   /**
    * Batch process multiple records in parallel across workers
    * @param {Array} records - Records to process
    * @param {Object} options - Processing options
+   * @param {Object} [taskOptions] - Task options
+   * @param {string} [taskOptions.group] - Task group for cancellation
    * @returns {Promise<Array>} - Array of results
    */
-  async batchProcess(records, options) {
+  async batchProcess(records, options, taskOptions = {}) {
     // Create chunks of records to be processed in parallel
     const results = await Promise.allSettled(
-      records.map(record => this.processRecord(record, options))
+      records.map(record => this.processRecord(record, options, taskOptions))
     );
     
     return results.map((result, index) => {
@@ -4,6 +4,10 @@
  */
 import { parentPort } from 'worker_threads';
 import axios from 'axios';
+import { renderRequest, evaluateCondition } from '../helpers/requestTemplate.js';
+import { extractFields } from '../helpers/jsonPath.js';
+import { getAuthHeaders, refreshAuth } from '../helpers/auth.js';
+import { getIdempotencyHeaders } from '../helpers/idempotency.js';
 
 // Configuration
 const API_TIMEOUT = 15000; // 15 seconds
@@ -15,6 +19,7 @@ const ERROR_CATEGORIES = {
   SYSTEM_ERROR: 'SYSTEM_ERROR',                 // Server errors or system issues
   NETWORK_ERROR: 'NETWORK_ERROR',               // Network connectivity issues
   AUTH_ERROR: 'AUTH_ERROR',                     // Authentication/authorization issues
+  CANCELLED: 'CANCELLED',                       // Aborted because the job was cancelled
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'                // Unclassified errors
 };
 
@@ -30,6 +35,9 @@ const USER_ACTION_STATUS_CODES = [
 // Authentication error codes
 const AUTH_ERROR_CODES = [401, 403];
 
+// Abort controllers of running tasks, keyed by task ID
+const abortControllers = new Map();
+
 // Configure axios instance with enhanced settings
 const api = axios.create({
   timeout: API_TIMEOUT,
@@ -76,6 +84,10 @@ function categorizeError(error) {
     } else if (statusCode >= 500) {
       category = ERROR_CATEGORIES.SYSTEM_ERROR;
     }
+  } else if (error.code === 'ERR_CANCELED') {
+    category = ERROR_CATEGORIES.CANCELLED;
+  } else if (error.code === 'AUTH_PROVIDER_ERROR') {
+    category = ERROR_CATEGORIES.AUTH_ERROR;
   } else if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
     category = ERROR_CATEGORIES.NETWORK_ERROR;
   } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
@@ -158,41 +170,97 @@ async function handleApiCall(data) {
 }
 
 /**
- * Process a single record
- * @param {Object} data - Record processing parameters
- * @returns {Promise<Object>} - Processing result
+ * Wait before a retry, returning early if the task is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Task abort signal
+ * @returns {Promise<void>}
  */
-async function processRecord(data) {
-  const { record, options } = data;
-  const { apiUrl, headers, retryConfig = {} } = options;
-  
+function waitForRetry(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Build the error thrown when a task is aborted
+ * @param {number} attempts - Attempts made so far
+ * @returns {Object} - Cancelled error
+ */
+function cancelledError(attempts) {
+  return {
+    category: ERROR_CATEGORIES.CANCELLED,
+    message: 'Request cancelled',
+    userActionRequired: false,
+    canRetry: false,
+    attempts,
+    success: false
+  };
+}
+
+/**
+ * Send one rendered request, retrying temporary failures with exponential backoff
+ * Auth is applied per attempt; a 401 makes refreshable providers fetch new credentials once
+ * @param {Object} request - Rendered request ({ method, url, headers, data })
+ * @param {Object} headers - Extra static headers
+ * @param {Object} auth - Session auth config
+ * @param {Object} retryConfig - Retry configuration
+ * @param {AbortSignal} [signal] - Aborts the in-flight request and any further retries
+ * @returns {Promise<Object>} - Response, attempt count and call duration
+ * @throws {Object} - Categorized error including the attempt count
+ */
+async function sendWithRetries(request, headers, auth, retryConfig, signal) {
   // Default retry configuration
   const maxRetries = retryConfig.maxRetries || 3;
   const getBackoffDelay = retryConfig.getBackoffDelay || 
     ((attempt) => Math.pow(2, attempt) * 1000); // Exponential backoff
   
   let attempt = 0;
+  let refreshed = false;
+  
+  // Serialize once so signing providers sign exactly the bytes that are sent
+  const body = request.data === undefined ? undefined : JSON.stringify(request.data);
   
   while (attempt < maxRetries) {
+    if (signal?.aborted) {
+      throw cancelledError(attempt);
+    }
+    
     try {
       const apiCallStart = Date.now();
+      const authHeaders = await getAuthHeaders(auth, { method: request.method, url: request.url, body });
       
       // Make the API call
-      const response = await api.post(apiUrl, record, { 
-        headers,
+      const response = await api.request({
+        method: request.method,
+        url: request.url,
+        data: body,
+        headers: { ...request.headers, ...headers, ...authHeaders },
         // Add timeout that increases with each retry attempt
-        timeout: API_TIMEOUT + (attempt * 5000)
+        timeout: API_TIMEOUT + (attempt * 5000),
+        signal
       });
       
-      const apiCallDuration = Date.now() - apiCallStart;
+      // Expired or revoked credentials: refresh and repeat without using up a retry
+      if (response.status === 401 && !refreshed && refreshAuth(auth)) {
+        refreshed = true;
+        continue;
+      }
+      
+      // 4XX responses resolve (see validateStatus) but still have to be categorized
+      if (response.status >= 400) {
+        const statusError = new Error(`Request failed with status code ${response.status}`);
+        statusError.response = response;
+        throw statusError;
+      }
       
       return {
-        status: response.status,
-        data: response.data,
-        headers: response.headers,
-        duration: apiCallDuration,
-        attempts: attempt + 1,
-        success: true
+        response,
+        duration: Date.now() - apiCallStart,
+        attempts: attempt + 1
       };
     } catch (err) {
       attempt++;
@@ -206,7 +274,7 @@ async function processRecord(data) {
       if (categorizedError.category === ERROR_CATEGORIES.REQUIRES_USER_ACTION) {
         throw {
           ...categorizedError,
-          attempts,
+          attempts: attempt,
           success: false
         };
       }
@@ -232,15 +300,127 @@ async function processRecord(data) {
       if (isLastAttempt || !shouldRetry) {
         throw {
           ...categorizedError,
-          attempts,
+          attempts: attempt,
           success: false
         };
       }
       
       // Wait before retrying
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
+      await waitForRetry(retryDelay, signal);
+    }
+  }
+}
+
+/**
+ * Process a single record
+ * A session with steps makes one call per step; otherwise the record is a one-step chain
+ * @param {Object} data - Record processing parameters
+ * @param {AbortSignal} [signal] - Task abort signal
+ * @returns {Promise<Object>} - Processing result (status, data and headers of the last call made)
+ */
+async function processRecord(data, signal) {
+  const { record, options } = data;
+  const { apiUrl, headers = {}, auth, requestTemplate, steps, extractRules, idempotency, retryConfig = {} } = options;
+  
+  const chain = steps?.length ? steps : [{ name: 'request', ...(requestTemplate || {}) }];
+  const stepValues = {};
+  const stepResults = [];
+  let totalAttempts = 0;
+  let totalDuration = 0;
+  let last = null;
+  
+  // Wall-clock time spent on the record, including retries and backoff, for the job's record ledger
+  const startedAt = Date.now();
+  const timing = () => ({ startedAt, elapsedMs: Date.now() - startedAt });
+  
+  // Tag an error with the step it came from so it can be traced back in the results
+  const stepError = (error, step, stepIndex) => ({
+    ...error,
+    message: steps?.length ? `Step "${step.name}": ${error.message}` : error.message,
+    step: steps?.length ? step.name : undefined,
+    stepIndex: steps?.length ? stepIndex : undefined,
+    steps: steps?.length ? stepResults : undefined,
+    attempts: totalAttempts + (error.attempts || 0),
+    ...timing(),
+    success: false
+  });
+  
+  for (const [stepIndex, step] of chain.entries()) {
+    const context = { $steps: stepValues };
+    
+    if (step.when && !evaluateCondition(step.when, record, context)) {
+      stepResults.push({ name: step.name, skipped: true });
+      continue;
     }
+    
+    // Render the request for this record; a record that can't fill the template needs fixing by the user
+    let request;
+    try {
+      request = renderRequest(step, record, { apiUrl, context });
+    } catch (err) {
+      throw stepError({
+        category: ERROR_CATEGORIES.REQUIRES_USER_ACTION,
+        message: err.message,
+        userActionRequired: true,
+        canRetry: false,
+        validationErrors: [err.message],
+        attempts: 0
+      }, step, stepIndex);
+    }
+    
+    let sent;
+    try {
+      const requestHeaders = { ...headers, ...getIdempotencyHeaders(idempotency, record, steps?.length ? step.name : undefined) };
+      sent = await sendWithRetries(request, requestHeaders, auth, retryConfig, signal);
+    } catch (err) {
+      throw stepError(err, step, stepIndex);
+    }
+    
+    const { response, attempts, duration } = sent;
+    totalAttempts += attempts;
+    totalDuration += duration;
+    
+    // Values extracted here are visible to later steps as $steps.<name>.<value>
+    stepValues[step.name] = step.extract?.length ? extractFields(response.data, step.extract) : {};
+    stepResults.push({
+      name: step.name,
+      method: request.method,
+      url: request.url,
+      status: response.status,
+      attempts,
+      durationMs: duration,
+      extracted: step.extract?.length ? stepValues[step.name] : undefined
+    });
+    last = { request, response };
+  }
+  
+  if (!last) {
+    throw {
+      category: ERROR_CATEGORIES.REQUIRES_USER_ACTION,
+      message: 'Every step was skipped for this record',
+      userActionRequired: true,
+      canRetry: false,
+      steps: stepResults,
+      attempts: 0,
+      ...timing(),
+      success: false
+    };
   }
+  
+  return {
+    status: last.response.status,
+    data: last.response.data,
+    headers: last.response.headers,
+    duration: totalDuration,
+    attempts: totalAttempts,
+    method: last.request.method,
+    url: last.request.url,
+    // Pull out only the configured values so the main thread can store a compact result
+    extracted: extractRules?.length ? extractFields(last.response.data, extractRules) : undefined,
+    steps: steps?.length ? stepResults : undefined,
+    ...timing(),
+    success: true
+  };
 }
 
 // Export error categories for the main thread to use
@@ -255,6 +435,15 @@ parentPort.postMessage({
 parentPort.on('message', async (message) => {
   const { jobId, type, data } = message;
   
+  // Abort a running task; the task itself reports the CANCELLED error
+  if (type === 'abort') {
+    abortControllers.get(jobId)?.abort();
+    return;
+  }
+  
+  const controller = new AbortController();
+  abortControllers.set(jobId, controller);
+  
   try {
     let result;
     
@@ -264,7 +453,7 @@ parentPort.on('message', async (message) => {
         result = await handleApiCall(data);
         break;
       case 'process_record':
-        result = await processRecord(data);
+        result = await processRecord(data, controller.signal);
         break;
       default:
         throw new Error(`Unknown task type: ${type}`);
@@ -283,6 +472,8 @@ parentPort.on('message', async (message) => {
       type: 'error',
       error: typeof error === 'string' ? error : JSON.stringify(error)
     });
+  } finally {
+    abortControllers.delete(jobId);
   }
 });
 
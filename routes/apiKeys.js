@@ -0,0 +1,157 @@
+import express from 'express';
+
+// Import from new module structure
+import { logger } from '../lib/services/loggerService.js';
+import { TENANCY } from '../lib/config/appConfig.js';
+import { authenticateJWT, requirePermission } from './auth.js';
+import { validateApiKeyDefinition, API_KEY_MUTABLE_FIELDS } from '../lib/helpers/apiKey.js';
+import { validateTenantId } from '../lib/helpers/tenant.js';
+import {
+  getApiKey,
+  getApiKeyTenant,
+  listApiKeys,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  deleteApiKey
+} from '../lib/services/apiKeys.js';
+
+const router = express.Router();
+
+router.use('/api-keys', authenticateJWT, requirePermission('apikeys:manage'));
+
+/**
+ * Get a key the caller may manage
+ * Admins manage their own tenant's keys; admins of the default tenant manage every tenant's
+ * @param {Object} req - Express request
+ * @param {string} keyId - Key ID
+ * @returns {Promise<Object|null>} - Key, or null if missing or in a tenant the caller can't manage
+ */
+async function getManagedApiKey(req, keyId) {
+  const apiKey = await getApiKey(keyId);
+  if (!apiKey) return null;
+  return req.user.tenant === TENANCY.DEFAULT_TENANT || getApiKeyTenant(apiKey) === req.user.tenant ? apiKey : null;
+}
+
+// GET /api/api-keys?tenant=
+// Admins of the default tenant see every tenant's keys unless they filter by one
+router.get('/api-keys', async (req, res) => {
+  const tenant = req.user.tenant === TENANCY.DEFAULT_TENANT ? req.query.tenant : req.user.tenant;
+
+  try {
+    const apiKeys = await listApiKeys({ tenant });
+    res.json({ apiKeys, count: apiKeys.length });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to list API keys');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/api-keys
+// Body: { name, routes, role = 'operator', expiresInDays = API_KEY_TTL_DAYS, tenant = caller's tenant }
+// The key itself is only returned here and when it is rotated
+router.post('/api-keys', async (req, res) => {
+  const { tenant = req.user.tenant, ...definition } = req.body || {};
+
+  try {
+    validateApiKeyDefinition(definition);
+    validateTenantId(tenant);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (tenant !== req.user.tenant && req.user.tenant !== TENANCY.DEFAULT_TENANT) {
+    return res.status(403).json({ error: 'Only admins of the default tenant can create API keys for other tenants' });
+  }
+
+  try {
+    const apiKey = await createApiKey(definition, { tenant, createdBy: req.user.sub });
+    res.json(apiKey);
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to create API key');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/api-keys/:keyId
+router.get('/api-keys/:keyId', async (req, res) => {
+  try {
+    const apiKey = await getManagedApiKey(req, req.params.keyId);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json(apiKey);
+  } catch (err) {
+    logger.error({ error: err.message, keyId: req.params.keyId }, 'Failed to get API key');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/api-keys/:keyId
+// Body: any of { name, role, routes, expiresInDays }; expiresInDays counts from now
+router.patch('/api-keys/:keyId', async (req, res) => {
+  const { keyId } = req.params;
+  const changes = req.body || {};
+
+  const fixed = Object.keys(changes).filter(field => !API_KEY_MUTABLE_FIELDS.includes(field));
+  if (fixed.length > 0) {
+    return res.status(400).json({ error: `Only ${API_KEY_MUTABLE_FIELDS.join(', ')} can be changed` });
+  }
+  try {
+    validateApiKeyDefinition(changes, { partial: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    if (!(await getManagedApiKey(req, keyId))) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json(await updateApiKey(keyId, changes));
+  } catch (err) {
+    logger.error({ error: err.message, keyId }, 'Failed to update API key');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/api-keys/:keyId/rotate
+// Body (optional): { expiresInDays }; the old key stops working at once
+router.post('/api-keys/:keyId/rotate', async (req, res) => {
+  const { keyId } = req.params;
+  const { expiresInDays } = req.body || {};
+
+  try {
+    validateApiKeyDefinition({ expiresInDays }, { partial: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const apiKey = await getManagedApiKey(req, keyId) && await rotateApiKey(keyId, { expiresInDays });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json(apiKey);
+  } catch (err) {
+    logger.error({ error: err.message, keyId }, 'Failed to rotate API key');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/api-keys/:keyId
+router.delete('/api-keys/:keyId', async (req, res) => {
+  const { keyId } = req.params;
+
+  try {
+    const deleted = await getManagedApiKey(req, keyId) && await deleteApiKey(keyId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ status: 'deleted', keyId });
+  } catch (err) {
+    logger.error({ error: err.message, keyId }, 'Failed to delete API key');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,384 @@
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Import from new module structure
+import { logger } from '../lib/services/loggerService.js';
+import { ENV, AUTH, TENANCY } from '../lib/config/appConfig.js';
+import { validatePassword } from '../lib/helpers/account.js';
+import { hasPermission, getRolePermissions } from '../lib/helpers/permissions.js';
+import { isApiKey, isRouteAllowed } from '../lib/helpers/apiKey.js';
+import {
+  getUser,
+  authenticateUser,
+  verifyPassword,
+  setPassword,
+  getPasswordResetUser,
+  consumePasswordReset
+} from '../lib/services/users.js';
+import {
+  issueTokens,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeUserTokens,
+  checkAccessToken
+} from '../lib/services/authTokens.js';
+import { tenantOf } from '../lib/services/tenants.js';
+import { getApiKey, getApiKeyTenant, authenticateApiKey } from '../lib/services/apiKeys.js';
+
+const router = express.Router();
+
+/**
+ * Authenticate a request made with an API key
+ * The key's allowed routes are checked here, since the path is the same for every router the
+ * request passes through
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {string} key - API key
+ * @returns {Promise<void>}
+ */
+async function acceptApiKey(req, res, next, key) {
+  let result;
+  try {
+    result = await authenticateApiKey(key, req.ip);
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to check API key');
+    return res.status(500).json({ error: 'Failed to verify API key' });
+  }
+
+  const { apiKey, error } = result;
+  if (error) {
+    logger.warn({ ip: req.ip, error }, 'API key authentication failed');
+    return res.status(401).json({ error });
+  }
+
+  const path = req.originalUrl.split('?')[0];
+  if (!isRouteAllowed(apiKey.routes, req.method, path)) {
+    logger.warn({ keyId: apiKey.id, method: req.method, path }, 'API key used outside its allowed routes');
+    return res.status(403).json({ error: `API key not allowed on ${req.method} ${path}` });
+  }
+
+  req.user = {
+    sub: `apikey:${apiKey.id}`,
+    username: `apikey:${apiKey.id}`,
+    apiKeyId: apiKey.id,
+    role: apiKey.role,
+    tenant: getApiKeyTenant(apiKey)
+  };
+  next();
+}
+
+/**
+ * Build JWT authentication middleware
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowPasswordChangeRequired=false] - Accept tokens of users who must
+ *   change their password first (only the password change itself does)
+ * @returns {Function} - Express middleware
+ */
+function authenticate({ allowPasswordChangeRequired = false } = {}) {
+  return (req, res, next) => {
+    // Every router authenticates the requests passing through it; the token is checked once per request
+    if (req.user) {
+      if (req.user.mustChangePassword && !allowPasswordChangeRequired) {
+        return res.status(403).json({ error: 'Password change required' });
+      }
+      return next();
+    }
+
+    const authHeader = req.headers.authorization;
+    // EventSource can't set headers, so event streams may pass the token as ?access_token=
+    const streamToken = (req.headers.accept || '').includes('text/event-stream') && req.query.access_token;
+    // Automation clients may send their API key as X-API-Key instead of a bearer token
+    const apiKeyHeader = req.headers['x-api-key'];
+    if (!(authHeader && authHeader.startsWith('Bearer ')) && !streamToken && !apiKeyHeader) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const token = apiKeyHeader || streamToken || authHeader.split(' ')[1];
+    if (isApiKey(token)) {
+      return acceptApiKey(req, res, next, token);
+    }
+    jwt.verify(token, ENV.JWT_SECRET, async (err, payload) => {
+      if (err) {
+        logger.warn({ error: err.message, ip: req.ip }, 'JWT authentication failed');
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+
+      try {
+        const problem = await checkAccessToken(payload);
+        if (problem) {
+          logger.warn({ username: payload.sub, ip: req.ip, error: problem }, 'JWT authentication failed');
+          return res.status(401).json({ error: problem });
+        }
+      } catch (checkErr) {
+        logger.error({ error: checkErr.message }, 'Failed to check token revocation');
+        return res.status(500).json({ error: 'Failed to verify token' });
+      }
+
+      if (payload.mustChangePassword && !allowPasswordChangeRequired) {
+        return res.status(403).json({ error: 'Password change required' });
+      }
+
+      // Tokens from before tenants existed belong to the default tenant
+      req.user = { ...payload, tenant: tenantOf(payload) };
+      next();
+    });
+  };
+}
+
+// JWT authentication middleware
+export const authenticateJWT = authenticate();
+
+/**
+ * Build middleware that lets only users whose role grants a permission through
+ * Runs after authenticateJWT
+ * @param {string} permission - Permission (see lib/helpers/permissions.js)
+ * @returns {Function} - Express middleware
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user?.role, permission)) {
+      logger.warn({ username: req.user?.sub, role: req.user?.role, permission, path: req.originalUrl }, 'Permission denied');
+      return res.status(403).json({ error: `Permission denied: ${permission}` });
+    }
+    next();
+  };
+}
+
+/**
+ * Let only users of the default tenant through
+ * Guards installation-wide actions and data that span every tenant. Runs after authenticateJWT
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function requireDefaultTenant(req, res, next) {
+  if (req.user?.tenant !== TENANCY.DEFAULT_TENANT) {
+    logger.warn({ username: req.user?.sub, tenant: req.user?.tenant, path: req.originalUrl }, 'Installation-wide action denied');
+    return res.status(403).json({ error: 'Only users of the default tenant can do this' });
+  }
+  next();
+}
+
+// Bull Board logins that succeeded recently, so the UI's polling doesn't hash the password on every request
+const boardLogins = new Map();
+
+/**
+ * Protect the Bull Board UI
+ * Browsers can't add a bearer token to the board's pages, so it also takes HTTP basic auth with
+ * a user's name and password; either way the user needs board:access. The board shows every
+ * tenant's jobs, so it is also limited to the default tenant
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export async function authenticateBoard(req, res, next) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return authenticateJWT(req, res, () => requirePermission('board:access')(req, res, () => requireDefaultTenant(req, res, next)));
+  }
+
+  const challenge = () => {
+    res.setHeader('WWW-Authenticate', 'Basic realm="Bull Board", charset="UTF-8"');
+    res.status(401).send('Authentication required');
+  };
+  if (!authHeader.startsWith('Basic ')) {
+    return challenge();
+  }
+
+  const cacheKey = crypto.createHash('sha256').update(authHeader).digest('hex');
+  const cached = boardLogins.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    req.user = cached.user;
+    return next();
+  }
+  boardLogins.delete(cacheKey);
+
+  try {
+    const credentials = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    const { user } = await authenticateUser(credentials.slice(0, separator), credentials.slice(separator + 1));
+    if (!user) {
+      logger.warn({ ip: req.ip }, 'Bull Board login failed');
+      return challenge();
+    }
+    if (user.mustChangePassword || !hasPermission(user.role, 'board:access') || tenantOf(user) !== TENANCY.DEFAULT_TENANT) {
+      logger.warn({ username: user.username, role: user.role, tenant: tenantOf(user) }, 'Bull Board access denied');
+      return res.status(403).send('Permission denied: board:access');
+    }
+
+    for (const [key, login] of boardLogins) {
+      if (login.expiresAt <= Date.now()) boardLogins.delete(key);
+    }
+    req.user = { sub: user.username, username: user.username, role: user.role, tenant: tenantOf(user) };
+    boardLogins.set(cacheKey, { user: req.user, expiresAt: Date.now() + AUTH.BOARD_LOGIN_CACHE_MS });
+    next();
+  } catch (err) {
+    logger.error({ error: err.message }, 'Bull Board authentication failed');
+    res.status(500).send('Authentication failed');
+  }
+}
+
+// POST /api/login
+// Body: { username, password }
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
+
+  try {
+    const { user, locked, retryAfter } = await authenticateUser(username, password);
+    if (locked) {
+      logger.warn({ username, ip: req.ip }, 'Login attempt on a locked account');
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(423).json({ error: 'Account locked after repeated failed logins', retryAfter });
+    }
+    if (!user) {
+      logger.warn({ username, ip: req.ip }, 'Login attempt with invalid credentials');
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const tokens = await issueTokens(user);
+    logger.info({ username: user.username }, 'User logged in successfully');
+    res.json({
+      ...tokens,
+      user: { username: user.username, role: user.role, tenant: tenantOf(user), mustChangePassword: user.mustChangePassword },
+      message: 'Login successful'
+    });
+  } catch (err) {
+    logger.error({ error: err.message, username }, 'Login failed');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/token/refresh
+// Body: { refreshToken }; the refresh token is replaced by the one in the response
+router.post('/token/refresh', async (req, res) => {
+  try {
+    const username = await consumeRefreshToken(req.body?.refreshToken);
+    const user = username && await getUser(username);
+    if (!user || user.disabled) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+      ...(await issueTokens(user)),
+      user: { username: user.username, role: user.role, tenant: tenantOf(user), mustChangePassword: user.mustChangePassword }
+    });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Token refresh failed');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/password-reset
+// Body: { resetToken, newPassword }; reset tokens come from an admin (POST /api/users/:username/password-reset)
+router.post('/password-reset', async (req, res) => {
+  const { resetToken, newPassword } = req.body || {};
+
+  try {
+    const username = await getPasswordResetUser(resetToken);
+    if (!username) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+    try {
+      validatePassword(newPassword, username);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (!(await consumePasswordReset(resetToken))) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    await setPassword(username, newPassword);
+    logger.info({ username }, 'Password reset used');
+    res.json({ success: true, message: 'Password changed; log in with the new password' });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Password reset failed');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/logout
+// Body (optional): { refreshToken, everywhere: true }
+router.post('/logout', authenticate({ allowPasswordChangeRequired: true }), async (req, res) => {
+  const { refreshToken, everywhere = false } = req.body || {};
+  if (req.user.apiKeyId) {
+    return res.status(400).json({ error: 'API keys are revoked with DELETE /api/api-keys/:keyId' });
+  }
+
+  try {
+    if (everywhere) {
+      await revokeUserTokens(req.user.sub);
+    } else {
+      await revokeAccessToken(req.user);
+      await revokeRefreshToken(refreshToken);
+    }
+    logger.info({ username: req.user.sub, everywhere }, 'User logged out');
+    res.json({ success: true });
+  } catch (err) {
+    logger.error({ error: err.message, username: req.user.sub }, 'Logout failed');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/me
+// With an API key, returns the key instead of a user
+router.get('/me', authenticate({ allowPasswordChangeRequired: true }), async (req, res) => {
+  try {
+    if (req.user.apiKeyId) {
+      const apiKey = await getApiKey(req.user.apiKeyId);
+      return res.json({ apiKey, permissions: getRolePermissions(req.user.role) });
+    }
+
+    const user = await getUser(req.user.sub);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ ...user, tenant: tenantOf(user), permissions: getRolePermissions(user.role) });
+  } catch (err) {
+    logger.error({ error: err.message, username: req.user.sub }, 'Failed to get current user');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/me/password
+// Body: { currentPassword, newPassword }; all other tokens of the user are revoked
+router.post('/me/password', authenticate({ allowPasswordChangeRequired: true }), async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  const username = req.user.sub;
+  if (req.user.apiKeyId) {
+    return res.status(400).json({ error: 'API keys have no password; rotate the key instead' });
+  }
+
+  try {
+    validatePassword(newPassword, username);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (newPassword === currentPassword) {
+    return res.status(400).json({ error: 'newPassword must differ from the current password' });
+  }
+
+  try {
+    if (!(await verifyPassword(username, currentPassword))) {
+      logger.warn({ username, ip: req.ip }, 'Password change with wrong current password');
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const user = await setPassword(username, newPassword);
+    res.json({
+      ...(await issueTokens(user)),
+      user: { username: user.username, role: user.role, tenant: tenantOf(user), mustChangePassword: false },
+      message: 'Password changed'
+    });
+  } catch (err) {
+    logger.error({ error: err.message, username }, 'Password change failed');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
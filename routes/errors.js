@@ -2,8 +2,15 @@
  * API routes for handling errors, especially user action errors
  */
 import express from 'express';
-import { authenticateJWT } from './sessions.js';
-import { getUserActionErrors, resolveUserActionError } from '../lib/services/processRecord.js';
+import { authenticateJWT, requirePermission, requireDefaultTenant } from './auth.js';
+import {
+  getUserActionError,
+  getUserActionErrors,
+  getUserActionErrorRecord,
+  resolveUserActionError
+} from '../lib/services/processRecord.js';
+import { getQuarantinedRecords, getQuarantinedRecordOriginal, clearQuarantinedRecords } from '../lib/services/quarantine.js';
+import { sessionBelongsTo } from '../lib/services/tenants.js';
 import { logger } from '../lib/services/loggerService.js';
 import workerPool from '../lib/services/workerPool.js';
 
@@ -12,14 +19,31 @@ const router = express.Router();
 // Require authentication for all routes
 router.use(authenticateJWT);
 
+/**
+ * Get a user action error of the caller's tenant
+ * @param {Object} req - Express request
+ * @param {string} errorId - Error ID
+ * @returns {Promise<Object|null>} - Error, or null if missing or owned by another tenant
+ */
+async function getTenantUserActionError(req, errorId) {
+  const error = await getUserActionError(errorId);
+  return error && await sessionBelongsTo(error.sessionId, req.user.tenant) ? error : null;
+}
+
 /**
  * Get all user action errors for a session
  * GET /api/errors/user-action/:sessionId
  */
-router.get('/errors/user-action/:sessionId', async (req, res) => {
+router.get('/errors/user-action/:sessionId', requirePermission('errors:read'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
+    if (!(await sessionBelongsTo(sessionId, req.user.tenant))) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+    
     // Get user action errors from Redis
     const errors = await getUserActionErrors(sessionId);
     
@@ -46,10 +70,45 @@ router.get('/errors/user-action/:sessionId', async (req, res) => {
 });
 
 /**
- * Get summary of all error categories
+ * Get the record of a user action error as it was sent; stored errors only hold a redacted copy
+ * Needs errors:write, since it is only for fixing and reprocessing the record
+ * GET /api/errors/user-action/:errorId/record
+ */
+router.get('/errors/user-action/:errorId/record', requirePermission('errors:write'), async (req, res) => {
+  const { errorId } = req.params;
+  
+  try {
+    const record = await getTenantUserActionError(req, errorId) && await getUserActionErrorRecord(errorId);
+    if (!record) {
+      return res.status(404).json({
+        error: 'Error not found'
+      });
+    }
+    
+    logger.info({ errorId, username: req.user.sub }, 'Retrieved unredacted user action error record');
+    
+    res.json({
+      errorId,
+      record
+    });
+  } catch (error) {
+    logger.error({
+      error: error.message,
+      errorId
+    }, 'Failed to get user action error record');
+    
+    res.status(500).json({
+      error: 'Failed to get user action error record',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get summary of all error categories, counted across every tenant
  * GET /api/errors/summary
  */
-router.get('/errors/summary', async (req, res) => {
+router.get('/errors/summary', requirePermission('errors:read'), requireDefaultTenant, async (req, res) => {
   try {
     // Get error stats from worker pool
     const stats = workerPool.getErrorStats();
@@ -74,7 +133,7 @@ router.get('/errors/summary', async (req, res) => {
  * Resolve a user action error
  * POST /api/errors/user-action/:errorId/resolve
  */
-router.post('/errors/user-action/:errorId/resolve', async (req, res) => {
+router.post('/errors/user-action/:errorId/resolve', requirePermission('errors:write'), async (req, res) => {
   try {
     const { errorId } = req.params;
     const resolution = req.body;
@@ -87,7 +146,7 @@ router.post('/errors/user-action/:errorId/resolve', async (req, res) => {
     }
     
     // Resolve the error
-    const result = await resolveUserActionError(errorId, resolution);
+    const result = await getTenantUserActionError(req, errorId) && await resolveUserActionError(errorId, resolution);
     
     if (!result) {
       return res.status(404).json({
@@ -122,7 +181,7 @@ router.post('/errors/user-action/:errorId/resolve', async (req, res) => {
  * Reprocess a record after resolving a user action error
  * POST /api/errors/user-action/:errorId/reprocess
  */
-router.post('/errors/user-action/:errorId/reprocess', async (req, res) => {
+router.post('/errors/user-action/:errorId/reprocess', requirePermission('errors:write'), async (req, res) => {
   try {
     const { errorId } = req.params;
     const { record, apiUrl, headers } = req.body;
@@ -135,8 +194,7 @@ router.post('/errors/user-action/:errorId/reprocess', async (req, res) => {
     }
     
     // Make sure the error exists
-    const errorData = await getUserActionErrors(errorId.split(':')[0]);
-    const error = errorData.find(e => e.errorId === errorId);
+    const error = await getTenantUserActionError(req, errorId);
     
     if (!error) {
       return res.status(404).json({
@@ -185,10 +243,16 @@ router.post('/errors/user-action/:errorId/reprocess', async (req, res) => {
  * Clear all user action errors for a session
  * DELETE /api/errors/user-action/:sessionId
  */
-router.delete('/errors/user-action/:sessionId', async (req, res) => {
+router.delete('/errors/user-action/:sessionId', requirePermission('errors:write'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
+    if (!(await sessionBelongsTo(sessionId, req.user.tenant))) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+    
     // Get error IDs
     const errors = await getUserActionErrors(sessionId);
     
@@ -223,4 +287,111 @@ router.delete('/errors/user-action/:sessionId', async (req, res) => {
   }
 });
 
+/**
+ * Get the records quarantined by the session record schema
+ * GET /api/errors/quarantine/:sessionId?jobId=
+ */
+router.get('/errors/quarantine/:sessionId', requirePermission('errors:read'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    if (!(await sessionBelongsTo(sessionId, req.user.tenant))) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+    
+    const records = await getQuarantinedRecords(sessionId, { jobId: req.query.jobId });
+    
+    logger.info({
+      sessionId,
+      count: records.length
+    }, 'Retrieved quarantined records');
+    
+    res.json({
+      records,
+      count: records.length
+    });
+  } catch (error) {
+    logger.error({
+      error: error.message,
+      sessionId: req.params.sessionId
+    }, 'Failed to get quarantined records');
+    
+    res.status(500).json({
+      error: 'Failed to get quarantined records',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get a quarantined record as it was received; listed records hold a redacted copy
+ * Needs errors:write, since it is only for fixing and queuing the record again
+ * GET /api/errors/quarantine/:sessionId/:quarantineId/record
+ */
+router.get('/errors/quarantine/:sessionId/:quarantineId/record', requirePermission('errors:write'), async (req, res) => {
+  const { sessionId, quarantineId } = req.params;
+  
+  try {
+    const record = await sessionBelongsTo(sessionId, req.user.tenant) &&
+      await getQuarantinedRecordOriginal(sessionId, quarantineId);
+    if (!record) {
+      return res.status(404).json({
+        error: 'Quarantined record not found'
+      });
+    }
+    
+    logger.info({ sessionId, quarantineId, username: req.user.sub }, 'Retrieved unredacted quarantined record');
+    
+    res.json({
+      quarantineId,
+      record
+    });
+  } catch (error) {
+    logger.error({
+      error: error.message,
+      sessionId,
+      quarantineId
+    }, 'Failed to get quarantined record');
+    
+    res.status(500).json({
+      error: 'Failed to get quarantined record',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Clear all quarantined records for a session
+ * DELETE /api/errors/quarantine/:sessionId
+ */
+router.delete('/errors/quarantine/:sessionId', requirePermission('errors:write'), async (req, res) => {
+  try {
+    if (!(await sessionBelongsTo(req.params.sessionId, req.user.tenant))) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+    
+    const count = await clearQuarantinedRecords(req.params.sessionId);
+    
+    res.json({
+      success: true,
+      count,
+      message: `Cleared ${count} quarantined records`
+    });
+  } catch (error) {
+    logger.error({
+      error: error.message,
+      sessionId: req.params.sessionId
+    }, 'Failed to clear quarantined records');
+    
+    res.status(500).json({
+      error: 'Failed to clear quarantined records',
+      message: error.message
+    });
+  }
+});
+
 export default router; 
\ No newline at end of file
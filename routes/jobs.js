@@ -4,7 +4,45 @@ import { Queue } from 'bullmq';
 // Import from new module structure
 import redis from '../lib/config/redisConfig.js';
 import { logger } from '../lib/services/loggerService.js';
-import { authenticateJWT } from './sessions.js';
+import { authenticateJWT, requirePermission, requireDefaultTenant } from './auth.js';
+import { getMappingTemplate } from '../lib/services/mappingTemplates.js';
+import { QUEUE, JOB_EVENTS } from '../lib/config/appConfig.js';
+import { validateIdempotencyFields } from '../lib/helpers/idempotency.js';
+import { validatePriority } from '../lib/helpers/validation.js';
+import { queueBatchJob, getJobStates } from '../lib/services/queueManager.js';
+import { getJobTenant, jobBelongsTo, listTenantJobIds, sessionBelongsTo } from '../lib/services/tenants.js';
+import {
+  buildJobResultRows,
+  renderResultFile,
+  validateRetryFilters,
+  collectRetryRecords,
+  RESULT_FORMATS
+} from '../lib/services/jobResults.js';
+import {
+  RECORD_STATUS,
+  LEDGER_PAGE_SIZE,
+  LEDGER_MAX_PAGE_SIZE,
+  queryRecordOutcomes
+} from '../lib/services/recordLedger.js';
+import { getDryRunPreviews } from '../lib/services/dryRun.js';
+import {
+  JOB_EVENT_TYPES,
+  FINAL_JOB_STATES,
+  isValidEventId,
+  readJobEvents,
+  getLastJobEventId,
+  hasJobEvents,
+  onJobEvents
+} from '../lib/services/jobEvents.js';
+import {
+  JOB_CONTROL,
+  JOB_CANCELLED_REASON,
+  requestJobPause,
+  requestJobCancel,
+  getJobControl,
+  clearJobPause,
+  getJobCheckpoint
+} from '../lib/services/jobControl.js';
 
 const batchQueue = new Queue('batchQueue', { connection: redis });
 const router = express.Router();
@@ -12,46 +50,69 @@ const router = express.Router();
 router.use(authenticateJWT);
 
 // GET /api/jobs?status=waiting,active,completed,failed,delayed&page=1&pageSize=10
-router.get('/jobs', async (req, res) => {
+// Lists the jobs of the caller's tenant
+router.get('/jobs', requirePermission('jobs:read'), async (req, res) => {
   try {
     const statusParam = req.query.status || 'waiting,active,completed,failed,delayed';
     const statuses = statusParam.split(',');
     const page = parseInt(req.query.page) || 1;
     const pageSize = parseInt(req.query.pageSize) || 10;
     const start = (page - 1) * pageSize;
-    const end = start + pageSize - 1;
 
-    let jobs = [];
-    let total = 0;
-    const statusTotals = {};
-    
-    for (const status of statuses) {
-      const statusJobs = await batchQueue.getJobs([status], start, end);
-      const count = await batchQueue.getJobCountByTypes(status);
-      statusTotals[status] = count;
-      
-      jobs = jobs.concat(statusJobs.map(job => ({
-        id: job.id,
-        name: job.name,
-        status,
-        meta: {
-          TransactionId: job.data?.records[0]?.requestId,
-          MemberId: job.data?.records[0]?.memberId,
-          PayerId: job.data?.records[0]?.payerId,
-        },
-        progress: job.progress,
-        timestamp: job.timestamp,
-        finishedOn: job.finishedOn,
-        processedOn: job.processedOn
-      })));
-      
-      total += count;
-    }
+    // States are read in one round trip without the job data, which holds every record; only the
+    // page is loaded in full
+    const jobIds = await listTenantJobIds(req.user.tenant);
+    const states = await getJobStates(jobIds);
+
+    const statusTotals = Object.fromEntries(statuses.map(status => [status, 0]));
+    const matching = [];
+    jobIds.forEach((jobId, index) => {
+      // Jobs queued with a priority wait in BullMQ's prioritized set rather than the wait list
+      const status = states[index] === 'prioritized' ? 'waiting' : states[index];
+      if (statusTotals[status] !== undefined) {
+        statusTotals[status]++;
+        matching.push({ jobId, status });
+      }
+    });
+    const total = matching.length;
+
+    const pageEntries = matching.slice(start, start + pageSize);
+    const pageJobs = await Promise.all(pageEntries.map(({ jobId }) => batchQueue.getJob(jobId)));
+    const found = pageEntries
+      .map((entry, index) => ({ ...entry, job: pageJobs[index] }))
+      .filter(entry => entry.job);
+
+    const controls = await Promise.all(found.map(({ job }) => getJobControl(job.id)));
+    const retries = await Promise.all(found.map(({ job }) => redis.smembers(`jobRetries:${job.id}`)));
+
+    const jobs = found.map(({ job, status }, index) => ({
+      id: job.id,
+      name: job.name,
+      // Cancelled jobs are failed in BullMQ; the failure reason tells them apart
+      status: status === 'failed' && job.failedReason === JOB_CANCELLED_REASON ? 'cancelled' : status,
+      paused: controls[index] === JOB_CONTROL.PAUSE,
+      cancelling: controls[index] === JOB_CONTROL.CANCEL,
+      dryRun: Boolean(job.data?.dryRun),
+      priority: job.data?.priority || QUEUE.DEFAULT_PRIORITY,
+      // Lineage of retry-failed jobs
+      parentJobId: job.data?.parentJobId,
+      retryJobIds: retries[index],
+      // Jobs queued by a schedule run
+      scheduleId: job.data?.scheduleId,
+      meta: {
+        TransactionId: job.data?.records?.[0]?.requestId,
+        MemberId: job.data?.records?.[0]?.memberId,
+        PayerId: job.data?.records?.[0]?.payerId,
+      },
+      progress: job.progress,
+      timestamp: job.timestamp,
+      finishedOn: job.finishedOn,
+      processedOn: job.processedOn
+    }));
 
     jobs.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-    jobs = jobs.slice(0, pageSize);
 
-    logger.debug({ jobCount: jobs.length, total }, 'Retrieved jobs list');
+    logger.debug({ jobCount: jobs.length, total, tenant: req.user.tenant }, 'Retrieved jobs list');
 
     res.json({
       jobs,
@@ -69,18 +130,360 @@ router.get('/jobs', async (req, res) => {
   }
 });
 
+/**
+ * Get a job of the caller's tenant
+ * @param {Object} req - Express request
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - BullMQ job, or null if missing or owned by another tenant
+ */
+async function getTenantJob(req, jobId) {
+  const job = await batchQueue.getJob(jobId);
+  return job && getJobTenant(job) === req.user.tenant ? job : null;
+}
+
+/**
+ * Answer a request that ran into a tenant quota
+ * @param {Object} res - Express response
+ * @param {Error} err - Error with a quota property
+ */
+function sendQuotaExceeded(res, err) {
+  res.status(429).json({ error: err.message, quota: err.quota });
+}
+
+/**
+ * Split a comma-separated query parameter
+ * @param {string} [value] - Query value
+ * @returns {Array<string>|undefined} - Entries, or undefined when the parameter is absent
+ */
+function queryList(value) {
+  if (value === undefined) return undefined;
+  return String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// GET /api/jobs/:jobId/records?status=FAILED,USER_ACTION_REQUIRED&category=NETWORK_ERROR&statusCode=503&page=1&pageSize=50
+router.get('/jobs/:jobId/records', requirePermission('jobs:read'), async (req, res) => {
+  const { jobId } = req.params;
+  const statuses = queryList(req.query.status);
+  const categories = queryList(req.query.category);
+  const statusCodes = queryList(req.query.statusCode)?.map(code => Number(code));
+  const page = parseInt(req.query.page) || 1;
+  const pageSize = Math.min(parseInt(req.query.pageSize) || LEDGER_PAGE_SIZE, LEDGER_MAX_PAGE_SIZE);
+
+  if (statuses?.some(status => !RECORD_STATUS[status])) {
+    return res.status(400).json({ error: `status must be one of: ${Object.values(RECORD_STATUS).join(', ')}` });
+  }
+  if (statusCodes?.some(code => !Number.isInteger(code))) {
+    return res.status(400).json({ error: 'statusCode must be a list of HTTP status codes' });
+  }
+
+  try {
+    // The ledger outlives completed jobs, which are removed after a day
+    const job = await batchQueue.getJob(jobId);
+    if (!(await jobBelongsTo(jobId, job, req.user.tenant))) {
+      logger.warn({ jobId }, 'Job not found for records query');
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const result = await queryRecordOutcomes(jobId, {
+      totalRecords: job?.data?.records?.length,
+      sourceIndexes: job?.data?.sourceIndexes,
+      statuses,
+      categories,
+      statusCodes,
+      page,
+      pageSize
+    });
+
+    if (!job && Object.keys(result.statusTotals).length === 0) {
+      logger.warn({ jobId }, 'Job not found for records query');
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    logger.debug({ jobId, records: result.records.length, total: result.pagination.total }, 'Retrieved job records');
+    res.json({ jobId, ...result });
+  } catch (err) {
+    logger.error({ error: err.message, jobId }, 'Failed to retrieve job records');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/jobs/:jobId/preview?invalid=true&page=1&pageSize=50
+router.get('/jobs/:jobId/preview', requirePermission('jobs:read'), async (req, res) => {
+  const { jobId } = req.params;
+  const page = parseInt(req.query.page) || 1;
+  const pageSize = Math.min(parseInt(req.query.pageSize) || LEDGER_PAGE_SIZE, LEDGER_MAX_PAGE_SIZE);
+
+  try {
+    const job = await getTenantJob(req, jobId);
+    if (!job || !job.data?.dryRun) {
+      logger.warn({ jobId }, 'Dry-run job not found for preview');
+      return res.status(404).json({ error: 'Dry-run job not found' });
+    }
+
+    const state = await job.getState();
+    if (state !== 'completed') {
+      return res.status(409).json({ error: `Dry run is ${state}` });
+    }
+
+    const { totalRecords, validationResults } = job.returnvalue;
+    const indexes = req.query.invalid === 'true'
+      ? validationResults.details.map(detail => detail.index)
+      : Array.from({ length: totalRecords }, (value, index) => index);
+    const start = (page - 1) * pageSize;
+    const records = await getDryRunPreviews(jobId, indexes.slice(start, start + pageSize));
+
+    res.json({
+      jobId,
+      summary: job.returnvalue,
+      records,
+      pagination: {
+        page,
+        pageSize,
+        total: indexes.length,
+        totalPages: Math.ceil(indexes.length / pageSize)
+      }
+    });
+  } catch (err) {
+    logger.error({ error: err.message, jobId }, 'Failed to retrieve dry-run preview');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get the state of a job as clients see it
+ * @param {Object} job - BullMQ job
+ * @returns {Promise<string>} - BullMQ state, or cancelled / paused
+ */
+async function getJobState(job) {
+  const state = await job.getState();
+  if (state === 'failed' && job.failedReason === JOB_CANCELLED_REASON) return 'cancelled';
+  if (state === 'delayed' && await getJobControl(job.id) === JOB_CONTROL.PAUSE) return 'paused';
+  // Jobs queued with a priority are waiting in BullMQ's prioritized set
+  if (state === 'prioritized') return 'waiting';
+  return state;
+}
+
+/**
+ * Write one Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {Object} event - Event ({ id, type, data })
+ */
+function writeEvent(res, { id, type, data }) {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// GET /api/jobs/:jobId/events (Server-Sent Events)
+// Resumes after the Last-Event-ID header (sent by EventSource on reconnect) or ?lastEventId=
+router.get('/jobs/:jobId/events', requirePermission('jobs:read'), async (req, res) => {
+  const { jobId } = req.params;
+  const resumeFrom = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  if (resumeFrom !== undefined && !isValidEventId(resumeFrom)) {
+    return res.status(400).json({ error: 'Invalid event ID' });
+  }
+
+  let state;
+  let snapshot;
+  let lastEventId;
+  try {
+    const job = await batchQueue.getJob(jobId);
+    if ((!job && !(await hasJobEvents(jobId))) || !(await jobBelongsTo(jobId, job, req.user.tenant))) {
+      logger.warn({ jobId }, 'Job not found for event stream');
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    state = job ? await getJobState(job) : 'removed';
+    lastEventId = resumeFrom || await getLastJobEventId(jobId) || '0';
+
+    // A finished job has nothing more to send; 204 also stops EventSource from reconnecting
+    if (resumeFrom && FINAL_JOB_STATES.includes(state) && (await readJobEvents(jobId, resumeFrom, 1)).length === 0) {
+      return res.status(204).end();
+    }
+
+    snapshot = { state, progress: job?.progress, result: state === 'completed' ? job.returnvalue : undefined };
+  } catch (err) {
+    logger.error({ error: err.message, jobId }, 'Failed to open job event stream');
+    return res.status(500).json({ error: err.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${JOB_EVENTS.RETRY_MS}\n\n`);
+
+  let closed = false;
+  let draining = false;
+  let pending = false;
+
+  const heartbeat = setInterval(() => res.write(': keepalive\n\n'), JOB_EVENTS.HEARTBEAT_MS);
+  let stopListening = () => {};
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    stopListening();
+    res.end();
+  };
+  req.on('close', close);
+
+  // Sends every event after lastEventId; notifications that arrive meanwhile trigger another pass
+  const drain = async () => {
+    if (draining) {
+      pending = true;
+      return;
+    }
+    draining = true;
+    try {
+      do {
+        pending = false;
+        const events = await readJobEvents(jobId, lastEventId);
+        for (const event of events) {
+          if (closed) return;
+          writeEvent(res, event);
+          lastEventId = event.id;
+          if (event.type === JOB_EVENT_TYPES.STATE && FINAL_JOB_STATES.includes(event.data?.state)) {
+            close();
+            return;
+          }
+        }
+        pending = pending || events.length > 0;
+      } while (pending && !closed);
+    } catch (err) {
+      logger.warn({ error: err.message, jobId }, 'Failed to read job events');
+    } finally {
+      draining = false;
+    }
+  };
+
+  // Listen before reading so no event falls between the two
+  stopListening = onJobEvents(jobId, drain);
+
+  // A fresh connection starts with the current state; its ID lets a reconnect resume after it
+  if (!resumeFrom) {
+    writeEvent(res, { id: lastEventId, type: 'snapshot', data: snapshot });
+    if (FINAL_JOB_STATES.includes(state)) {
+      close();
+      return;
+    }
+  }
+  await drain();
+});
+
+// GET /api/jobs/:jobId/results.xlsx (or .csv)?fields=eligibility.status,plan.id
+router.get('/jobs/:jobId/results.:format', requirePermission('jobs:read'), async (req, res) => {
+  const { jobId, format } = req.params;
+
+  if (!RESULT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(RESULT_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const job = await getTenantJob(req, jobId);
+    if (!job) {
+      logger.warn({ jobId }, 'Job not found for results export');
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const responseFields = (req.query.fields || '')
+      .split(',')
+      .map(field => field.trim())
+      .filter(Boolean);
+
+    const results = await buildJobResultRows(job, { responseFields });
+    const file = renderResultFile(results, format);
+
+    logger.info({ jobId, format, rows: results.rows.length }, 'Job results exported');
+
+    res.setHeader('Content-Type', RESULT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="job-${jobId}-results.${format}"`);
+    res.send(file);
+  } catch (err) {
+    logger.error({ error: err.message, jobId }, 'Failed to export job results');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/jobs/:jobId/retry-failed
+// Body (all optional): { statuses: ['FAILED', 'USER_ACTION_REQUIRED'], categories: ['NETWORK_ERROR'], statusCodes: [503] }
+router.post('/jobs/:jobId/retry-failed', requirePermission('jobs:write'), async (req, res) => {
+  const { jobId } = req.params;
+  const filters = req.body || {};
+
+  try {
+    validateRetryFilters(filters);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const job = await getTenantJob(req, jobId);
+    if (!job) {
+      logger.warn({ jobId }, 'Job not found for retry-failed operation');
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const state = await job.getState();
+    if (state !== 'completed' && state !== 'failed') {
+      return res.status(409).json({ error: `Job is still ${state}` });
+    }
+
+    const { sessionId, mappingTemplate, idempotencyFields, priority } = job.data;
+    if (!(await redis.exists(sessionId))) {
+      return res.status(409).json({ error: 'Session has expired; the records cannot be retried with it' });
+    }
+
+    const { records, sourceIndexes } = await collectRetryRecords(job, filters);
+    if (records.length === 0) {
+      return res.status(409).json({ error: 'No records match the retry filters' });
+    }
+
+    const retryJob = await queueBatchJob({
+      tenant: getJobTenant(job),
+      sessionId,
+      records,
+      ...(mappingTemplate && { mappingTemplate }),
+      ...(idempotencyFields && { idempotencyFields }),
+      ...(priority && { priority }),
+      parentJobId: String(job.id),
+      sourceIndexes
+    });
+
+    const retriesKey = `jobRetries:${job.id}`;
+    await redis.sadd(retriesKey, String(retryJob.id));
+    await redis.expire(retriesKey, QUEUE.DEFAULT_JOB_OPTIONS.removeOnFail.age);
+
+    logger.info({ jobId: job.id, retryJobId: retryJob.id, recordCount: records.length }, 'Failed records queued for retry');
+    res.json({ status: 'queued', jobId: retryJob.id, parentJobId: String(job.id), recordCount: records.length, sourceIndexes });
+  } catch (err) {
+    if (err.quota) {
+      return sendQuotaExceeded(res, err);
+    }
+    logger.error({ error: err.message, jobId }, 'Failed to retry failed records');
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // POST /api/job/:jobId/pause
-router.post('/job/:jobId/pause', async (req, res) => {
+router.post('/job/:jobId/pause', requirePermission('jobs:write'), async (req, res) => {
   try {
-    const job = await batchQueue.getJob(req.params.jobId);
+    const job = await getTenantJob(req, req.params.jobId);
     if (!job) {
       logger.warn({ jobId: req.params.jobId }, 'Job not found for pause operation');
       return res.status(404).json({ error: 'Job not found' });
     }
     
-    await job.moveToDelayed(Date.now() + 3600 * 1000);
-    logger.info({ jobId: job.id }, 'Job paused');
-    res.json({ status: 'paused', jobId: job.id });
+    const state = await job.getState();
+    if (state === 'completed' || state === 'failed') {
+      return res.status(409).json({ error: `Job is already ${state}` });
+    }
+    
+    // The worker stops at the next chunk boundary, saves its checkpoint and releases the job
+    await requestJobPause(job.id);
+    logger.info({ jobId: job.id, state }, 'Job paused');
+    res.json({ status: state === 'active' ? 'pausing' : 'paused', jobId: job.id });
   } catch (err) {
     logger.error({ error: err.message, jobId: req.params.jobId }, 'Failed to pause job');
     res.status(500).json({ error: err.message });
@@ -88,30 +491,71 @@ router.post('/job/:jobId/pause', async (req, res) => {
 });
 
 // POST /api/job/:jobId/resume
-router.post('/job/:jobId/resume', async (req, res) => {
+router.post('/job/:jobId/resume', requirePermission('jobs:write'), async (req, res) => {
   try {
-    const job = await batchQueue.getJob(req.params.jobId);
+    const job = await getTenantJob(req, req.params.jobId);
     if (!job) {
       logger.warn({ jobId: req.params.jobId }, 'Job not found for resume operation');
       return res.status(404).json({ error: 'Job not found' });
     }
     
-    if (job.delay && job.delay > 0) {
+    // Resuming must not swallow a pending cancel, which would leave the job running
+    if (await getJobControl(job.id) === JOB_CONTROL.CANCEL) {
+      return res.status(409).json({ error: 'Job is being cancelled' });
+    }
+    
+    const wasPaused = await clearJobPause(job.id);
+    const state = await job.getState();
+    if (!wasPaused && state !== 'delayed') {
+      return res.status(409).json({ error: 'Job is not paused' });
+    }
+    
+    if (state === 'delayed') {
       await job.promote();
     }
     
-    logger.info({ jobId: job.id }, 'Job resumed');
-    res.json({ status: 'resumed', jobId: job.id });
+    // Records before the checkpoint cursor are not sent again
+    const checkpoint = await getJobCheckpoint(job.id);
+    logger.info({ jobId: job.id, resumeFrom: checkpoint?.cursor || 0 }, 'Job resumed');
+    res.json({ status: 'resumed', jobId: job.id, resumeFrom: checkpoint?.cursor || 0 });
   } catch (err) {
     logger.error({ error: err.message, jobId: req.params.jobId }, 'Failed to resume job');
     res.status(500).json({ error: err.message });
   }
 });
 
+// POST /api/job/:jobId/cancel
+router.post('/job/:jobId/cancel', requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const job = await getTenantJob(req, req.params.jobId);
+    if (!job) {
+      logger.warn({ jobId: req.params.jobId }, 'Job not found for cancel operation');
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    const state = await job.getState();
+    if (state === 'completed' || state === 'failed') {
+      return res.status(409).json({ error: `Job is already ${state}` });
+    }
+    
+    // The worker aborts in-flight calls and ends the job; a paused job is promoted so it ends now
+    await requestJobCancel(job.id);
+    if (state === 'delayed') {
+      await job.promote();
+    }
+    
+    logger.info({ jobId: job.id, state }, 'Job cancelled');
+    res.json({ status: 'cancelling', jobId: job.id });
+  } catch (err) {
+    logger.error({ error: err.message, jobId: req.params.jobId }, 'Failed to cancel job');
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // POST /api/job/:jobId/remove
-router.post('/job/:jobId/remove', async (req, res) => {
+router.post('/job/:jobId/remove', requirePermission('jobs:delete'), async (req, res) => {
   try {
-    const job = await batchQueue.getJob(req.params.jobId);
+    const job = await getTenantJob(req, req.params.jobId);
     if (!job) {
       logger.warn({ jobId: req.params.jobId }, 'Job not found for remove operation');
       return res.status(404).json({ error: 'Job not found' });
@@ -126,8 +570,8 @@ router.post('/job/:jobId/remove', async (req, res) => {
   }
 });
 
-// POST /api/queue/pause
-router.post('/queue/pause', async (req, res) => {
+// POST /api/queue/pause (stops every tenant's jobs)
+router.post('/queue/pause', requirePermission('queue:manage'), requireDefaultTenant, async (req, res) => {
   try {
     await batchQueue.pause();
     logger.info('Queue paused');
@@ -139,7 +583,7 @@ router.post('/queue/pause', async (req, res) => {
 });
 
 // POST /api/queue/resume
-router.post('/queue/resume', async (req, res) => {
+router.post('/queue/resume', requirePermission('queue:manage'), requireDefaultTenant, async (req, res) => {
   try {
     await batchQueue.resume();
     logger.info('Queue resumed');
@@ -151,19 +595,58 @@ router.post('/queue/resume', async (req, res) => {
 });
 
 // POST /api/queue-batch
-router.post('/queue-batch', async (req, res) => {
-  const { sessionId, records } = req.body;
+router.post('/queue-batch', requirePermission('jobs:write'), async (req, res) => {
+  const { sessionId, records, mappingTemplate, idempotencyFields, dryRun, priority } = req.body;
   
   if (!sessionId || !records) {
     logger.warn('Missing data for queue-batch operation');
     return res.status(400).json({ error: 'Missing data' });
   }
   
+  if (idempotencyFields !== undefined) {
+    try {
+      validateIdempotencyFields(idempotencyFields, 'idempotencyFields');
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+  
+  if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+    return res.status(400).json({ error: 'dryRun must be a boolean' });
+  }
+  
+  if (priority !== undefined) {
+    try {
+      validatePriority(priority);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+  
   try {
-    const job = await batchQueue.add('processBatch', { sessionId, records });
-    logger.info({ sessionId, jobId: job.id, recordCount: records.length }, 'Batch job queued');
+    if (!(await sessionBelongsTo(sessionId, req.user.tenant))) {
+      return res.status(404).json({ error: `No config found for sessionId: ${sessionId}` });
+    }
+
+    if (mappingTemplate && !(await getMappingTemplate(mappingTemplate, req.user.tenant))) {
+      return res.status(400).json({ error: `Mapping template not found: ${mappingTemplate}` });
+    }
+
+    const job = await queueBatchJob({
+      tenant: req.user.tenant,
+      sessionId,
+      records,
+      ...(mappingTemplate && { mappingTemplate }),
+      ...(idempotencyFields && { idempotencyFields }),
+      ...(dryRun && { dryRun }),
+      ...(priority && { priority })
+    });
+    logger.info({ sessionId, jobId: job.id, recordCount: records.length, priority }, 'Batch job queued');
     res.json({ status: 'queued', jobId: job.id });
   } catch (err) {
+    if (err.quota) {
+      return sendQuotaExceeded(res, err);
+    }
     logger.error({ error: err.message, sessionId }, 'Failed to queue batch');
     res.status(500).json({ error: err.message });
   }
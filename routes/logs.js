@@ -3,8 +3,9 @@ import express from 'express';
 // Import from new module structure
 import redis from '../lib/config/redisConfig.js';
 import { logger } from '../lib/services/loggerService.js';
-import { authenticateJWT } from './sessions.js';
+import { authenticateJWT, requirePermission } from './auth.js';
 import { getSuccessfulResponses } from '../lib/services/processRecord.js';
+import { sessionBelongsTo } from '../lib/services/tenants.js';
 
 const router = express.Router();
 
@@ -12,11 +13,15 @@ router.use(authenticateJWT);
 
 // GET /api/logs/:sessionId
 // Note: For API interactions, logs of type 'API_CALL' will contain both request and response (or error) details in the meta field.
-router.get('/logs/:sessionId', async (req, res) => {
+router.get('/logs/:sessionId', requirePermission('logs:read'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { start = 0, count = 50, type } = req.query;
     
+    if (!(await sessionBelongsTo(sessionId, req.user.tenant))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
     logger.debug({ sessionId, start, count, type }, 'Fetching logs');
     
     const logs = await redis.lrange(`logs:${sessionId}`, start, start + count - 1);
@@ -64,12 +69,17 @@ router.get('/logs/:sessionId', async (req, res) => {
   }
 });
 
-// GET /api/logs/:sessionId/success
+// GET /api/logs/:sessionId/success?limit=100&compact=true
 // Retrieve successful API responses for a session
-router.get('/logs/:sessionId/success', async (req, res) => {
+// compact=true returns only the extracted values instead of full response bodies
+router.get('/logs/:sessionId/success', requirePermission('logs:read'), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { limit = 100 } = req.query;
+    const { limit = 100, compact } = req.query;
+    
+    if (!(await sessionBelongsTo(sessionId, req.user.tenant))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     
     logger.debug({ sessionId, limit }, 'Fetching successful API responses');
     
@@ -77,7 +87,18 @@ router.get('/logs/:sessionId/success', async (req, res) => {
     const responses = await getSuccessfulResponses(sessionId);
     
     // Limit the number of responses if needed
-    const limitedResponses = responses.slice(0, parseInt(limit));
+    let limitedResponses = responses.slice(0, parseInt(limit));
+    
+    if (compact === 'true') {
+      limitedResponses = limitedResponses.map(({ responseId, jobId, recordIndex, statusCode, timestamp, extracted }) => ({
+        responseId,
+        jobId,
+        recordIndex,
+        statusCode,
+        timestamp,
+        extracted
+      }));
+    }
     
     res.json({
       sessionId,
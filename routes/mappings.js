@@ -0,0 +1,77 @@
+import express from 'express';
+
+// Import from new module structure
+import { logger } from '../lib/services/loggerService.js';
+import { authenticateJWT, requirePermission } from './auth.js';
+import { validateMappingTemplate } from '../lib/helpers/mapping.js';
+import {
+  validateTemplateName,
+  saveMappingTemplate,
+  getMappingTemplate,
+  listMappingTemplates,
+  deleteMappingTemplate
+} from '../lib/services/mappingTemplates.js';
+
+const router = express.Router();
+
+router.use(authenticateJWT);
+
+// GET /api/mapping-templates
+router.get('/mapping-templates', requirePermission('mappings:read'), async (req, res) => {
+  try {
+    const templates = await listMappingTemplates(req.user.tenant);
+    res.json({ templates, count: templates.length });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to list mapping templates');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/mapping-templates/:name
+router.get('/mapping-templates/:name', requirePermission('mappings:read'), async (req, res) => {
+  try {
+    const template = await getMappingTemplate(req.params.name, req.user.tenant);
+    if (!template) {
+      return res.status(404).json({ error: 'Mapping template not found' });
+    }
+    res.json(template);
+  } catch (err) {
+    logger.error({ error: err.message, name: req.params.name }, 'Failed to get mapping template');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/mapping-templates/:name
+router.put('/mapping-templates/:name', requirePermission('mappings:write'), async (req, res) => {
+  try {
+    validateTemplateName(req.params.name);
+    validateMappingTemplate(req.body);
+  } catch (err) {
+    logger.warn({ error: err.message, name: req.params.name }, 'Invalid mapping template');
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const template = await saveMappingTemplate(req.params.name, req.body, req.user.tenant);
+    res.json(template);
+  } catch (err) {
+    logger.error({ error: err.message, name: req.params.name }, 'Failed to save mapping template');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/mapping-templates/:name
+router.delete('/mapping-templates/:name', requirePermission('mappings:write'), async (req, res) => {
+  try {
+    const deleted = await deleteMappingTemplate(req.params.name, req.user.tenant);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Mapping template not found' });
+    }
+    res.json({ status: 'deleted', name: req.params.name });
+  } catch (err) {
+    logger.error({ error: err.message, name: req.params.name }, 'Failed to delete mapping template');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -3,18 +3,30 @@ import express from 'express';
 // Import from new module structure
 import redis from '../lib/config/redisConfig.js';
 import { logger } from '../lib/services/loggerService.js';
-import { authenticateJWT } from './sessions.js';
+import { authenticateJWT, requirePermission, requireDefaultTenant } from './auth.js';
 import workerPool from '../lib/services/workerPool.js';
+import { batchQueue } from '../lib/services/queueManager.js';
+import { jobBelongsTo } from '../lib/services/tenants.js';
 
 const router = express.Router();
 
 router.use(authenticateJWT);
 
+/**
+ * Check whether a job belongs to the caller's tenant; metrics outlive the job itself
+ * @param {Object} req - Express request
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} - True if the caller's tenant owns the job
+ */
+async function ownsJob(req, jobId) {
+  return jobBelongsTo(jobId, await batchQueue.getJob(jobId), req.user.tenant);
+}
+
 // GET /api/metrics/:jobId
-router.get('/metrics/:jobId', async (req, res) => {
+router.get('/metrics/:jobId', requirePermission('metrics:read'), async (req, res) => {
   try {
     const { jobId } = req.params;
-    const metrics = await redis.hgetall(`metrics:${jobId}`);
+    const metrics = await ownsJob(req, jobId) ? await redis.hgetall(`metrics:${jobId}`) : null;
     
     if (!metrics || Object.keys(metrics).length === 0) {
       logger.warn({ jobId }, 'No metrics found for job');
@@ -30,7 +42,7 @@ router.get('/metrics/:jobId', async (req, res) => {
 });
 
 // GET /api/worker-metrics
-router.get('/worker-metrics', async (req, res) => {
+router.get('/worker-metrics', requirePermission('metrics:read'), requireDefaultTenant, async (req, res) => {
   try {
     // Get all worker metrics keys
     const keys = await redis.keys('worker:globalMetrics:*');
@@ -80,7 +92,7 @@ router.get('/worker-metrics', async (req, res) => {
 /**
  * Get worker metrics
  */
-router.get('/metrics/workers', async (req, res) => {
+router.get('/metrics/workers', requirePermission('metrics:read'), requireDefaultTenant, async (req, res) => {
   try {
     // Get all worker metric keys
     const workerKeys = await redis.keys('worker:globalMetrics:*');
@@ -111,7 +123,7 @@ router.get('/metrics/workers', async (req, res) => {
 /**
  * Get API performance metrics
  */
-router.get('/metrics/api', async (req, res) => {
+router.get('/metrics/api', requirePermission('metrics:read'), requireDefaultTenant, async (req, res) => {
   try {
     const apiMetrics = await redis.hgetall('metrics:apiPerformance') || {};
     
@@ -134,7 +146,7 @@ router.get('/metrics/api', async (req, res) => {
 /**
  * Get endpoint performance metrics
  */
-router.get('/metrics/endpoints', async (req, res) => {
+router.get('/metrics/endpoints', requirePermission('metrics:read'), requireDefaultTenant, async (req, res) => {
   try {
     const endpointMetrics = await redis.hgetall('metrics:endpoints') || {};
     
@@ -158,10 +170,10 @@ router.get('/metrics/endpoints', async (req, res) => {
 /**
  * Get job metrics
  */
-router.get('/metrics/jobs/:jobId', async (req, res) => {
+router.get('/metrics/jobs/:jobId', requirePermission('metrics:read'), async (req, res) => {
   try {
     const { jobId } = req.params;
-    const jobMetrics = await redis.hgetall(`metrics:${jobId}`);
+    const jobMetrics = await ownsJob(req, jobId) ? await redis.hgetall(`metrics:${jobId}`) : null;
     
     if (!jobMetrics || Object.keys(jobMetrics).length === 0) {
       return res.status(404).json({ error: 'Job metrics not found' });
@@ -177,7 +189,7 @@ router.get('/metrics/jobs/:jobId', async (req, res) => {
 /**
  * Get worker pool status and performance metrics
  */
-router.get('/metrics/worker-pool', async (req, res) => {
+router.get('/metrics/worker-pool', requirePermission('metrics:read'), requireDefaultTenant, async (req, res) => {
   try {
     // Get general worker pool metrics
     const workerPoolMetrics = {
@@ -199,7 +211,7 @@ router.get('/metrics/worker-pool', async (req, res) => {
 /**
  * Run a performance test to compare worker pool API calls with regular API calls
  */
-router.post('/metrics/performance-test', async (req, res) => {
+router.post('/metrics/performance-test', requirePermission('metrics:test'), async (req, res) => {
   try {
     const { url, method = 'GET', data = {}, iterations = 10 } = req.body;
     
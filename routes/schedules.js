@@ -0,0 +1,222 @@
+import express from 'express';
+
+// Import from new module structure
+import redis from '../lib/config/redisConfig.js';
+import { logger } from '../lib/services/loggerService.js';
+import { SCHEDULE } from '../lib/config/appConfig.js';
+import { authenticateJWT, requirePermission } from './auth.js';
+import { getMappingTemplate } from '../lib/services/mappingTemplates.js';
+import { sessionBelongsTo } from '../lib/services/tenants.js';
+import {
+  validateScheduleDefinition,
+  mergeScheduleChanges,
+  getNextRunTimes
+} from '../lib/helpers/schedule.js';
+import {
+  getSchedule,
+  getScheduleTenant,
+  listSchedules,
+  getScheduleDefinition,
+  saveSchedule,
+  deleteSchedule,
+  getScheduleRuns
+} from '../lib/services/scheduler.js';
+
+const router = express.Router();
+
+router.use(authenticateJWT);
+
+/**
+ * Add the upcoming run times to a schedule
+ * @param {Object} schedule - Stored schedule
+ * @param {number} [count=SCHEDULE.PREVIEW_RUNS] - Runs to show
+ * @returns {Object} - Schedule with nextRuns
+ */
+function withNextRuns(schedule, count = SCHEDULE.PREVIEW_RUNS) {
+  return {
+    ...schedule,
+    nextRuns: schedule.enabled ? getNextRunTimes(schedule, count) : []
+  };
+}
+
+/**
+ * Read the count query parameter of next-run previews
+ * @param {string} [value] - Query value
+ * @returns {number|null} - Count, or null if invalid
+ */
+function previewCount(value) {
+  const count = value === undefined ? SCHEDULE.PREVIEW_RUNS : parseInt(value, 10);
+  return Number.isInteger(count) && count >= 1 && count <= SCHEDULE.MAX_PREVIEW_RUNS ? count : null;
+}
+
+/**
+ * Get a schedule of the caller's tenant
+ * @param {Object} req - Express request
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} - Schedule, or null if missing or another tenant's
+ */
+async function getTenantSchedule(req, scheduleId) {
+  const schedule = await getSchedule(scheduleId);
+  return schedule && getScheduleTenant(schedule) === req.user.tenant ? schedule : null;
+}
+
+/**
+ * Check what a schedule refers to before it is saved
+ * @param {Object} definition - Validated definition
+ * @param {string} tenant - Tenant the schedule belongs to
+ * @returns {Promise<{ status: number, error: string }|null>} - Problem to report, or null
+ */
+async function checkReferences({ sessionId, mappingTemplate }, tenant) {
+  if (!(await redis.exists(sessionId)) || !(await sessionBelongsTo(sessionId, tenant))) {
+    return { status: 404, error: `No config found for sessionId: ${sessionId}` };
+  }
+  if (mappingTemplate && !(await getMappingTemplate(mappingTemplate, tenant))) {
+    return { status: 400, error: `Mapping template not found: ${mappingTemplate}` };
+  }
+  return null;
+}
+
+// GET /api/schedules
+router.get('/schedules', requirePermission('schedules:read'), async (req, res) => {
+  try {
+    const schedules = await listSchedules(req.user.tenant);
+    res.json({ schedules: schedules.map(schedule => withNextRuns(schedule, 1)), count: schedules.length });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to list schedules');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/schedules/next-runs?cron=0 2 * * *&timezone=America/New_York&count=5
+// Previews a cron expression before a schedule is created
+router.get('/schedules/next-runs', requirePermission('schedules:read'), (req, res) => {
+  const { cron, timezone } = req.query;
+  const count = previewCount(req.query.count);
+  if (!count) {
+    return res.status(400).json({ error: `count must be between 1 and ${SCHEDULE.MAX_PREVIEW_RUNS}` });
+  }
+
+  try {
+    // Validated as a throwaway schedule so the errors match those of a real one
+    validateScheduleDefinition({
+      sessionId: 'preview',
+      cron,
+      timezone,
+      source: { type: 'dataset', records: [{}] }
+    }, { sourceRoot: SCHEDULE.SOURCE_DIR });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  res.json({ cron, timezone, nextRuns: getNextRunTimes({ cron, timezone }, count) });
+});
+
+// POST /api/schedules
+// Body: { name, sessionId, cron | runAt, timezone, source, chunkSize, mappingTemplate, idempotencyFields, dryRun, priority, enabled }
+router.post('/schedules', requirePermission('schedules:write'), async (req, res) => {
+  try {
+    validateScheduleDefinition(req.body, { sourceRoot: SCHEDULE.SOURCE_DIR });
+  } catch (err) {
+    logger.warn({ error: err.message }, 'Invalid schedule');
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const problem = await checkReferences(req.body, req.user.tenant);
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error });
+    }
+
+    const schedule = await saveSchedule(req.body, undefined, req.user.tenant);
+    res.json(withNextRuns(schedule));
+  } catch (err) {
+    logger.error({ error: err.message, sessionId: req.body.sessionId }, 'Failed to create schedule');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/schedules/:scheduleId?count=5
+router.get('/schedules/:scheduleId', requirePermission('schedules:read'), async (req, res) => {
+  const count = previewCount(req.query.count);
+  if (!count) {
+    return res.status(400).json({ error: `count must be between 1 and ${SCHEDULE.MAX_PREVIEW_RUNS}` });
+  }
+
+  try {
+    const schedule = await getTenantSchedule(req, req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(withNextRuns(schedule, count));
+  } catch (err) {
+    logger.error({ error: err.message, scheduleId: req.params.scheduleId }, 'Failed to get schedule');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/schedules/:scheduleId
+// Body: any schedule fields; a given source replaces the current one
+router.patch('/schedules/:scheduleId', requirePermission('schedules:write'), async (req, res) => {
+  const { scheduleId } = req.params;
+
+  try {
+    const existing = await getTenantSchedule(req, scheduleId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const definition = mergeScheduleChanges(await getScheduleDefinition(existing), req.body || {});
+    try {
+      validateScheduleDefinition(definition, { sourceRoot: SCHEDULE.SOURCE_DIR });
+    } catch (err) {
+      logger.warn({ error: err.message, scheduleId }, 'Invalid schedule');
+      return res.status(400).json({ error: err.message });
+    }
+
+    const problem = await checkReferences(definition, req.user.tenant);
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error });
+    }
+
+    const schedule = await saveSchedule(definition, existing);
+    res.json(withNextRuns(schedule));
+  } catch (err) {
+    logger.error({ error: err.message, scheduleId }, 'Failed to update schedule');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/schedules/:scheduleId
+router.delete('/schedules/:scheduleId', requirePermission('schedules:write'), async (req, res) => {
+  try {
+    const deleted = await getTenantSchedule(req, req.params.scheduleId) && await deleteSchedule(req.params.scheduleId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ status: 'deleted', scheduleId: req.params.scheduleId });
+  } catch (err) {
+    logger.error({ error: err.message, scheduleId: req.params.scheduleId }, 'Failed to delete schedule');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/schedules/:scheduleId/runs?page=1&pageSize=20
+router.get('/schedules/:scheduleId/runs', requirePermission('schedules:read'), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const pageSize = Math.min(parseInt(req.query.pageSize) || 20, SCHEDULE.HISTORY_LIMIT);
+
+  try {
+    const schedule = await getTenantSchedule(req, req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const { runs, pagination } = await getScheduleRuns(schedule.id, { page, pageSize });
+    res.json({ scheduleId: schedule.id, runs, pagination });
+  } catch (err) {
+    logger.error({ error: err.message, scheduleId: req.params.scheduleId }, 'Failed to get schedule runs');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
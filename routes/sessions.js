@@ -1,80 +1,83 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 
 // Import from new module structure
 import redis from '../lib/config/redisConfig.js';
 import { logger } from '../lib/services/loggerService.js';
-import { ENV, AUTH, QUEUE } from '../lib/config/appConfig.js';
+import { QUEUE } from '../lib/config/appConfig.js';
+import { authenticateJWT, requirePermission, requireDefaultTenant } from './auth.js';
+import { validateConfig } from '../lib/helpers/validation.js';
+import {
+  encryptCredentials,
+  credentialFingerprint,
+  isKeyedFingerprint,
+  rotateSessionCredentials
+} from '../lib/services/credentialVault.js';
+import { claimSession, listTenantSessions } from '../lib/services/tenants.js';
+import { rotateWebhookSecrets } from '../lib/services/webhooks.js';
 
 const router = express.Router();
 
-// JWT authentication middleware
-export function authenticateJWT(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.split(' ')[1];
-    jwt.verify(token, ENV.JWT_SECRET, (err, user) => {
-      if (err) {
-        logger.warn({ error: err.message, ip: req.ip }, 'JWT authentication failed');
-        return res.status(401).json({ error: 'Invalid token' });
-      }
-      req.user = user;
-      next();
-    });
-  } else {
-    res.status(401).json({ error: 'No token provided' });
-  }
-}
-
-// POST /api/login
-router.post('/login', (req, res) => {
-  const { username, password } = req.body;
-  if (username === AUTH.DEMO_USER.username && password === AUTH.DEMO_USER.password) {
-    const token = jwt.sign({ username }, ENV.JWT_SECRET, { expiresIn: AUTH.TOKEN_EXPIRY });
-    logger.info({ username }, 'User logged in successfully');
-    return res.json({
-      token,
-      user: { username },
-      message: 'Login successful'
-    });
-  }
-  
-  logger.warn({ username, ip: req.ip }, 'Login attempt with invalid credentials');
-  res.status(401).json({ error: 'Invalid credentials' });
-});
+router.use(authenticateJWT);
 
 // POST /api/init-session
-router.post('/init-session', async (req, res) => {
-  const { apiUrl, auth } = req.body;
+router.post('/init-session', requirePermission('sessions:write'), async (req, res) => {
+  const { apiUrl, auth, requestTemplate, steps, extract, storeResponseBody, idempotency, recordSchema } = req.body;
   
-  if (!apiUrl || !auth) {
+  if ((!apiUrl && !requestTemplate?.url && !steps) || !auth) {
     logger.warn({ ip: req.ip }, 'Session initialization failed - missing data');
     return res.status(400).json({ error: 'Missing data' });
   }
   
+  try {
+    validateConfig({ apiUrl, auth, requestTemplate, steps, extract, storeResponseBody, idempotency, recordSchema });
+  } catch (err) {
+    logger.warn({ ip: req.ip, error: err.message }, 'Session initialization failed - invalid configuration');
+    return res.status(400).json({ error: err.message });
+  }
+  
   const sessionId = 'session:' + Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
-  await redis.set(sessionId, JSON.stringify({ apiUrl, auth }), 'EX', QUEUE.SESSION_TTL);
+  // Credentials are only stored encrypted; the worker decrypts them when building requests
+  const sessionConfig = {
+    apiUrl,
+    auth: encryptCredentials(auth, sessionId),
+    authType: auth.type || 'basic',
+    authFingerprint: credentialFingerprint(auth),
+    requestTemplate,
+    steps,
+    extract,
+    storeResponseBody,
+    idempotency,
+    recordSchema,
+    tenant: req.user.tenant,
+    createdBy: req.user.sub
+  };
+  await redis.set(sessionId, JSON.stringify(sessionConfig), 'EX', QUEUE.SESSION_TTL);
+  await claimSession(sessionId, req.user.tenant);
   
-  logger.info({ sessionId }, 'New session initialized');
+  logger.info({ sessionId, tenant: req.user.tenant }, 'New session initialized');
   res.json({ sessionId });
 });
 
-// Protect all routes below this line
-router.use(authenticateJWT);
-
 // GET /api/sessions
-router.get('/sessions', async (req, res) => {
+// Sessions of the caller's tenant that still have a config or logs
+router.get('/sessions', requirePermission('sessions:read'), async (req, res) => {
   try {
-    const keys = await redis.keys('logs:*');
-    const sessions = keys.map(key => key.replace('logs:', ''));
+    const sessions = await listTenantSessions(req.user.tenant);
     const sessionInfo = await Promise.all(
       sessions.map(async (sessionId) => {
         const logCount = await redis.llen(`logs:${sessionId}`);
         const ttl = await redis.ttl(`logs:${sessionId}`);
+        const config = JSON.parse(await redis.get(sessionId) || 'null');
         return {
           sessionId,
           logCount,
-          ttl
+          ttl,
+          createdBy: config?.createdBy,
+          // Never the credentials themselves
+          authType: config?.authType,
+          // Plain-hash fingerprints from older versions are hidden until credentials are rotated
+          credentialFingerprint: isKeyedFingerprint(config?.authFingerprint) ? config.authFingerprint : undefined,
+          credentialKeyId: config?.auth?.kid
         };
       })
     );
@@ -85,4 +88,16 @@ router.get('/sessions', async (req, res) => {
   }
 });
 
+// POST /api/sessions/rotate-credentials
+// Re-encrypts the credentials of every tenant's sessions, and the webhook signing secrets sealed with the same keys
+router.post('/sessions/rotate-credentials', requirePermission('credentials:rotate'), requireDefaultTenant, async (req, res) => {
+  try {
+    const summary = await rotateSessionCredentials();
+    res.json({ ...summary, webhooks: await rotateWebhookSecrets() });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to rotate session credentials');
+    res.status(500).json({ error: err.message });
+  }
+});
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,69 @@
+import express from 'express';
+
+// Import from new module structure
+import { logger } from '../lib/services/loggerService.js';
+import { authenticateJWT, requirePermission, requireDefaultTenant } from './auth.js';
+import { validateTenantId, validateQuotas } from '../lib/helpers/tenant.js';
+import { listTenants, getTenantUsage, setTenantQuotas } from '../lib/services/tenants.js';
+
+const router = express.Router();
+
+router.use(authenticateJWT);
+
+// GET /api/tenant
+// The caller's tenant, with its quotas and current usage
+router.get('/tenant', requirePermission('tenant:read'), async (req, res) => {
+  try {
+    res.json(await getTenantUsage(req.user.tenant));
+  } catch (err) {
+    logger.error({ error: err.message, tenant: req.user.tenant }, 'Failed to get tenant usage');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/tenants
+router.get('/tenants', requirePermission('tenants:manage'), requireDefaultTenant, async (req, res) => {
+  try {
+    const tenants = await Promise.all((await listTenants()).map(tenant => getTenantUsage(tenant)));
+    res.json({ tenants, count: tenants.length });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to list tenants');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/tenants/:tenant
+router.get('/tenants/:tenant', requirePermission('tenants:manage'), requireDefaultTenant, async (req, res) => {
+  try {
+    if (!(await listTenants()).includes(req.params.tenant)) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    res.json(await getTenantUsage(req.params.tenant));
+  } catch (err) {
+    logger.error({ error: err.message, tenant: req.params.tenant }, 'Failed to get tenant usage');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/tenants/:tenant/quotas
+// Body: any of { recordsPerDay, concurrentJobs, storedBytes }; 0 means unlimited, null restores the default
+router.put('/tenants/:tenant/quotas', requirePermission('tenants:manage'), requireDefaultTenant, async (req, res) => {
+  const { tenant } = req.params;
+
+  try {
+    validateTenantId(tenant);
+    validateQuotas(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const quotas = await setTenantQuotas(tenant, req.body);
+    res.json({ tenant, quotas });
+  } catch (err) {
+    logger.error({ error: err.message, tenant }, 'Failed to set tenant quotas');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,233 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+
+// Import from new module structure
+import redis from '../lib/config/redisConfig.js';
+import { logger } from '../lib/services/loggerService.js';
+import { UPLOAD } from '../lib/config/appConfig.js';
+import { authenticateJWT, requirePermission } from './auth.js';
+import { parseWorkbook } from '../lib/services/spreadsheetParser.js';
+import { queueRecordBatches } from '../lib/services/queueManager.js';
+import { ingestRecordStream } from '../lib/services/streamIngest.js';
+import { getMappingTemplate } from '../lib/services/mappingTemplates.js';
+import { validateIdempotencyFields } from '../lib/helpers/idempotency.js';
+import { validatePriority } from '../lib/helpers/validation.js';
+import { sessionBelongsTo } from '../lib/services/tenants.js';
+
+const router = express.Router();
+
+// Workbooks are parsed in memory, so cap the upload size
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD.MAX_FILE_SIZE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!UPLOAD.SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return cb(new Error(`Unsupported file type "${extension}". Expected ${UPLOAD.SPREADSHEET_EXTENSIONS.join(' or ')}`));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Content types that map onto a streaming format when ?format= is not given
+const STREAM_CONTENT_TYPES = {
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'application/x-jsonlines': 'ndjson'
+};
+
+/**
+ * Build the job data shared by every job queued from one upload
+ * @param {Object} params - Request parameters
+ * @param {string} [params.mappingTemplate] - Mapping template name
+ * @param {string} [params.idempotencyFields] - Comma-separated idempotency key fields
+ * @param {string} [params.dryRun] - "true" to render requests without sending them
+ * @param {string} [params.priority] - Priority level of the queued jobs
+ * @returns {Object} - Job data
+ * @throws {Error} If the idempotency fields, dryRun flag or priority are invalid
+ */
+function buildJobData({ mappingTemplate, idempotencyFields, dryRun, priority }) {
+  const fields = idempotencyFields !== undefined
+    ? String(idempotencyFields).split(',').map(field => field.trim()).filter(Boolean)
+    : undefined;
+  if (fields) {
+    validateIdempotencyFields(fields, 'idempotencyFields');
+  }
+  if (dryRun !== undefined && !['true', 'false'].includes(String(dryRun))) {
+    throw new Error('dryRun must be true or false');
+  }
+  if (priority !== undefined) {
+    validatePriority(priority);
+  }
+
+  return {
+    ...(mappingTemplate && { mappingTemplate }),
+    ...(fields && { idempotencyFields: fields }),
+    ...(String(dryRun) === 'true' && { dryRun: true }),
+    ...(priority && { priority })
+  };
+}
+
+router.use(authenticateJWT);
+
+// POST /api/upload-batch (multipart: file, sessionId, [sheet], [headerRow], [chunkSize], [mappingTemplate], [idempotencyFields], [dryRun], [priority])
+router.post('/upload-batch', requirePermission('jobs:write'), (req, res) => {
+  spreadsheetUpload(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      logger.warn({ error: uploadErr.message }, 'Spreadsheet upload rejected');
+      return res.status(400).json({ error: uploadErr.message });
+    }
+
+    const { sessionId, sheet, mappingTemplate } = req.body;
+    const headerRow = parseInt(req.body.headerRow || '1', 10);
+    const chunkSize = parseInt(req.body.chunkSize || UPLOAD.RECORDS_PER_JOB, 10);
+
+    if (!sessionId || !req.file) {
+      logger.warn('Missing data for upload-batch operation');
+      return res.status(400).json({ error: 'Missing data' });
+    }
+
+    if (!Number.isInteger(headerRow) || headerRow < 1) {
+      return res.status(400).json({ error: 'headerRow must be a positive integer' });
+    }
+
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      return res.status(400).json({ error: 'chunkSize must be a positive integer' });
+    }
+
+    let jobData;
+    try {
+      jobData = { ...buildJobData(req.body), tenant: req.user.tenant };
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    try {
+      const sessionConfig = await redis.get(sessionId);
+      if (!sessionConfig || !(await sessionBelongsTo(sessionId, req.user.tenant))) {
+        return res.status(404).json({ error: `No config found for sessionId: ${sessionId}` });
+      }
+
+      if (mappingTemplate && !(await getMappingTemplate(mappingTemplate, req.user.tenant))) {
+        return res.status(400).json({ error: `Mapping template not found: ${mappingTemplate}` });
+      }
+
+      let parsed;
+      try {
+        parsed = parseWorkbook(req.file.buffer, { sheet, headerRow });
+      } catch (parseErr) {
+        logger.warn({ error: parseErr.message, sessionId, fileName: req.file.originalname }, 'Failed to parse workbook');
+        return res.status(422).json({ error: parseErr.message });
+      }
+
+      const jobIds = await queueRecordBatches(sessionId, parsed.records, {
+        chunkSize,
+        data: jobData
+      });
+
+      logger.info({
+        sessionId,
+        fileName: req.file.originalname,
+        sheet: parsed.sheet,
+        rowCount: parsed.records.length,
+        invalidRowCount: parsed.invalidRows.length,
+        jobIds
+      }, 'Spreadsheet batch queued');
+
+      res.json({
+        status: jobIds.length > 0 ? 'queued' : 'empty',
+        jobIds,
+        sheet: parsed.sheet,
+        headers: parsed.headers,
+        rowCount: parsed.records.length,
+        invalidRows: parsed.invalidRows
+      });
+    } catch (err) {
+      if (err.quota) {
+        return res.status(429).json({ error: err.message, quota: err.quota });
+      }
+      logger.error({ error: err.message, sessionId }, 'Failed to queue spreadsheet batch');
+      res.status(500).json({ error: err.message });
+    }
+  });
+});
+
+// POST /api/ingest?sessionId=...&format=csv|ndjson[&delimiter=,&quote="&escape="&encoding=utf8&chunkSize=500&mappingTemplate=name&idempotencyFields=requestId&dryRun=true&priority=low]
+// The raw request body is parsed as it arrives, so the file is never held in memory
+router.post('/ingest', requirePermission('jobs:write'), async (req, res) => {
+  const { sessionId, delimiter, quote, escape, mappingTemplate, encoding = 'utf8' } = req.query;
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const format = req.query.format || STREAM_CONTENT_TYPES[contentType];
+  const chunkSize = parseInt(req.query.chunkSize || UPLOAD.RECORDS_PER_JOB, 10);
+
+  if (!sessionId) {
+    logger.warn('Missing data for ingest operation');
+    return res.status(400).json({ error: 'Missing data' });
+  }
+
+  if (!UPLOAD.STREAM_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${UPLOAD.STREAM_FORMATS.join(', ')}` });
+  }
+
+  // A body already consumed by express.json() cannot be streamed
+  if (req._body) {
+    return res.status(415).json({ error: 'Send the file as text/csv or application/x-ndjson, not application/json' });
+  }
+
+  if (!Buffer.isEncoding(encoding)) {
+    return res.status(400).json({ error: `Unsupported encoding: ${encoding}` });
+  }
+
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    return res.status(400).json({ error: 'chunkSize must be a positive integer' });
+  }
+
+  let jobData;
+  try {
+    jobData = { ...buildJobData(req.query), tenant: req.user.tenant };
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const sessionConfig = await redis.get(sessionId);
+    if (!sessionConfig || !(await sessionBelongsTo(sessionId, req.user.tenant))) {
+      return res.status(404).json({ error: `No config found for sessionId: ${sessionId}` });
+    }
+
+    if (mappingTemplate && !(await getMappingTemplate(mappingTemplate, req.user.tenant))) {
+      return res.status(400).json({ error: `Mapping template not found: ${mappingTemplate}` });
+    }
+
+    const result = await ingestRecordStream(req, {
+      format,
+      sessionId,
+      chunkSize,
+      encoding,
+      data: jobData,
+      ...(delimiter !== undefined && { delimiter }),
+      ...(quote !== undefined && { quote }),
+      ...(escape !== undefined && { escape })
+    });
+
+    res.json({
+      status: result.jobIds.length > 0 ? 'queued' : 'empty',
+      ...result
+    });
+  } catch (err) {
+    logger.error({ error: err.message, sessionId, format }, 'Failed to ingest stream');
+    // Chunks queued before a quota ran out stay queued, as they do after a parse or internal error
+    let status = err.invalidInput ? 422 : 500;
+    if (err.quota) status = 429;
+    res.status(status).json({
+      error: err.message,
+      ...(err.quota && { quota: err.quota }),
+      ...err.partialResult
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,209 @@
+import express from 'express';
+
+// Import from new module structure
+import { logger } from '../lib/services/loggerService.js';
+import { TENANCY } from '../lib/config/appConfig.js';
+import { authenticateJWT, requirePermission } from './auth.js';
+import { normalizeUsername, validateUsername, validateRole, validatePassword } from '../lib/helpers/account.js';
+import { validateTenantId } from '../lib/helpers/tenant.js';
+import { tenantOf } from '../lib/services/tenants.js';
+import {
+  getUser,
+  listUsers,
+  countOtherAdmins,
+  createUser,
+  updateUser,
+  deleteUser,
+  unlockUser,
+  createPasswordReset
+} from '../lib/services/users.js';
+
+const router = express.Router();
+
+router.use('/users', authenticateJWT, requirePermission('users:manage'));
+
+/**
+ * Check whether the caller may manage users of a tenant
+ * Admins manage their own tenant; admins of the default tenant manage every tenant
+ * @param {Object} req - Express request
+ * @param {string} tenant - Tenant of the user being managed
+ * @returns {boolean} - True if allowed
+ */
+function managesTenant(req, tenant) {
+  return req.user.tenant === TENANCY.DEFAULT_TENANT || req.user.tenant === tenant;
+}
+
+/**
+ * Get a user the caller may manage
+ * @param {Object} req - Express request
+ * @param {string} username - User name
+ * @returns {Promise<Object|null>} - User, or null if missing or in a tenant the caller can't manage
+ */
+async function getManagedUser(req, username) {
+  const user = await getUser(username);
+  return user && managesTenant(req, tenantOf(user)) ? user : null;
+}
+
+/**
+ * Check whether removing an admin would leave the default tenant without one
+ * @param {Object} user - Admin being demoted, disabled, moved or deleted
+ * @returns {Promise<boolean>} - True if the user is its last enabled admin
+ */
+async function isLastDefaultAdmin(user) {
+  return user.role === 'admin' && tenantOf(user) === TENANCY.DEFAULT_TENANT &&
+    (await countOtherAdmins(user.username)) === 0;
+}
+
+// GET /api/users?tenant=
+// Admins of the default tenant see every tenant's users unless they filter by one
+router.get('/users', async (req, res) => {
+  const tenant = req.user.tenant === TENANCY.DEFAULT_TENANT ? req.query.tenant : req.user.tenant;
+
+  try {
+    const users = await listUsers({ tenant });
+    res.json({ users: users.map(user => ({ ...user, tenant: tenantOf(user) })), count: users.length });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to list users');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/users
+// Body: { username, password, role = 'viewer', tenant = caller's tenant, mustChangePassword = true }
+router.post('/users', async (req, res) => {
+  const { password, role = 'viewer', tenant = req.user.tenant, mustChangePassword = true } = req.body || {};
+  const username = normalizeUsername(req.body?.username);
+
+  try {
+    validateUsername(username);
+    validateRole(role);
+    validateTenantId(tenant);
+    validatePassword(password, username);
+    if (typeof mustChangePassword !== 'boolean') {
+      throw new Error('mustChangePassword must be a boolean');
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (!managesTenant(req, tenant)) {
+    return res.status(403).json({ error: 'Only admins of the default tenant can create users in other tenants' });
+  }
+
+  try {
+    const user = await createUser({ username, password, role, tenant, mustChangePassword });
+    if (!user) {
+      return res.status(409).json({ error: `User already exists: ${username}` });
+    }
+    res.json(user);
+  } catch (err) {
+    logger.error({ error: err.message, username }, 'Failed to create user');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/users/:username
+router.get('/users/:username', async (req, res) => {
+  try {
+    const user = await getManagedUser(req, req.params.username);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ ...user, tenant: tenantOf(user) });
+  } catch (err) {
+    logger.error({ error: err.message, username: req.params.username }, 'Failed to get user');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/users/:username
+// Body: any of { role, tenant, disabled }; any change signs the user out. Only admins of the
+// default tenant can move users between tenants
+router.patch('/users/:username', async (req, res) => {
+  const { role, tenant, disabled } = req.body || {};
+  const username = normalizeUsername(req.params.username);
+
+  try {
+    if (role !== undefined) validateRole(role);
+    if (tenant !== undefined) validateTenantId(tenant);
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      throw new Error('disabled must be a boolean');
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const existing = await getManagedUser(req, username);
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const moves = tenant !== undefined && tenant !== tenantOf(existing);
+    if (moves && req.user.tenant !== TENANCY.DEFAULT_TENANT) {
+      return res.status(403).json({ error: 'Only admins of the default tenant can move users between tenants' });
+    }
+    const losesAdmin = (role !== undefined && role !== 'admin') || disabled === true || moves;
+    if (losesAdmin && await isLastDefaultAdmin(existing)) {
+      return res.status(409).json({ error: 'Cannot demote, disable or move the last admin of the default tenant' });
+    }
+
+    const user = await updateUser(username, { role, tenant, disabled });
+    res.json({ ...user, tenant: tenantOf(user) });
+  } catch (err) {
+    logger.error({ error: err.message, username }, 'Failed to update user');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/users/:username
+router.delete('/users/:username', async (req, res) => {
+  const username = normalizeUsername(req.params.username);
+
+  try {
+    const existing = await getManagedUser(req, username);
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (await isLastDefaultAdmin(existing)) {
+      return res.status(409).json({ error: 'Cannot delete the last admin of the default tenant' });
+    }
+
+    await deleteUser(username);
+    res.json({ status: 'deleted', username });
+  } catch (err) {
+    logger.error({ error: err.message, username }, 'Failed to delete user');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/users/:username/password-reset
+// Returns a one-time reset token to hand to the user; it is redeemed with POST /api/password-reset
+router.post('/users/:username/password-reset', async (req, res) => {
+  try {
+    const reset = await getManagedUser(req, req.params.username) && await createPasswordReset(req.params.username);
+    if (!reset) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ username: normalizeUsername(req.params.username), ...reset });
+  } catch (err) {
+    logger.error({ error: err.message, username: req.params.username }, 'Failed to issue password reset');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/users/:username/unlock
+router.post('/users/:username/unlock', async (req, res) => {
+  try {
+    const user = await getManagedUser(req, req.params.username);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await unlockUser(user.username);
+    res.json({ success: true, username: user.username });
+  } catch (err) {
+    logger.error({ error: err.message, username: req.params.username }, 'Failed to unlock user');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
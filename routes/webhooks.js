@@ -0,0 +1,205 @@
+import express from 'express';
+
+// Import from new module structure
+import redis from '../lib/config/redisConfig.js';
+import { logger } from '../lib/services/loggerService.js';
+import { WEBHOOKS } from '../lib/config/appConfig.js';
+import { authenticateJWT, requirePermission } from './auth.js';
+import { batchQueue } from '../lib/services/queueManager.js';
+import { validateWebhookDefinition, WEBHOOK_MUTABLE_FIELDS } from '../lib/helpers/webhook.js';
+import { sessionBelongsTo, jobBelongsTo } from '../lib/services/tenants.js';
+import {
+  getWebhook,
+  getWebhookTenant,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhook
+} from '../lib/services/webhooks.js';
+
+const router = express.Router();
+
+router.use(authenticateJWT);
+
+/**
+ * Get a subscription of the caller's tenant
+ * @param {Object} req - Express request
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object|null>} - Subscription, or null if missing or another tenant's
+ */
+async function getTenantWebhook(req, webhookId) {
+  const webhook = await getWebhook(webhookId);
+  return webhook && getWebhookTenant(webhook) === req.user.tenant ? webhook : null;
+}
+
+// GET /api/webhooks?sessionId=...&jobId=...
+router.get('/webhooks', requirePermission('webhooks:read'), async (req, res) => {
+  try {
+    const webhooks = await listWebhooks({
+      sessionId: req.query.sessionId,
+      jobId: req.query.jobId,
+      tenant: req.user.tenant
+    });
+    res.json({ webhooks, count: webhooks.length });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to list webhooks');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/webhooks
+// Body: { url, sessionId | jobId, events, description, enabled }
+router.post('/webhooks', requirePermission('webhooks:write'), async (req, res) => {
+  try {
+    validateWebhookDefinition(req.body);
+  } catch (err) {
+    logger.warn({ error: err.message }, 'Invalid webhook');
+    return res.status(400).json({ error: err.message });
+  }
+
+  const { sessionId, jobId } = req.body;
+  try {
+    if (sessionId !== undefined && (!(await redis.exists(sessionId)) || !(await sessionBelongsTo(sessionId, req.user.tenant)))) {
+      return res.status(404).json({ error: `No config found for sessionId: ${sessionId}` });
+    }
+    if (jobId !== undefined) {
+      const job = await batchQueue.getJob(String(jobId));
+      if (!job || !(await jobBelongsTo(String(jobId), job, req.user.tenant))) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+    }
+
+    const webhook = await createWebhook(req.body, req.user.tenant);
+    res.json(webhook);
+  } catch (err) {
+    logger.error({ error: err.message, sessionId, jobId }, 'Failed to create webhook');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/webhooks/:webhookId
+router.get('/webhooks/:webhookId', requirePermission('webhooks:read'), async (req, res) => {
+  try {
+    const webhook = await getTenantWebhook(req, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(webhook);
+  } catch (err) {
+    logger.error({ error: err.message, webhookId: req.params.webhookId }, 'Failed to get webhook');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/webhooks/:webhookId
+// Body: any of { url, events, description, enabled }; the session or job can't be changed
+router.patch('/webhooks/:webhookId', requirePermission('webhooks:write'), async (req, res) => {
+  const { webhookId } = req.params;
+  const changes = req.body || {};
+
+  try {
+    const existing = await getTenantWebhook(req, webhookId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const fixed = Object.keys(changes).filter(field => !WEBHOOK_MUTABLE_FIELDS.includes(field));
+    if (fixed.length > 0) {
+      return res.status(400).json({ error: `Only ${WEBHOOK_MUTABLE_FIELDS.join(', ')} can be changed` });
+    }
+    try {
+      validateWebhookDefinition({ ...existing, ...changes });
+    } catch (err) {
+      logger.warn({ error: err.message, webhookId }, 'Invalid webhook');
+      return res.status(400).json({ error: err.message });
+    }
+
+    res.json(await updateWebhook(webhookId, changes));
+  } catch (err) {
+    logger.error({ error: err.message, webhookId }, 'Failed to update webhook');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/webhooks/:webhookId
+router.delete('/webhooks/:webhookId', requirePermission('webhooks:write'), async (req, res) => {
+  try {
+    const deleted = await getTenantWebhook(req, req.params.webhookId) && await deleteWebhook(req.params.webhookId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ status: 'deleted', webhookId: req.params.webhookId });
+  } catch (err) {
+    logger.error({ error: err.message, webhookId: req.params.webhookId }, 'Failed to delete webhook');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/webhooks/:webhookId/rotate-secret
+router.post('/webhooks/:webhookId/rotate-secret', requirePermission('webhooks:write'), async (req, res) => {
+  try {
+    const webhook = await getTenantWebhook(req, req.params.webhookId) && await rotateWebhookSecret(req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(webhook);
+  } catch (err) {
+    logger.error({ error: err.message, webhookId: req.params.webhookId }, 'Failed to rotate webhook secret');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/webhooks/:webhookId/deliveries?page=1&pageSize=20
+router.get('/webhooks/:webhookId/deliveries', requirePermission('webhooks:read'), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const pageSize = Math.min(parseInt(req.query.pageSize) || 20, WEBHOOKS.DELIVERY_HISTORY_LIMIT);
+
+  try {
+    const webhook = await getTenantWebhook(req, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { deliveries, pagination } = await getWebhookDeliveries(webhook.id, { page, pageSize });
+    res.json({ webhookId: webhook.id, deliveries, pagination });
+  } catch (err) {
+    logger.error({ error: err.message, webhookId: req.params.webhookId }, 'Failed to get webhook deliveries');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/webhooks/:webhookId/deliveries/:deliveryId
+router.get('/webhooks/:webhookId/deliveries/:deliveryId', requirePermission('webhooks:read'), async (req, res) => {
+  const { webhookId, deliveryId } = req.params;
+  try {
+    const delivery = await getTenantWebhook(req, webhookId) && await getWebhookDelivery(webhookId, deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json(delivery);
+  } catch (err) {
+    logger.error({ error: err.message, webhookId, deliveryId }, 'Failed to get webhook delivery');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+router.post('/webhooks/:webhookId/deliveries/:deliveryId/redeliver', requirePermission('webhooks:write'), async (req, res) => {
+  const { webhookId, deliveryId } = req.params;
+  try {
+    const delivery = await getTenantWebhook(req, webhookId) && await redeliverWebhook(webhookId, deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json(delivery);
+  } catch (err) {
+    logger.error({ error: err.message, webhookId, deliveryId }, 'Failed to redeliver webhook');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
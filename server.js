@@ -12,13 +12,25 @@ import { logger } from './lib/services/loggerService.js';
 
 // Import services
 import workerPool from './lib/services/workerPool.js';
+import { startJobEventRelay } from './lib/services/jobEvents.js';
+import { ensureBootstrapAdmin } from './lib/services/users.js';
+import { claimLegacySessions } from './lib/services/tenants.js';
+import { claimLegacyJobs } from './lib/services/queueManager.js';
 
 // Import routes
+import authRouter, { authenticateBoard } from './routes/auth.js';
+import usersRouter from './routes/users.js';
+import tenantsRouter from './routes/tenants.js';
+import apiKeysRouter from './routes/apiKeys.js';
 import jobsRouter from './routes/jobs.js';
 import logsRouter from './routes/logs.js';
 import sessionsRouter from './routes/sessions.js';
 import metricsRouter from './routes/metrics.js';
 import errorsRouter from './routes/errors.js';
+import uploadsRouter from './routes/uploads.js';
+import mappingsRouter from './routes/mappings.js';
+import schedulesRouter from './routes/schedules.js';
+import webhooksRouter from './routes/webhooks.js';
 
 const app = express();
 const port = ENV.PORT;
@@ -37,12 +49,22 @@ app.use(cors());
 app.use(express.json());
 
 // Routes
-app.use('/admin/queues', serverAdapter.getRouter());
+// Bull Board can pause, retry and delete jobs, so it is limited to users with board:access
+app.use('/admin/queues', authenticateBoard, serverAdapter.getRouter());
+// Auth and user routes come first: later routers authenticate every request that reaches them
+app.use('/api', authRouter);
+app.use('/api', usersRouter);
+app.use('/api', tenantsRouter);
+app.use('/api', apiKeysRouter);
 app.use('/api', sessionsRouter);
 app.use('/api', jobsRouter);
 app.use('/api', logsRouter);
 app.use('/api', metricsRouter);
 app.use('/api', errorsRouter);
+app.use('/api', uploadsRouter);
+app.use('/api', mappingsRouter);
+app.use('/api', schedulesRouter);
+app.use('/api', webhooksRouter);
 
 // Add health check endpoint
 app.get('/health', (req, res) => {
@@ -63,6 +85,21 @@ workerPool.initialize().then(() => {
   logger.error({ error: err.message }, 'Failed to initialize worker pool on startup');
 });
 
+// Create the first admin account on a fresh install
+ensureBootstrapAdmin().catch(err => {
+  logger.error({ error: err.message }, 'Failed to create the initial admin');
+});
+
+// Sessions and jobs from before tenants existed go to the default tenant; runs once per install
+claimLegacySessions()
+  .then(() => claimLegacyJobs())
+  .catch(err => {
+    logger.error({ error: err.message }, 'Failed to assign existing sessions and jobs to the default tenant');
+  });
+
+// Relay queue events into the per-job event streams behind /api/jobs/:jobId/events
+const stopJobEventRelay = startJobEventRelay('batchQueue');
+
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down server');
@@ -75,6 +112,12 @@ process.on('SIGTERM', async () => {
     logger.error({ error: err.message }, 'Error shutting down worker pool');
   }
   
+  try {
+    await stopJobEventRelay();
+  } catch (err) {
+    logger.error({ error: err.message }, 'Error stopping job event relay');
+  }
+  
   process.exit(0);
 });
 
@@ -1,9 +1,10 @@
-import { Worker } from 'bullmq';
+import { Worker, DelayedError, UnrecoverableError } from 'bullmq';
 import os from 'os';
 
 // Import from new modular structure
 import redis from './lib/config/redisConfig.js';
 import { log, logger } from './lib/services/loggerService.js';
+import { QUEUE, WEBHOOKS, TENANCY } from './lib/config/appConfig.js';
 
 // Import constants
 import {
@@ -15,13 +16,33 @@ import {
 } from './lib/constants/concurrency.js';
 
 // Import helpers and services
-import { validateJobData } from './lib/helpers/validation.js';
-import { createAuthHeaders } from './lib/helpers/auth.js';
+import { validateJobData, validateRecordsWithSchema, mergeValidationResults } from './lib/helpers/validation.js';
+import { applyMapping } from './lib/helpers/mapping.js';
+import { getMappingTemplate } from './lib/services/mappingTemplates.js';
+import { isEncryptedCredentials, decryptCredentials } from './lib/services/credentialVault.js';
+import { resolveIdempotency } from './lib/helpers/idempotency.js';
+import { getIdempotencyScope } from './lib/services/idempotencyLedger.js';
+import { runDryRun } from './lib/services/dryRun.js';
+import { quarantineRecords } from './lib/services/quarantine.js';
+import { SCHEDULED_RUN_JOB, runScheduledJob } from './lib/services/scheduler.js';
+import { emitWebhookEvent, deliverWebhook } from './lib/services/webhooks.js';
+import { crossedMilestones } from './lib/helpers/webhook.js';
 import { processRecord, batchProcessRecords } from './lib/services/processRecord.js';
 import { getQueueBacklog } from './lib/services/queueManager.js';
+import { getJobTenant, acquireJobSlot, renewJobSlot, releaseJobSlot } from './lib/services/tenants.js';
 import { getApiErrorRate } from './lib/helpers/metrics.js';
 import { getConcurrencyStatus } from './lib/services/concurrencyManager.js';
-import workerPool from './lib/services/workerPool.js';
+import workerPool, { ERROR_CATEGORIES } from './lib/services/workerPool.js';
+import {
+  JOB_CONTROL,
+  JOB_CANCELLED_REASON,
+  watchForCancel,
+  getJobControl,
+  clearJobControl,
+  getJobCheckpoint,
+  saveJobCheckpoint,
+  clearJobCheckpoint
+} from './lib/services/jobControl.js';
 
 // Allow self-signed certificates in development
 process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
@@ -31,6 +52,152 @@ let workerInstance = null;
 let currentConcurrency = MIN_CONCURRENCY;
 const WORKER_ID = process.env.WORKER_ID || Math.random().toString(36).slice(2, 10);
 
+/**
+ * Save the checkpoint and hand a paused job back to the queue as delayed
+ * The job is re-checked every PAUSED_JOB_DELAY_MS and continues from the checkpoint once resumed
+ * @param {Object} job - BullMQ job
+ * @param {string} token - Lock token of the worker processing the job
+ * @param {Object} checkpoint - Checkpoint to save ({ cursor, successCount, failureCount, skippedCount, startedAt })
+ * @throws {DelayedError} Always, so BullMQ leaves the job delayed instead of completing it
+ */
+async function releasePausedJob(job, token, checkpoint) {
+  await saveJobCheckpoint(job.id, checkpoint);
+  await job.moveToDelayed(Date.now() + QUEUE.PAUSED_JOB_DELAY_MS, token);
+
+  await log({
+    sessionId: job.data.sessionId,
+    jobId: job.id,
+    type: 'JOB_PAUSED',
+    message: `Job paused before record ${checkpoint.cursor + 1}`,
+    meta: checkpoint
+  });
+
+  throw new DelayedError();
+}
+
+/**
+ * End a cancelled job, recording the partial counts
+ * @param {Object} job - BullMQ job
+ * @param {Object} checkpoint - Progress so far ({ cursor, successCount, failureCount, skippedCount, startedAt }),
+ *   with processedRecords when records past the cursor also got an outcome
+ * @throws {UnrecoverableError} Always, so BullMQ fails the job without retrying it
+ */
+async function finishCancelledJob(job, { cursor, processedRecords = cursor, successCount, failureCount, skippedCount, startedAt }) {
+  const cancelledAt = new Date().toISOString();
+  const totalRecords = job.data.records?.length || 0;
+
+  await redis.hset(`metrics:${job.id}`, {
+    status: 'cancelled',
+    successCount,
+    failureCount,
+    skippedCount,
+    processedRecords,
+    totalRecords,
+    cancelledAt
+  });
+  await clearJobCheckpoint(job.id);
+  await clearJobControl(job.id);
+
+  await log({
+    sessionId: job.data.sessionId,
+    jobId: job.id,
+    type: 'JOB_CANCELLED',
+    message: `Job cancelled after ${processedRecords}/${totalRecords} records`,
+    meta: { successCount, failureCount, skippedCount, processedRecords, totalRecords, startedAt, cancelledAt }
+  });
+
+  throw new UnrecoverableError(JOB_CANCELLED_REASON);
+}
+
+/**
+ * Act on a pending pause or cancel request; returns normally when there is none
+ * @param {Object} job - BullMQ job
+ * @param {string} token - Lock token of the worker processing the job
+ * @param {Object} checkpoint - Progress so far ({ cursor, successCount, failureCount, skippedCount, startedAt })
+ * @returns {Promise<void>}
+ */
+async function applyJobControl(job, token, checkpoint) {
+  const control = await getJobControl(job.id);
+  if (control === JOB_CONTROL.CANCEL) {
+    await finishCancelledJob(job, checkpoint);
+  } else if (control === JOB_CONTROL.PAUSE) {
+    await releasePausedJob(job, token, checkpoint);
+  }
+}
+
+// Jobs this worker is running per session, for fair sharing of its concurrency
+const activeJobsBySession = new Map();
+
+/**
+ * Wrap a processor so one session can't occupy more than QUEUE.FAIR_SHARE of the worker's concurrency
+ * A job over its session's share goes back to the queue for a moment, behind the other sessions'
+ * jobs of the same priority, which interleaves large uploads with everyone else's work
+ * @param {Function} processor - BullMQ processor (job, token)
+ * @returns {Function} - Processor that enforces the share
+ */
+function withFairShare(processor) {
+  return async (job, token) => {
+    const { sessionId } = job.data;
+    if (QUEUE.FAIR_SHARE >= 1 || job.name === SCHEDULED_RUN_JOB || !sessionId) {
+      return processor(job, token);
+    }
+
+    const limit = Math.max(1, Math.floor(currentConcurrency * QUEUE.FAIR_SHARE));
+    const active = activeJobsBySession.get(sessionId) || 0;
+    if (active >= limit) {
+      await job.moveToDelayed(Date.now() + QUEUE.FAIR_SHARE_DELAY_MS, token);
+      logger.debug({ jobId: job.id, sessionId, active, limit }, 'Job deferred: session is at its share of worker concurrency');
+      throw new DelayedError();
+    }
+
+    activeJobsBySession.set(sessionId, active + 1);
+    try {
+      return await processor(job, token);
+    } finally {
+      const remaining = (activeJobsBySession.get(sessionId) || 1) - 1;
+      if (remaining > 0) {
+        activeJobsBySession.set(sessionId, remaining);
+      } else {
+        activeJobsBySession.delete(sessionId);
+      }
+    }
+  };
+}
+
+/**
+ * Wrap a processor so a tenant never runs more jobs at once than its concurrentJobs quota
+ * Slots are shared by every worker and held as leases renewed while the job runs, so a crashed
+ * worker's slots free themselves. A job over the quota goes back to the queue for a moment
+ * @param {Function} processor - BullMQ processor (job, token)
+ * @returns {Function} - Processor that enforces the quota
+ */
+function withTenantQuota(processor) {
+  return async (job, token) => {
+    if (job.name === SCHEDULED_RUN_JOB) {
+      return processor(job, token);
+    }
+
+    const tenant = getJobTenant(job);
+    if (!(await acquireJobSlot(tenant, job.id))) {
+      await job.moveToDelayed(Date.now() + TENANCY.QUOTA_DELAY_MS, token);
+      logger.debug({ jobId: job.id, tenant }, 'Job deferred: tenant is at its concurrent jobs quota');
+      throw new DelayedError();
+    }
+
+    const renewal = setInterval(() => {
+      renewJobSlot(tenant, job.id).catch(err => {
+        logger.warn({ error: err.message, jobId: job.id, tenant }, 'Failed to renew tenant job slot');
+      });
+    }, Math.max(1000, Math.floor(TENANCY.ACTIVE_JOB_LEASE_MS / 3)));
+    try {
+      return await processor(job, token);
+    } finally {
+      clearInterval(renewal);
+      await releaseJobSlot(tenant, job.id);
+    }
+  };
+}
+
 /**
  * Create a worker with the specified concurrency
  * @param {number} concurrency - Number of concurrent jobs
@@ -50,22 +217,114 @@ function createWorker(concurrency) {
   
   workerInstance = new Worker(
   'batchQueue',
-  async (job) => {
-    const { sessionId, records, verbose = false } = job.data;
+  withTenantQuota(withFairShare(async (job, token) => {
+    // Schedule triggers carry no records; they queue the schedule's records as processBatch jobs
+    if (job.name === SCHEDULED_RUN_JOB) {
+      return runScheduledJob(job);
+    }
+
+    const { sessionId, mappingTemplate, dryRun = false, verbose = false } = job.data;
+    let { records } = job.data;
     const jobId = job.id;
     let successCount = 0;
     let failureCount = 0;
+    let skippedCount = 0;
 
-    // Validate job data
-    validateJobData(records);
+    // Transform rows with the referenced mapping template before validation; a dry run previews the
+    // mapped rows and reports the ones that failed coercion instead of failing the job
+    let mappingResults;
+    if (mappingTemplate) {
+      const template = await getMappingTemplate(mappingTemplate, getJobTenant(job));
+      if (!template) {
+        throw new Error(`Mapping template not found: ${mappingTemplate}`);
+      }
+      try {
+        records = applyMapping(records, template);
+      } catch (err) {
+        if (!dryRun || !err.validationResults) {
+          throw err;
+        }
+        records = err.records;
+        mappingResults = err.validationResults;
+      }
+    }
 
     const configJson = await redis.get(sessionId);
     if (!configJson) {
       throw new Error(`No config found for sessionId: ${sessionId}`);
     }
 
-    const { apiUrl, auth } = JSON.parse(configJson);
-    const headers = createAuthHeaders(auth);
+    const {
+      apiUrl,
+      auth: storedAuth,
+      requestTemplate,
+      steps,
+      extract,
+      storeResponseBody,
+      idempotency: sessionIdempotency,
+      recordSchema
+    } = JSON.parse(configJson);
+
+    // Validate job data: a session record schema quarantines invalid rows and lets the rest continue;
+    // without one any invalid row fails the job. A dry run reports invalid rows either way
+    let validationResults;
+    if (recordSchema !== undefined) {
+      validationResults = validateRecordsWithSchema(records, recordSchema);
+    } else {
+      try {
+        validateJobData(records);
+      } catch (err) {
+        if (!dryRun || !err.validationResults) {
+          throw err;
+        }
+        validationResults = err.validationResults;
+      }
+    }
+    // Sessions created before credentials were encrypted still hold plaintext auth
+    const auth = isEncryptedCredentials(storedAuth) ? decryptCredentials(storedAuth, sessionId) : storedAuth;
+    // Auth is applied per request inside the worker threads so providers can sign or refresh
+    const headers = {};
+    // Key fields given with the job override the session's; records already done under their key are skipped
+    const idempotency = resolveIdempotency(sessionIdempotency, job.data.idempotencyFields);
+    if (idempotency) {
+      idempotency.ledgerScope = getIdempotencyScope(idempotency, {
+        tenant: getJobTenant(job),
+        sessionId,
+        targetUrl: apiUrl || requestTemplate?.url || steps?.[0]?.url
+      });
+    }
+    const requestOptions = { auth, requestTemplate, steps, extractRules: extract, storeResponseBody, idempotency };
+
+    // Render what would be sent without calling the target
+    if (dryRun) {
+      return runDryRun(job, records, { apiUrl, headers, ...requestOptions }, mergeValidationResults(mappingResults, validationResults));
+    }
+
+    // A paused or restarted job continues from its checkpoint instead of record zero
+    const checkpoint = await getJobCheckpoint(jobId);
+    const resumeFrom = checkpoint?.cursor || 0;
+    successCount = checkpoint?.successCount || 0;
+    failureCount = checkpoint?.failureCount || 0;
+    skippedCount = checkpoint?.skippedCount || 0;
+
+    // Invalid rows are quarantined once; a resumed job only needs to know which rows to leave out
+    const invalidRows = recordSchema !== undefined ? validationResults.details : [];
+    const quarantined = new Set(invalidRows.map(detail => detail.index));
+    requestOptions.quarantined = quarantined;
+    if (!checkpoint && invalidRows.length > 0) {
+      await quarantineRecords(sessionId, jobId, invalidRows.map(({ index, errors }) => ({
+        recordIndex: index,
+        record: records[index],
+        errors
+      })));
+    }
+
+    // Process records with progress tracking
+    let startTime = Date.now();
+    const startedAt = checkpoint?.startedAt || new Date(startTime).toISOString();
+
+    // Paused or cancelled before it was picked up
+    await applyJobControl(job, token, { cursor: resumeFrom, successCount, failureCount, skippedCount, startedAt });
 
     await log({
       sessionId,
@@ -75,19 +334,39 @@ function createWorker(concurrency) {
       meta: { totalRecords: records.length }
     });
 
-    // Process records with progress tracking
-    let startTime = Date.now();
-    const startedAt = new Date(startTime).toISOString();
     await log({
       sessionId,
       jobId,
-      type: 'JOB_STARTED',
-      message: 'Job started',
+      type: checkpoint ? 'JOB_RESUMED' : 'JOB_STARTED',
+      message: checkpoint ? `Job resumed at record ${resumeFrom + 1}` : 'Job started',
       meta: {
         totalRecords: records.length,
-        startedAt
+        startedAt,
+        ...(checkpoint && { resumedFrom: resumeFrom }),
+        ...(job.data.parentJobId && { parentJobId: job.data.parentJobId })
       }
     });
+
+    if (!checkpoint) {
+      await emitWebhookEvent('job.started', {
+        sessionId,
+        jobId,
+        data: { totalRecords: records.length, startedAt, parentJobId: job.data.parentJobId, scheduleId: job.data.scheduleId }
+      });
+    }
+
+    // Milestones passed before a pause or restart were announced by the earlier run
+    let announcedCount = resumeFrom;
+    const announceProgress = async (completed) => {
+      for (const milestone of crossedMilestones(announcedCount, completed, records.length)) {
+        await emitWebhookEvent('job.progress', {
+          sessionId,
+          jobId,
+          data: { milestone, completed, total: records.length, successCount, failureCount }
+        });
+      }
+      announcedCount = completed;
+    };
     
     // Initialize worker pool if needed
     if (!workerPool.initialized) {
@@ -95,39 +374,63 @@ function createWorker(concurrency) {
       logger.info('Worker pool initialized for batch processing');
     }
     
+    // Process in batches to improve performance and maintain progress updates
+    const BATCH_SIZE = 10; // Process 10 records at a time
+    
+    // Cancellation also drops queued tasks and aborts in-flight requests instead of waiting for the chunk
+    const stopWatchingForCancel = watchForCancel(jobId, () => workerPool.cancelGroup(jobId));
+    
     // Use batch processing with worker pool for improved performance
     try {
-      // Process in batches to improve performance and maintain progress updates
-      const BATCH_SIZE = 10; // Process 10 records at a time
-      let processedCount = 0;
+      let processedCount = resumeFrom;
       let totalProcessingTime = 0;
       
-      for (let i = 0; i < records.length; i += BATCH_SIZE) {
+      for (let i = resumeFrom; i < records.length; i += BATCH_SIZE) {
+        // Pause only between chunks so no record is left half-processed
+        await applyJobControl(job, token, { cursor: i, successCount, failureCount, skippedCount, startedAt });
+        
         const batchStart = Date.now();
         const batchRecords = records.slice(i, i + BATCH_SIZE);
         
         // Process batch using worker pool
-        const batchResults = await batchProcessRecords(
+        const { results: batchResults } = await batchProcessRecords(
           batchRecords, 
           apiUrl, 
           headers, 
           sessionId, 
-          jobId
+          jobId,
+          { ...requestOptions, startIndex: i }
         );
         
-        // Update success/failure counts
+        // Update success/failure counts; cancelled, skipped and quarantined records count as neither
         const batchSuccessCount = batchResults.filter(r => r.success).length;
-        const batchFailureCount = batchResults.length - batchSuccessCount;
+        const batchFailureCount = batchResults.filter(r => !r.success && !r.cancelled && !r.skipped && !r.quarantined).length;
         
         successCount += batchSuccessCount;
         failureCount += batchFailureCount;
+        skippedCount += batchResults.filter(r => r.skipped).length;
+
+        // Records cancelled mid-chunk got no outcome, so the job ends at the first of them
+        const firstCancelled = batchResults.findIndex(r => r.cancelled);
+        if (firstCancelled !== -1) {
+          await finishCancelledJob(job, {
+            cursor: i + firstCancelled,
+            processedRecords: i + batchResults.filter(r => !r.cancelled).length,
+            successCount,
+            failureCount,
+            skippedCount,
+            startedAt
+          });
+        }
+        await saveJobCheckpoint(jobId, { cursor: i + batchRecords.length, successCount, failureCount, skippedCount, startedAt });
         
         const batchEnd = Date.now();
         processedCount += batchRecords.length;
         totalProcessingTime += (batchEnd - batchStart);
         
         // Calculate ETA
-        const avgTimePerRecord = processedCount > 0 ? totalProcessingTime / processedCount : 0;
+        const processedThisRun = processedCount - resumeFrom;
+        const avgTimePerRecord = processedThisRun > 0 ? totalProcessingTime / processedThisRun : 0;
         const recordsLeft = records.length - (i + batchRecords.length);
         const estTimeLeftMs = avgTimePerRecord * recordsLeft / currentConcurrency;
         const estTimeLeftSec = Math.round(estTimeLeftMs / 1000);
@@ -166,6 +469,7 @@ function createWorker(concurrency) {
             ...concurrencyStatus
           }
         });
+        await announceProgress(processedCount);
         
         // Log batch progress
         await log({
@@ -202,25 +506,53 @@ function createWorker(concurrency) {
         await redis.set(`worker:globalMetrics:${WORKER_ID}`, JSON.stringify(globalMetrics));
       }
     } catch (error) {
+      // Pausing and cancelling are not processing errors
+      if (error instanceof DelayedError || error instanceof UnrecoverableError) {
+        throw error;
+      }
+      
       logger.error({
         error: error.message,
         stack: error.stack
       }, 'Error in batch processing');
       
-      // Continue with individual processing for resilience
+      // Continue with individual processing for resilience, after the last completed chunk
       logger.info('Falling back to individual record processing');
       
+      const fallbackCheckpoint = await getJobCheckpoint(jobId);
+      const fallbackFrom = fallbackCheckpoint?.cursor || 0;
+      successCount = fallbackCheckpoint?.successCount || 0;
+      failureCount = fallbackCheckpoint?.failureCount || 0;
+      skippedCount = fallbackCheckpoint?.skippedCount || 0;
+      
       let processedCount = 0;
       let totalProcessingTime = 0;
       
-      for (let i = 0; i < records.length; i++) {
+      for (let i = fallbackFrom; i < records.length; i++) {
+        if ((i - fallbackFrom) % BATCH_SIZE === 0) {
+          await applyJobControl(job, token, { cursor: i, successCount, failureCount, skippedCount, startedAt });
+        }
+        
+        if (quarantined.has(i)) {
+          continue;
+        }
+        
         const recordStart = Date.now();
         try {
-          await processRecord(records[i], apiUrl, headers, sessionId, jobId, i, records.length);
-          successCount++;
+          const result = await processRecord(records[i], apiUrl, headers, sessionId, jobId, i, records.length, requestOptions);
+          if (result.skipped) {
+            skippedCount++;
+          } else {
+            successCount++;
+          }
         } catch (err) {
+          if (err.category === ERROR_CATEGORIES.CANCELLED) {
+            // Stop here; the cancel request is handled before the next record
+            await applyJobControl(job, token, { cursor: i, successCount, failureCount, skippedCount, startedAt });
+          }
           failureCount++;
         }
+        await saveJobCheckpoint(jobId, { cursor: i + 1, successCount, failureCount, skippedCount, startedAt });
         const recordEnd = Date.now();
         processedCount++;
         totalProcessingTime += (recordEnd - recordStart);
@@ -266,6 +598,7 @@ function createWorker(concurrency) {
               ...concurrencyStatus
             }
           });
+          await announceProgress(i + 1);
           
           // Log batch progress
           await log({
@@ -302,12 +635,26 @@ function createWorker(concurrency) {
           await redis.set(`worker:globalMetrics:${WORKER_ID}`, JSON.stringify(globalMetrics));
         }
       }
+    } finally {
+      stopWatchingForCancel();
     }
 
+    // A cancel request that arrived after the last records finished still ends the job as cancelled
+    if (await getJobControl(jobId) === JOB_CONTROL.CANCEL) {
+      await finishCancelledJob(job, { cursor: records.length, successCount, failureCount, skippedCount, startedAt });
+    }
+
+    // Finished: a later run of this job must not resume from the old checkpoint
+    await clearJobCheckpoint(jobId);
+    await clearJobControl(jobId);
+
     // Store job metrics
     await redis.hset(`metrics:${jobId}`, {
+      status: 'completed',
       successCount,
       failureCount,
+      skippedCount,
+      quarantinedCount: quarantined.size,
       totalRecords: records.length,
       completedAt: new Date().toISOString()
     });
@@ -317,7 +664,7 @@ function createWorker(concurrency) {
       jobId,
       type: 'COMPLETE',
       message: `Batch processing complete`,
-      meta: { successCount, failureCount, totalRecords: records.length }
+      meta: { successCount, failureCount, skippedCount, quarantinedCount: quarantined.size, totalRecords: records.length }
     });
 
     // Log job completed with timing and stats
@@ -331,6 +678,7 @@ function createWorker(concurrency) {
         totalRecords: records.length,
         successCount,
         failureCount,
+        skippedCount,
         startedAt,
         completedAt,
         durationSec: Math.round((Date.parse(completedAt) - Date.parse(startedAt)) / 1000)
@@ -340,9 +688,11 @@ function createWorker(concurrency) {
     return {
       successCount,
       failureCount,
+      skippedCount,
+      quarantinedCount: quarantined.size,
       totalRecords: records.length
     };
-  },
+  })),
   {
     concurrency,
     limiter: {
@@ -365,9 +715,26 @@ function createWorker(concurrency) {
     failureCount,
     totalRecords
   }, 'Job completed');
+
+  if (job.name !== SCHEDULED_RUN_JOB) {
+    await emitWebhookEvent('job.completed', {
+      sessionId: job.data.sessionId,
+      jobId: job.id,
+      data: { result: job.returnvalue, dryRun: Boolean(job.data.dryRun) }
+    });
+  }
 });
 
   workerInstance.on('failed', async (job, err) => {
+  // Cancelled jobs were already logged as JOB_CANCELLED
+  if (err.message === JOB_CANCELLED_REASON) {
+    logger.info({ jobId: job?.id }, 'Job cancelled');
+    if (job) {
+      await emitWebhookEvent('job.cancelled', { sessionId: job.data.sessionId, jobId: job.id, data: { progress: job.progress } });
+    }
+    return;
+  }
+  
   logger.error({
     jobId: job.id,
     error: err.message,
@@ -385,6 +752,16 @@ function createWorker(concurrency) {
         error: err.message
       }
     });
+
+    // Only the last attempt is announced; earlier ones are retried
+    const finalAttempt = err instanceof UnrecoverableError || job.attemptsMade >= (job.opts.attempts || 1);
+    if (finalAttempt && job.name !== SCHEDULED_RUN_JOB) {
+      await emitWebhookEvent('job.failed', {
+        sessionId,
+        jobId: job.id,
+        data: { failedReason: err.message, attemptsMade: job.attemptsMade, progress: job.progress }
+      });
+    }
   }
 });
 
@@ -455,6 +832,13 @@ function startWorker() {
   
   // Create initial worker
   createWorker(currentConcurrency);
+
+  // Webhook deliveries run on their own queue so receivers never slow down batch processing
+  const webhookWorker = new Worker(WEBHOOKS.QUEUE_NAME, deliverWebhook, {
+    connection: redis,
+    concurrency: WEBHOOKS.CONCURRENCY
+  });
+  webhookWorker.on('error', err => logger.error({ error: err.message }, 'Webhook worker error'));
   
   // Start worker pool for API calls
   workerPool.initialize().catch(err => {
@@ -473,6 +857,7 @@ function startWorker() {
       if (workerInstance) {
         await workerInstance.close();
       }
+      await webhookWorker.close();
       
       // Shutdown worker pool
       await workerPool.shutdown();